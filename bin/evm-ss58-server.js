@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * evm-ss58-server - local HTTP conversion service
+ *
+ * Serves the JSON API of src/server.js (/convert, /inspect, /batch,
+ * /networks) on this machine, for backend services that should not embed
+ * the conversion code themselves.
+ */
+
+import { parseArgs } from 'node:util';
+import { createConverterServer, DEFAULT_PORT, DEFAULT_HOST } from '../src/server.js';
+
+const USAGE = `Usage: evm-ss58-server [options]
+
+Serves the address conversion JSON API over HTTP.
+
+Options:
+  -p, --port <n>       Port to listen on (default: ${DEFAULT_PORT}, 0 picks a free one)
+  -H, --host <host>    Interface to listen on (default: ${DEFAULT_HOST}, this machine only)
+  -h, --help           Show this help
+
+Endpoints:
+  GET|POST /convert    ?address=…&network=…&prefix=…&strategy=…&ignoreChecksum=true
+  GET|POST /inspect    ?address=…
+  POST     /batch      {"addresses": […], "network": …, "prefix": …, "strategy": …}
+  GET      /networks   ?q=… searches the registry
+  GET      /networks/<id>`;
+
+function fail(message) {
+    process.stderr.write(`evm-ss58-server: ${message}\n`);
+    process.exit(2);
+}
+
+function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            options: {
+                port: { type: 'string', short: 'p', default: String(DEFAULT_PORT) },
+                host: { type: 'string', short: 'H', default: DEFAULT_HOST },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        fail(error.message);
+    }
+    const { values } = parsed;
+
+    if (values.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return;
+    }
+
+    const port = /^\d+$/.test(values.port) ? parseInt(values.port, 10) : NaN;
+    if (!(port >= 0 && port <= 65535)) {
+        fail(`invalid --port "${values.port}", expected 0-65535`);
+    }
+
+    const server = createConverterServer();
+    server.on('error', error => fail(`cannot listen on ${values.host}:${port}: ${error.message}`));
+    server.listen(port, values.host, () => {
+        const { address, port: actualPort } = server.address();
+        const host = address.includes(':') ? `[${address}]` : address;
+        process.stdout.write(`evm-ss58-server listening on http://${host}:${actualPort}\n`);
+    });
+
+    const shutdown = () => server.close(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main();
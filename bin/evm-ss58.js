@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ * evm-ss58 - command-line EVM ↔ SS58 converter
+ *
+ * Auto-detects whether each input is an Ethereum or SS58 address and converts
+ * it using the same core as the web page. Addresses are read from arguments,
+ * a file or stdin; a failing line is reported without aborting the batch.
+ */
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { convertBatch } from '../src/batch.js';
+import { formatCSV } from '../src/csv.js';
+import { NETWORKS, DEFAULT_NETWORK_ID, getNetwork, isValidSS58Prefix, MAX_SS58_PREFIX } from '../src/networks.js';
+import { MAPPING_STRATEGIES, DEFAULT_MAPPING_STRATEGY } from '../src/strategies.js';
+
+const USAGE = `Usage: evm-ss58 [options] [address...]
+
+Converts Ethereum addresses to SS58 and SS58 addresses to Ethereum.
+With no addresses and no --file, addresses are read from stdin.
+
+Options:
+  -n, --network <id>   Network used for ETH → SS58 (default: ${DEFAULT_NETWORK_ID})
+  -p, --prefix <n>     Custom SS58 prefix, overrides --network
+  -s, --strategy <id>  Mapping strategy: ${MAPPING_STRATEGIES.map(s => s.id).join(', ')}
+                       (default: the network's own, ${DEFAULT_MAPPING_STRATEGY} with --prefix)
+  -f, --file <path>    Read addresses from a file, one per line ("-" for stdin)
+  -o, --format <fmt>   Output format: text, csv or json (default: text)
+      --ignore-checksum
+                       Convert mixed-case ETH addresses with a bad EIP-55 checksum
+      --list-networks  Print the known networks and exit
+  -h, --help           Show this help
+
+Exit status is 1 if any address failed to convert, 2 on usage errors.`;
+
+const FORMATS = ['text', 'csv', 'json'];
+
+function fail(message) {
+    process.stderr.write(`evm-ss58: ${message}\n`);
+    process.exit(2);
+}
+
+/**
+ * Resolves the SS58 prefix from --prefix or --network
+ */
+function resolvePrefix(values) {
+    if (values.prefix !== undefined) {
+        const prefix = /^\d+$/.test(values.prefix) ? parseInt(values.prefix, 10) : NaN;
+        if (!isValidSS58Prefix(prefix)) {
+            fail(`invalid --prefix "${values.prefix}", expected 0-${MAX_SS58_PREFIX} (46 and 47 are reserved)`);
+        }
+        return prefix;
+    }
+
+    const network = getNetwork(values.network);
+    if (!network) {
+        fail(`unknown network "${values.network}" (see --list-networks)`);
+    }
+    return network.ss58Prefix;
+}
+
+/**
+ * Resolves the mapping strategy from --strategy, else from --network
+ */
+function resolveStrategy(values) {
+    if (values.strategy !== undefined) {
+        if (!MAPPING_STRATEGIES.some(strategy => strategy.id === values.strategy)) {
+            fail(`unknown strategy "${values.strategy}", expected one of: ${MAPPING_STRATEGIES.map(s => s.id).join(', ')}`);
+        }
+        return values.strategy;
+    }
+    if (values.prefix !== undefined) {
+        return DEFAULT_MAPPING_STRATEGY;
+    }
+    return getNetwork(values.network).mappingStrategy;
+}
+
+/**
+ * Collects addresses from arguments, --file or stdin, one per line
+ */
+function readInputs(values, positionals) {
+    let text;
+    if (values.file !== undefined) {
+        try {
+            text = readFileSync(values.file === '-' ? 0 : values.file, 'utf8');
+        } catch (error) {
+            fail(`cannot read ${values.file}: ${error.message}`);
+        }
+    } else if (positionals.length > 0) {
+        return positionals;
+    } else if (!process.stdin.isTTY) {
+        text = readFileSync(0, 'utf8');
+    } else {
+        process.stderr.write(`${USAGE}\n`);
+        process.exit(2);
+    }
+    return text.split(/\r?\n/);
+}
+
+function formatResults(results, format) {
+    if (format === 'json') {
+        return JSON.stringify(results, null, 2) + '\n';
+    }
+    if (format === 'csv') {
+        return formatCSV([
+            ['input', 'type', 'output', 'error'],
+            ...results.map(r => [r.input, r.type, r.output, r.error])
+        ]);
+    }
+    return results
+        .filter(r => !r.error)
+        .map(r => `${r.output}\n`)
+        .join('');
+}
+
+function main() {
+    // A consumer that stops reading early (`evm-ss58 --list-networks | head`) is not an error
+    process.stdout.on('error', error => {
+        if (error.code !== 'EPIPE') {
+            throw error;
+        }
+        process.exit(process.exitCode ?? 0);
+    });
+
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                network: { type: 'string', short: 'n', default: DEFAULT_NETWORK_ID },
+                prefix: { type: 'string', short: 'p' },
+                strategy: { type: 'string', short: 's' },
+                file: { type: 'string', short: 'f' },
+                format: { type: 'string', short: 'o', default: 'text' },
+                'ignore-checksum': { type: 'boolean' },
+                'list-networks': { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        fail(error.message);
+    }
+    const { values, positionals } = parsed;
+
+    if (values.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return;
+    }
+
+    if (values['list-networks']) {
+        NETWORKS.forEach(network => {
+            const revive = network.hasRevive ? 'revive' : '-';
+            process.stdout.write(`${network.id}\t${network.ss58Prefix}\t${network.token || '-'}\t${revive}\t${network.name}\n`);
+        });
+        return;
+    }
+
+    if (!FORMATS.includes(values.format)) {
+        fail(`invalid --format "${values.format}", expected one of: ${FORMATS.join(', ')}`);
+    }
+
+    const ss58Prefix = resolvePrefix(values);
+    const strategy = resolveStrategy(values);
+    const results = convertBatch(readInputs(values, positionals), ss58Prefix, {
+        ignoreChecksum: values['ignore-checksum'],
+        strategy
+    });
+
+    process.stdout.write(formatResults(results, values.format));
+
+    // Text output carries no error column, so failures go to stderr
+    if (values.format === 'text') {
+        results
+            .filter(r => r.error)
+            .forEach(r => process.stderr.write(`evm-ss58: ${r.input}: ${r.error}\n`));
+        results
+            .filter(r => r.prefixMismatch)
+            .forEach(({ input, prefixMismatch: { ss58Prefix, expectedPrefix, networks } }) => {
+                const names = networks.length ? ` (${networks.join(', ')})` : '';
+                process.stderr.write(`evm-ss58: warning: ${input} is encoded for prefix ${ss58Prefix}${names}, not ${expectedPrefix}\n`);
+            });
+    }
+
+    if (results.some(r => r.error)) {
+        process.exitCode = 1;
+    }
+}
+
+main();
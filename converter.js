@@ -1,440 +1,565 @@
 /**
- * EVM to SS58 Address Converter
+ * EVM to SS58 Address Converter - web page integration
  * Using Polkadot.js libraries for 100% compatibility
- * 
- * Conversion Logic:
- * - ETH → SS58: 20-byte ETH address is padded to 32 bytes with 0xEE suffix
- * - SS58 → ETH: If padded (ends with 0xEE), strips to original; otherwise Keccak256 hash
+ *
+ * The conversion logic itself lives in src/ and is shared with the test suite
+ * and npm consumers; this module only wires it up to the page.
  */
 
-// Wait for Polkadot.js libraries to load
-(function() {
-    'use strict';
+import {
+    ethToSS58,
+    ss58ToEth,
+    deriveEthAddress,
+    toChecksumAddress,
+    isValidEthAddress,
+    isValidEthChecksum,
+    isValidSS58Address,
+    isEthDerivedAccount,
+    MAPPING_STATUS,
+    MAPPING_STRATEGY,
+    ETH_DERIVATION,
+    lookupKnownAddress,
+    detectPrefixMismatch,
+    reencodeSS58,
+    getNetworksByPrefix,
+    isValidSS58Prefix
+} from './src/index.js';
+import {
+    getSelectedNetwork,
+    getSelectedSS58Prefix,
+    getSelectedMappingStrategy,
+    selectNetwork
+} from './ui/network-picker.js';
+import { checkMappingOnSelectedNetwork } from './ui/mapping.js';
+import { showMapAccountPanel, hideMapAccountPanel } from './ui/map-account.js';
+import { showAddressQR, hideAddressQR } from './ui/address-qr.js';
+import { showIdenticons, hideIdenticons } from './ui/identicons.js';
+import { recordConversion } from './ui/address-book.js';
+
+// =============================================================================
+// Expose functions to window for global access
+// =============================================================================
+window.ethToSS58 = ethToSS58;
+window.ss58ToEth = ss58ToEth;
+window.toChecksumAddress = toChecksumAddress;
+window.isValidEthAddress = isValidEthAddress;
+window.isValidSS58Address = isValidSS58Address;
+
+// =============================================================================
+// UI Integration Functions
+// =============================================================================
+
+// Which field the user last edited, so a network change re-converts from it
+let lastSource = 'eth';
+
+// Incremented per SS58 conversion; stale mapping checks compare and bail out
+let mappingRequest = 0;
+
+// Result of the last completed mapping check, for the manual confirmation
+let lastMappingResult = null;
 
-    // Check if libraries are loaded
-    if (typeof polkadotUtil === 'undefined' || typeof polkadotUtilCrypto === 'undefined') {
-        console.error('Polkadot.js libraries not loaded');
+/**
+ * Auto-convert ETH to SS58 on input
+ *
+ * Mixed-case input must match its EIP-55 checksum. On a mismatch the
+ * "ignore checksum" override is offered; only then is the address converted
+ * as typed.
+ */
+function autoConvertEthToSS58() {
+    const ethInput = document.getElementById('ethAddress');
+    const ss58Input = document.getElementById('ss58Address');
+    const ethError = document.getElementById('ethError');
+    const ignoreChecksum = document.getElementById('ethIgnoreChecksum');
+
+    // Clear previous errors
+    ethError.classList.remove('show');
+    ethInput.classList.remove('error');
+    showKnownAddress(null);
+    hideConversionResult();
+
+    const ethAddress = ethInput.value.trim();
+    
+    if (!ethAddress) {
+        ss58Input.value = '';
         return;
     }
 
-    const { hexToU8a, u8aToHex } = polkadotUtil;
-    const { encodeAddress, decodeAddress, keccak256AsU8a } = polkadotUtilCrypto;
-
-    /**
-     * Converts an Ethereum address to SS58 format
-     * 
-     * Process:
-     * 1. Validate Ethereum address (must be 20 bytes)
-     * 2. Create 32-byte array filled with 0xEE
-     * 3. Copy 20 ETH bytes into first 20 positions
-     * 4. Encode with SS58 using selected network prefix
-     * 
-     * @param {string} ethAddress - Ethereum address (0x + 40 hex chars)
-     * @param {number} ss58Prefix - Network prefix
-     * @returns {string} SS58-encoded address
-     */
-    function ethToSS58(ethAddress, ss58Prefix) {
-        // Validate Ethereum address format
-        if (!ethAddress.match(/^0x[0-9a-fA-F]{40}$/)) {
-            throw new Error('Invalid Ethereum address format. Expected 0x followed by 40 hex characters.');
-        }
+    const checksumMismatch = isValidEthAddress(ethAddress, { ignoreChecksum: true })
+        && !isValidEthChecksum(ethAddress);
+    ignoreChecksum.closest('label').hidden = !checksumMismatch;
 
-        // Convert ETH address to bytes (20 bytes)
-        const ethBytes = hexToU8a(ethAddress);
+    try {
+        const ss58Prefix = getSelectedSS58Prefix();
+        const ss58Address = ethToSS58(ethAddress, ss58Prefix, {
+            ignoreChecksum: ignoreChecksum.checked,
+            strategy: getSelectedMappingStrategy()
+        });
+        
+        // Update SS58 field and apply checksum to ETH field, unless the
+        // user overrode a mismatch: then keep the address exactly as typed
+        ss58Input.value = ss58Address;
+        if (!checksumMismatch) {
+            ethInput.value = toChecksumAddress(ethAddress);
+        }
+        showKnownAddress(ethAddress);
+        showConversionResult();
+    } catch (error) {
+        showError(ethError, ethInput, error.message);
+        ss58Input.value = '';
+    }
+}
 
-        // Create 32-byte Substrate address: 20 bytes ETH + 12 bytes of 0xEE padding
-        const substrateBytes = new Uint8Array(32);
-        substrateBytes.fill(0xEE);
-        substrateBytes.set(ethBytes, 0);
+/**
+ * Auto-convert SS58 to ETH on input
+ *
+ * ETH-derived and ECDSA accounts convert immediately. Native accounts are checked
+ * against pallet-revive's mapping storage on the selected network: the H160
+ * is only shown once the account is confirmed mapped, or when the check is
+ * unavailable and the user confirms the mapping manually.
+ */
+async function autoConvertSS58ToEth() {
+    const ethInput = document.getElementById('ethAddress');
+    const ss58Input = document.getElementById('ss58Address');
+    const ss58Error = document.getElementById('ss58Error');
+
+    clearError(ss58Error, ss58Input);
+    setMappingStatus(null);
+    hideMapAccountPanel();
+    showKnownAddress(null);
+    showPrefixMismatch(null);
+    hideConversionResult();
+    lastMappingResult = null;
+
+    const ss58Address = ss58Input.value.trim();
+    const request = ++mappingRequest;
+    ethInput.value = '';
+
+    if (!ss58Address) {
+        return;
+    }
 
-        // Encode as SS58 address
-        return encodeAddress(substrateBytes, ss58Prefix);
+    // The on-chain mapping check below is specific to pallet-revive's
+    // Keccak256 H160s; everything else converts directly or explains why not
+    const strategy = getSelectedMappingStrategy();
+    if (strategy === MAPPING_STRATEGY.REVIVE && !isValidSS58Address(ss58Address)) {
+        showError(ss58Error, ss58Input, 'Invalid SS58 address. Expected a base58 address with a valid checksum.');
+        return;
     }
 
-    /**
-     * Converts an SS58 address to Ethereum format
-     * 
-     * Process:
-     * 1. Decode SS58 address to 32-byte public key
-     * 2. Check last 12 bytes:
-     *    - If all 0xEE: This is an ETH-derived address, strip suffix to get original 20 bytes
-     *    - Otherwise: This is a native Substrate address, hash with Keccak256 and take last 20 bytes
-     * 3. Return checksummed Ethereum address
-     * 
-     * @param {string} ss58Address - SS58-encoded Substrate address
-     * @returns {string} Checksummed Ethereum address
-     */
-    function ss58ToEth(ss58Address) {
-        // Decode SS58 address to get 32-byte public key
-        const substrateBytes = decodeAddress(ss58Address);
-
-        // Check if last 12 bytes are all 0xEE (indicates ETH-derived address)
-        const isEthDerived = substrateBytes.slice(20).every(byte => byte === 0xEE);
-
-        let ethBytes;
-        if (isEthDerived) {
-            // ETH-derived: Strip 0xEE suffix to get original 20-byte ETH address
-            ethBytes = substrateBytes.slice(0, 20);
-        } else {
-            // Native Substrate address: Hash with Keccak256 and take last 20 bytes
-            const hash = keccak256AsU8a(substrateBytes);
-            ethBytes = hash.slice(-20);
-        }
+    let derived;
+    try {
+        derived = deriveEthAddress(ss58Address, { strategy });
+    } catch (error) {
+        showError(ss58Error, ss58Input, error.message);
+        return;
+    }
+    showKnownAddress(ss58Address);
+    showPrefixMismatch(ss58Address);
+    showIdenticons();
+
+    if (derived.derivation === ETH_DERIVATION.ECDSA_PUBLIC_KEY) {
+        ethInput.value = derived.ethAddress;
+        setMappingStatus('mapped', 'ECDSA account: Ethereum address of its secp256k1 key (Keccak256 of the uncompressed public key). Use it from an Ethereum wallet holding the same key.');
+        showConversionResult();
+        return;
+    }
+    if (strategy !== MAPPING_STRATEGY.REVIVE) {
+        ethInput.value = derived.ethAddress;
+        showConversionResult();
+        return;
+    }
 
-        // Convert to hex and apply EIP-55 checksumming
-        return toChecksumAddress(u8aToHex(ethBytes));
+    if (!isEthDerivedAccount(ss58Address)) {
+        setMappingStatus('checking', `Checking account mapping on ${getSelectedNetwork().name}…`);
     }
 
-    /**
-     * Converts an Ethereum address to checksummed format (EIP-55)
-     * 
-     * @param {string} address - Ethereum address (with or without 0x prefix)
-     * @returns {string} Checksummed Ethereum address with 0x prefix
-     */
-    function toChecksumAddress(address) {
-        const addr = address.toLowerCase().replace('0x', '');
-        
-        if (addr.length !== 40) {
-            throw new Error('Invalid Ethereum address length');
-        }
+    const result = await checkMappingOnSelectedNetwork(ss58Address);
 
-        const hash = keccak256AsU8a(new TextEncoder().encode(addr));
-        
-        let checksummed = '0x';
-        for (let i = 0; i < addr.length; i++) {
-            if (hash[Math.floor(i / 2)] >> (i % 2 === 0 ? 4 : 0) & 0x8) {
-                checksummed += addr[i].toUpperCase();
-            } else {
-                checksummed += addr[i];
-            }
-        }
-        
-        return checksummed;
+    // A newer conversion started while this check was in flight
+    if (request !== mappingRequest) {
+        return;
     }
 
-    /**
-     * Validates an Ethereum address format
-     */
-    function isValidEthAddress(address) {
-        return /^0x[0-9a-fA-F]{40}$/.test(address);
-    }
+    lastMappingResult = result;
+    applyMappingResult(result);
+}
 
-    /**
-     * Validates an SS58 address by attempting to decode it
-     */
-    function isValidSS58Address(address) {
-        try {
-            decodeAddress(address);
-            return true;
-        } catch {
-            return false;
+/**
+ * Show the H160 (or the reason it is withheld) for a mapping check result
+ */
+function applyMappingResult(result) {
+    const ethInput = document.getElementById('ethAddress');
+    const ss58Input = document.getElementById('ss58Address');
+    const ss58Error = document.getElementById('ss58Error');
+    const mappedCheckbox = document.getElementById('ss58MappedCheckbox');
+    const { network } = result;
+
+    mappedCheckbox.closest('label').hidden = result.status !== MAPPING_STATUS.UNKNOWN;
+
+    switch (result.status) {
+    case MAPPING_STATUS.ETH_DERIVED:
+        ethInput.value = result.ethAddress;
+        setMappingStatus('mapped', 'ETH-derived account: converts back to its original Ethereum address.');
+        break;
+    case MAPPING_STATUS.MAPPED:
+        ethInput.value = result.ethAddress;
+        setMappingStatus('mapped', `Mapped on ${network.name}: funds sent to this H160 reach this account.`);
+        break;
+    case MAPPING_STATUS.UNMAPPED: {
+        // The fallback account is the H160 padded with 0xEE, i.e. its ethToSS58 form
+        const fallback = ethToSS58(result.ethAddress, network.ss58Prefix);
+        setMappingStatus('unmapped', `Not mapped on ${network.name}.`);
+        showError(ss58Error, ss58Input, `This account has not been mapped on ${network.name}. Funds sent to ${result.ethAddress} would go to ${fallback}, which this key does not control. Map the account with Revive.map_account first.`);
+        showMapAccountPanel(ss58Input.value.trim(), result);
+        break;
+    }
+    default:
+        setMappingStatus('unknown', `Could not verify the mapping: ${result.error}.`);
+        if (mappedCheckbox.checked) {
+            ethInput.value = result.ethAddress;
+        } else {
+            showError(ss58Error, ss58Input, 'The on-chain mapping could not be checked. Confirm below that you have mapped this account before converting SS58 → ETH.');
         }
     }
+    // Only once an H160 is shown, i.e. not for unmapped or unconfirmed accounts
+    showConversionResult();
+}
 
-    // =============================================================================
-    // Expose functions to window for global access
-    // =============================================================================
-    window.ethToSS58 = ethToSS58;
-    window.ss58ToEth = ss58ToEth;
-    window.toChecksumAddress = toChecksumAddress;
-    window.isValidEthAddress = isValidEthAddress;
-    window.isValidSS58Address = isValidSS58Address;
-
-    // =============================================================================
-    // UI Integration Functions
-    // =============================================================================
-
-    /**
-     * Auto-convert ETH to SS58 on input
-     */
-    function autoConvertEthToSS58() {
-        const ethInput = document.getElementById('ethAddress');
-        const ss58Input = document.getElementById('ss58Address');
-        const ethError = document.getElementById('ethError');
-        const networkSelect = document.getElementById('network');
-
-        // Clear previous errors
-        ethError.classList.remove('show');
-        ethInput.classList.remove('error');
-
-        const ethAddress = ethInput.value.trim();
-        
-        if (!ethAddress) {
-            ss58Input.value = '';
-            return;
-        }
+/**
+ * Show what goes with a completed conversion: QR codes and identicons of
+ * both addresses, and an entry in the conversion history
+ */
+function showConversionResult() {
+    showAddressQR();
+    showIdenticons();
+    recordConversion();
+}
 
-        try {
-            const ss58Prefix = parseInt(networkSelect.value);
-            const ss58Address = ethToSS58(ethAddress, ss58Prefix);
-            
-            // Update SS58 field and apply checksum to ETH field
-            ss58Input.value = ss58Address;
-            ethInput.value = toChecksumAddress(ethAddress);
-        } catch (error) {
-            showError(ethError, ethInput, error.message);
-            ss58Input.value = '';
-        }
+/**
+ * Hide the QR codes and identicons of a previous conversion
+ */
+function hideConversionResult() {
+    hideAddressQR();
+    hideIdenticons();
+}
+
+/**
+ * Update the mapping status line under the SS58 input
+ * @param {string|null} state - checking, mapped, unmapped or unknown; null hides it
+ * @param {string} [message] - Text to show
+ */
+function setMappingStatus(state, message) {
+    const status = document.getElementById('ss58Status');
+    status.className = 'mapping-status converter-mapping-status';
+    status.textContent = message || '';
+    status.hidden = !state;
+    if (state) {
+        status.classList.add(`mapping-status-${state}`);
     }
+}
 
-    /**
-     * Auto-convert SS58 to ETH on input (only if "mapped account" checkbox is checked)
-     */
-    function autoConvertSS58ToEth() {
-        const ethInput = document.getElementById('ethAddress');
-        const ss58Input = document.getElementById('ss58Address');
-        const ss58Error = document.getElementById('ss58Error');
-        const mappedCheckbox = document.getElementById('ss58MappedCheckbox');
+/**
+ * Show the registry label of a well-known address, and its warning if funds
+ * must not be sent to it
+ * @param {string|null} address - Converted address; null hides the badge
+ */
+function showKnownAddress(address) {
+    const container = document.getElementById('knownAddress');
+    const warning = document.getElementById('knownAddressWarning');
+    const known = address ? lookupKnownAddress(address) : null;
 
-        // Clear previous errors
-        ss58Error.classList.remove('show');
-        ss58Input.classList.remove('error');
+    container.hidden = !known;
+    if (!known) {
+        return;
+    }
+    container.classList.toggle('known-address-danger', !!known.warning);
+    document.getElementById('knownAddressLabel').textContent = known.label;
+    warning.textContent = known.warning || '';
+    warning.hidden = !known.warning;
+}
 
-        const ss58Address = ss58Input.value.trim();
-        
-        if (!ss58Address) {
-            ethInput.value = '';
-            return;
-        }
+/**
+ * Warn when a pasted SS58 address is encoded for another network than the
+ * selected one, offering to switch to that network or re-encode the address
+ * @param {string|null} ss58Address - Address being converted; null hides the warning
+ */
+function showPrefixMismatch(ss58Address) {
+    const container = document.getElementById('ss58PrefixMismatch');
+    const switchButton = document.getElementById('ss58SwitchNetwork');
+    const reencodeButton = document.getElementById('ss58Reencode');
+    const selected = getSelectedNetwork();
+
+    const mismatch = ss58Address && isValidSS58Address(ss58Address) && isValidSS58Prefix(selected.ss58Prefix)
+        ? detectPrefixMismatch(ss58Address, selected.ss58Prefix)
+        : null;
+    container.hidden = !mismatch;
+    if (!mismatch) {
+        return;
+    }
 
-        if (!mappedCheckbox || !mappedCheckbox.checked) {
-            ethInput.value = '';
-            showError(ss58Error, ss58Input, 'Check the box to confirm you have mapped this account before converting SS58 → ETH.');
-            return;
-        }
+    const candidates = getNetworksByPrefix(mismatch.ss58Prefix);
+    const target = candidates.find(network => network.hasRevive) || candidates[0];
+    const encodedFor = mismatch.networks.length
+        ? `${mismatch.networks.join(', ')} (prefix ${mismatch.ss58Prefix})`
+        : `prefix ${mismatch.ss58Prefix}, which no known network uses`;
+    document.getElementById('ss58PrefixMismatchText').textContent =
+        `This address is encoded for ${encodedFor}, but ${selected.name} (prefix ${selected.ss58Prefix}) is selected. `
+        + 'It is the same account, but check which network it was meant for.';
+
+    switchButton.hidden = !target;
+    if (target) {
+        switchButton.dataset.networkId = target.id;
+        switchButton.textContent = `Switch to ${target.name}`;
+    }
+    reencodeButton.textContent = `Re-encode for ${selected.name}`;
+}
 
-        try {
-            const ethAddress = ss58ToEth(ss58Address);
-            ethInput.value = ethAddress;
-        } catch (error) {
-            showError(ss58Error, ss58Input, error.message);
-            ethInput.value = '';
-        }
+/**
+ * Swap button - intelligently converts based on which field has a value
+ */
+window.performSwap = function() {
+    const ethInput = document.getElementById('ethAddress');
+    const ss58Input = document.getElementById('ss58Address');
+    const ethError = document.getElementById('ethError');
+    const ss58Error = document.getElementById('ss58Error');
+    
+    const ethValue = ethInput.value.trim();
+    const ss58Value = ss58Input.value.trim();
+    
+    // Clear errors
+    clearError(ethError, ethInput);
+    clearError(ss58Error, ss58Input);
+    
+    // If both have values or neither, prefer ETH -> SS58
+    if (ethValue) {
+        autoConvertEthToSS58();
+    } else if (ss58Value) {
+        autoConvertSS58ToEth();
     }
+};
 
-    /**
-     * Swap button - intelligently converts based on which field has a value
-     */
-    window.performSwap = function() {
-        const ethInput = document.getElementById('ethAddress');
-        const ss58Input = document.getElementById('ss58Address');
-        const ethError = document.getElementById('ethError');
-        const ss58Error = document.getElementById('ss58Error');
-        const networkSelect = document.getElementById('network');
-        
-        const ethValue = ethInput.value.trim();
-        const ss58Value = ss58Input.value.trim();
-        
-        // Clear errors
-        clearError(ethError, ethInput);
-        clearError(ss58Error, ss58Input);
-        
-        // If both have values or neither, prefer ETH -> SS58
-        if (ethValue) {
-            try {
-                const ss58Prefix = parseInt(networkSelect.value);
-                const ss58Address = ethToSS58(ethValue, ss58Prefix);
-                ss58Input.value = ss58Address;
-                ethInput.value = toChecksumAddress(ethValue);
-            } catch (error) {
-                showError(ethError, ethInput, error.message);
-            }
-        } else if (ss58Value) {
-            const mappedCheckbox = document.getElementById('ss58MappedCheckbox');
-            if (!mappedCheckbox.checked) {
-                showError(ss58Error, ss58Input, 'Check the box to confirm you have mapped this account before converting SS58 → ETH.');
-                return;
-            }
-            try {
-                const ethAddress = ss58ToEth(ss58Value);
-                ethInput.value = ethAddress;
-            } catch (error) {
-                showError(ss58Error, ss58Input, error.message);
-            }
-        }
-    };
-
-    /**
-     * Copy address to clipboard with visual feedback
-     * @param {string} inputId - ID of the input element
-     * @param {HTMLButtonElement} buttonElement - The copy button (passed as `this` from onclick)
-     */
-    window.copyToClipboard = async function(inputId, buttonElement) {
-        const input = document.getElementById(inputId);
-        const button = buttonElement || (input && input.closest('.input-wrapper') && input.closest('.input-wrapper').querySelector('.copy-button'));
+/**
+ * Copy address to clipboard with visual feedback
+ * @param {string} inputId - ID of the input element
+ * @param {HTMLButtonElement} buttonElement - The copy button (passed as `this` from onclick)
+ */
+window.copyToClipboard = async function(inputId, buttonElement) {
+    const input = document.getElementById(inputId);
+    const button = buttonElement || (input && input.closest('.input-wrapper') && input.closest('.input-wrapper').querySelector('.copy-button'));
+    
+    if (!input || !input.value.trim() || !button) {
+        return;
+    }
+    
+    try {
+        await navigator.clipboard.writeText(input.value.trim());
         
-        if (!input || !input.value.trim() || !button) {
-            return;
+        button.classList.add('copied');
+        button.setAttribute('title', 'Copied!');
+        if (button.getAttribute('aria-label')) {
+            button.setAttribute('aria-label', 'Copied!');
         }
         
-        try {
-            await navigator.clipboard.writeText(input.value.trim());
-            
-            button.classList.add('copied');
-            button.setAttribute('title', 'Copied!');
+        setTimeout(() => {
+            button.classList.remove('copied');
+            button.setAttribute('title', 'Copy to clipboard');
             if (button.getAttribute('aria-label')) {
-                button.setAttribute('aria-label', 'Copied!');
+                button.setAttribute('aria-label', 'Copy to clipboard');
             }
-            
-            setTimeout(() => {
-                button.classList.remove('copied');
-                button.setAttribute('title', 'Copy to clipboard');
-                if (button.getAttribute('aria-label')) {
-                    button.setAttribute('aria-label', 'Copy to clipboard');
-                }
-            }, 2000);
-        } catch (err) {
-            console.error('Failed to copy:', err);
-            // Fallback for older browsers or non-HTTPS: select and execCommand
-            try {
-                input.select();
-                input.setSelectionRange(0, 99999);
-                if (document.execCommand('copy')) {
-                    button.classList.add('copied');
-                    button.setAttribute('title', 'Copied!');
-                    setTimeout(() => {
-                        button.classList.remove('copied');
-                        button.setAttribute('title', 'Copy to clipboard');
-                    }, 2000);
-                }
-            } catch (e) {
-                console.error('Fallback copy failed:', e);
+        }, 2000);
+    } catch (err) {
+        console.error('Failed to copy:', err);
+        // Fallback for older browsers or non-HTTPS: select and execCommand
+        try {
+            input.select();
+            input.setSelectionRange(0, 99999);
+            if (document.execCommand('copy')) {
+                button.classList.add('copied');
+                button.setAttribute('title', 'Copied!');
+                setTimeout(() => {
+                    button.classList.remove('copied');
+                    button.setAttribute('title', 'Copy to clipboard');
+                }, 2000);
             }
+        } catch (e) {
+            console.error('Fallback copy failed:', e);
         }
-    };
-
-    /**
-     * Show error message and highlight input
-     */
-    function showError(errorElement, inputElement, message) {
-        errorElement.textContent = message;
-        errorElement.classList.add('show');
-        inputElement.classList.add('error');
     }
+};
 
-    /**
-     * Clear error for an input
-     */
-    function clearError(errorElement, inputElement) {
-        errorElement.classList.remove('show');
-        inputElement.classList.remove('error');
-    }
+/**
+ * Show error message and highlight input
+ */
+function showError(errorElement, inputElement, message) {
+    errorElement.textContent = message;
+    errorElement.classList.add('show');
+    inputElement.classList.add('error');
+}
 
-    // Set up event listeners when DOM is ready
-    document.addEventListener('DOMContentLoaded', () => {
-        const ethInput = document.getElementById('ethAddress');
-        const ss58Input = document.getElementById('ss58Address');
-        const networkSelect = document.getElementById('network');
-        const ethError = document.getElementById('ethError');
-        const ss58Error = document.getElementById('ss58Error');
-        
-        let ethConvertTimeout;
-        let ss58ConvertTimeout;
-        
-        // ETH input: auto-convert with debounce
-        ethInput.addEventListener('input', () => {
-            clearError(ethError, ethInput);
-            
-            const value = ethInput.value.trim();
-            if (value === '') {
-                ss58Input.value = '';
-                return;
-            }
-            
-            // Debounce: wait 500ms after user stops typing
-            clearTimeout(ethConvertTimeout);
-            ethConvertTimeout = setTimeout(() => {
-                if (value.length >= 42) { // Only convert if looks like a complete address
-                    autoConvertEthToSS58();
-                }
-            }, 500);
-        });
-        
-        // ETH input: instant convert on paste
-        ethInput.addEventListener('paste', () => {
-            setTimeout(() => {
-                if (ethInput.value.trim()) {
-                    autoConvertEthToSS58();
-                }
-            }, 50);
-        });
-        
-        // SS58 input: only allow conversion when "mapped" checkbox is checked
-        ss58Input.addEventListener('input', () => {
-            clearError(ss58Error, ss58Input);
-            
-            const value = ss58Input.value.trim();
-            if (value === '') {
-                ethInput.value = '';
-                return;
-            }
+/**
+ * Clear error for an input
+ */
+function clearError(errorElement, inputElement) {
+    errorElement.classList.remove('show');
+    inputElement.classList.remove('error');
+}
 
-            const mappedCheckbox = document.getElementById('ss58MappedCheckbox');
-            if (!mappedCheckbox || !mappedCheckbox.checked) {
-                // Block conversion: clear ETH immediately and show error
-                ethInput.value = '';
-                if (value.length >= 40) {
-                    showError(ss58Error, ss58Input, 'Check the box to confirm you have mapped this account before converting SS58 → ETH.');
-                }
-                return;
-            }
-            
-            // Checkbox is checked: debounce then convert
-            clearTimeout(ss58ConvertTimeout);
-            ss58ConvertTimeout = setTimeout(() => {
-                if (value.length >= 40) {
-                    autoConvertSS58ToEth();
-                }
-            }, 500);
-        });
+/**
+ * Show the panel for the selected mode tab and hide the others
+ * @param {string} mode - Value of the tab's data-mode attribute
+ */
+function switchMode(mode) {
+    document.querySelectorAll('[data-mode]').forEach(tab => {
+        const active = tab.dataset.mode === mode;
+        tab.classList.toggle('active', active);
+        tab.setAttribute('aria-selected', String(active));
+    });
+    document.querySelectorAll('[data-mode-panel]').forEach(panel => {
+        panel.hidden = panel.dataset.modePanel !== mode;
+    });
+}
+
+// Set up event listeners when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('[data-mode]').forEach(tab => {
+        tab.addEventListener('click', () => switchMode(tab.dataset.mode));
+    });
+
+    const ethInput = document.getElementById('ethAddress');
+    const ss58Input = document.getElementById('ss58Address');
+    const networkSelect = document.getElementById('network');
+    const ethError = document.getElementById('ethError');
+    const ss58Error = document.getElementById('ss58Error');
+    const ignoreChecksum = document.getElementById('ethIgnoreChecksum');
+    
+    let ethConvertTimeout;
+    let ss58ConvertTimeout;
+    
+    // ETH input: auto-convert with debounce
+    ethInput.addEventListener('input', () => {
+        clearError(ethError, ethInput);
+        showKnownAddress(null);
+        hideConversionResult();
+        lastSource = 'eth';
+
+        // A checksum override applies to one address only
+        ignoreChecksum.checked = false;
+        ignoreChecksum.closest('label').hidden = true;
         
-        // SS58 paste: same logic runs in input handler after paste inserts text
-        ss58Input.addEventListener('paste', () => {
-            // Let the input event handle it; just ensure we run one more check after paste is applied
-            setTimeout(() => {
-                const value = ss58Input.value.trim();
-                if (!value || value.length < 40) return;
-                const mappedCheckbox = document.getElementById('ss58MappedCheckbox');
-                if (!mappedCheckbox || !mappedCheckbox.checked) {
-                    ethInput.value = '';
-                    showError(ss58Error, ss58Input, 'Check the box to confirm you have mapped this account before converting SS58 → ETH.');
-                }
-            }, 0);
-        });
+        const value = ethInput.value.trim();
+        if (value === '') {
+            ss58Input.value = '';
+            return;
+        }
         
-        // Network change: re-convert if ETH address exists
-        networkSelect.addEventListener('change', () => {
-            if (ethInput.value.trim()) {
+        // Debounce: wait 500ms after user stops typing
+        clearTimeout(ethConvertTimeout);
+        ethConvertTimeout = setTimeout(() => {
+            if (value.length >= 42) { // Only convert if looks like a complete address
                 autoConvertEthToSS58();
             }
-        });
-        
-        // Enter key support
-        ethInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
+        }, 500);
+    });
+    
+    // ETH input: instant convert on paste
+    ethInput.addEventListener('paste', () => {
+        lastSource = 'eth';
+        setTimeout(() => {
+            if (ethInput.value.trim()) {
                 autoConvertEthToSS58();
             }
-        });
-        
-        ss58Input.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
+        }, 50);
+    });
+    
+    // SS58 input: auto-convert with debounce, checking the on-chain mapping
+    ss58Input.addEventListener('input', () => {
+        clearError(ss58Error, ss58Input);
+        lastSource = 'ss58';
+
+        // Invalidate any in-flight mapping check and the H160 it vouched for
+        mappingRequest++;
+        ethInput.value = '';
+        setMappingStatus(null);
+        hideMapAccountPanel();
+        showKnownAddress(null);
+        showPrefixMismatch(null);
+        hideConversionResult();
+
+        const value = ss58Input.value.trim();
+        if (value === '') {
+            return;
+        }
+
+        clearTimeout(ss58ConvertTimeout);
+        ss58ConvertTimeout = setTimeout(() => {
+            if (value.length >= 40) {
                 autoConvertSS58ToEth();
             }
-        });
-
-        // When user checks "mapped account", convert SS58 → ETH if SS58 field has a value
-        const mappedCheckbox = document.getElementById('ss58MappedCheckbox');
-        mappedCheckbox.addEventListener('change', () => {
-            if (mappedCheckbox.checked && ss58Input.value.trim().length >= 40) {
+        }, 500);
+    });
+    
+    // SS58 input: instant convert on paste
+    ss58Input.addEventListener('paste', () => {
+        setTimeout(() => {
+            if (ss58Input.value.trim()) {
+                clearTimeout(ss58ConvertTimeout);
                 autoConvertSS58ToEth();
-            } else if (!mappedCheckbox.checked && ss58Input.value.trim()) {
-                ethInput.value = '';
-                showError(ss58Error, ss58Input, 'Check the box to confirm you have mapped this account before converting SS58 → ETH.');
             }
-        });
+        }, 50);
+    });
+    
+    document.getElementById('ss58SwitchNetwork').addEventListener('click', (e) => {
+        lastSource = 'ss58';
+        selectNetwork(e.currentTarget.dataset.networkId);
+    });
+    document.getElementById('ss58Reencode').addEventListener('click', () => {
+        lastSource = 'ss58';
+        ss58Input.value = reencodeSS58(ss58Input.value.trim(), getSelectedSS58Prefix());
+        autoConvertSS58ToEth();
+    });
+
+    // Network change: re-convert from whichever field the user filled in;
+    // an SS58 account's mapping has to be re-checked on the new network
+    networkSelect.addEventListener('change', () => {
+        if (lastSource === 'ss58' && ss58Input.value.trim()) {
+            autoConvertSS58ToEth();
+        } else if (ethInput.value.trim()) {
+            autoConvertEthToSS58();
+        }
+    });
+    
+    // Enter key support
+    ethInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            autoConvertEthToSS58();
+        }
+    });
+    
+    ss58Input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            clearTimeout(ss58ConvertTimeout);
+            lastSource = 'ss58';
+            autoConvertSS58ToEth();
+        }
+    });
+
+    // Explicit override for a mixed-case address failing its EIP-55 checksum
+    ignoreChecksum.addEventListener('change', () => {
+        if (ethInput.value.trim()) {
+            autoConvertEthToSS58();
+        }
+    });
+
+    // Manual confirmation, offered only when the on-chain check is unavailable
+    const mappedCheckbox = document.getElementById('ss58MappedCheckbox');
+    mappedCheckbox.addEventListener('change', () => {
+        if (lastMappingResult && lastMappingResult.status === MAPPING_STATUS.UNKNOWN) {
+            clearError(ss58Error, ss58Input);
+            applyMappingResult(lastMappingResult);
+        }
     });
+});
 
-    console.log('EVM to SS58 Converter loaded successfully (using Polkadot.js)');
-})();
+console.log('EVM to SS58 Converter loaded successfully (using Polkadot.js)');
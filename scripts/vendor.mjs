@@ -0,0 +1,122 @@
+/**
+ * Copies the browser bundles the page loads into vendor/ and updates their
+ * Subresource Integrity hashes in index.html
+ *
+ * The page serves these files itself instead of loading them from a CDN, so
+ * it works offline and only changes when they are updated here. Versions
+ * come from package.json, where they are pinned exactly; the script refuses
+ * to copy anything else. polkadot-api ships no browser bundle, so its entry
+ * points are bundled with esbuild into ES modules for the page's import map.
+ *
+ * Run: npm install && npm run vendor
+ */
+
+import { readFileSync, writeFileSync, copyFileSync, mkdirSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { dirname, join, basename } from 'node:path';
+import { build } from 'esbuild';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const VENDOR_DIR = join(ROOT, 'vendor');
+const INDEX_HTML = join(ROOT, 'index.html');
+
+// Package and file of every bundle, in the order index.html loads them
+export const VENDORED_FILES = [
+    { name: '@polkadot/util', file: 'bundle-polkadot-util.js' },
+    { name: '@polkadot/util-crypto', file: 'bundle-polkadot-util-crypto.js' },
+    { name: 'qrcode-generator', file: 'dist/qrcode.js' },
+    { name: 'jsqr', file: 'dist/jsQR.js' }
+];
+
+// Import map entries bundled from polkadot-api, each into its own ES module
+export const BUNDLED_MODULES = [
+    { name: 'polkadot-api', specifier: 'polkadot-api', file: 'polkadot-api.js' },
+    { name: 'polkadot-api', specifier: 'polkadot-api/polkadot-sdk-compat', file: 'polkadot-api-sdk-compat.js' },
+    { name: 'polkadot-api', specifier: 'polkadot-api/ws-provider/web', file: 'polkadot-api-ws-provider-web.js' }
+];
+
+/**
+ * Bundles one package entry point and its dependencies into a single ES
+ * module. The output only depends on the installed packages, so a fresh
+ * build can be compared with the vendored copy.
+ *
+ * @param {string} specifier - Import specifier, e.g. "polkadot-api/ws-provider/web"
+ * @returns {Promise<Buffer>}
+ */
+export async function bundleModule(specifier) {
+    const { outputFiles } = await build({
+        stdin: { contents: `export * from '${specifier}';`, resolveDir: ROOT, loader: 'js' },
+        absWorkingDir: ROOT,
+        bundle: true,
+        format: 'esm',
+        platform: 'browser',
+        target: 'es2022',
+        legalComments: 'none',
+        write: false
+    });
+    return Buffer.from(outputFiles[0].contents);
+}
+
+function installedVersion(name, dependencies) {
+    // Read from disk: package exports maps can hide package.json
+    const { version } = JSON.parse(readFileSync(join(ROOT, 'node_modules', name, 'package.json'), 'utf8'));
+    if (dependencies[name] !== version) {
+        throw new Error(`${name} ${version} is installed, but package.json pins ${dependencies[name]}. Run npm install first.`);
+    }
+    return version;
+}
+
+/**
+ * Subresource Integrity hash of a file's contents
+ *
+ * @param {Buffer|string} contents
+ * @returns {string} e.g. "sha384-…"
+ */
+export function computeIntegrity(contents) {
+    return `sha384-${createHash('sha384').update(contents).digest('base64')}`;
+}
+
+async function vendor() {
+    const { dependencies } = JSON.parse(readFileSync(join(ROOT, 'package.json'), 'utf8'));
+    let html = readFileSync(INDEX_HTML, 'utf8');
+
+    mkdirSync(VENDOR_DIR, { recursive: true });
+    for (const { name, file } of VENDORED_FILES) {
+        const version = installedVersion(name, dependencies);
+        const packageDir = join(ROOT, 'node_modules', name);
+        const target = join(VENDOR_DIR, basename(file));
+        copyFileSync(join(packageDir, file), target);
+        const integrity = computeIntegrity(readFileSync(target));
+
+        const tag = new RegExp(`(<script src="vendor/${basename(file)}" integrity=")[^"]*(")`);
+        if (!tag.test(html)) {
+            throw new Error(`index.html has no <script src="vendor/${basename(file)}" integrity="…"> tag.`);
+        }
+        html = html.replace(tag, `$1${integrity}$2`);
+        console.log(`${name}@${version} -> vendor/${basename(file)} ${integrity}`);
+    }
+
+    for (const { name, specifier, file } of BUNDLED_MODULES) {
+        const version = installedVersion(name, dependencies);
+        const contents = await bundleModule(specifier);
+        writeFileSync(join(VENDOR_DIR, file), contents);
+        const integrity = computeIntegrity(contents);
+
+        // The import map's "integrity" section, keyed by the module's URL
+        const entry = new RegExp(`("\\./vendor/${file}": ")[^"]*(")`);
+        if (!entry.test(html)) {
+            throw new Error(`index.html's import map has no "./vendor/${file}" integrity entry.`);
+        }
+        html = html.replace(entry, `$1${integrity}$2`);
+        console.log(`${specifier}@${version} -> vendor/${file} ${integrity}`);
+    }
+    writeFileSync(INDEX_HTML, html);
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+    vendor().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,316 @@
+/**
+ * Conversion history and address book
+ *
+ * Every completed conversion is remembered as an entry: the address pair,
+ * the network it was converted for and when. Entries can be labelled and
+ * pinned; pinned entries form the address book, which is kept when the
+ * history is cleared or trimmed and can be exported as JSON and imported
+ * elsewhere:
+ *
+ *     {
+ *         "format": "evm-ss58-address-book",
+ *         "version": 1,
+ *         "exportedAt": "2025-01-01T00:00:00.000Z",
+ *         "entries": [
+ *             { "label": "Treasury", "ethAddress": "0x…", "ss58Address": "1…", "network": "polkadot-hub", "ss58Prefix": 0 }
+ *         ]
+ *     }
+ *
+ * An imported book is only as trustworthy as whoever shared it, so every
+ * entry is re-converted on import and the whole file is rejected if any
+ * pair does not match. The state lives in a Storage-like object
+ * (`localStorage` in the browser) and is re-read on every call, so several
+ * tabs share one history.
+ */
+
+import { convertAddress } from './batch.js';
+import { getNetwork, isValidSS58Prefix } from './networks.js';
+import { DEFAULT_MAPPING_STRATEGY } from './strategies.js';
+
+export const ADDRESS_BOOK_FORMAT = 'evm-ss58-address-book';
+export const ADDRESS_BOOK_VERSION = 1;
+export const ADDRESS_BOOK_STORAGE_KEY = 'evm-ss58-converter:address-book';
+export const DEFAULT_HISTORY_LIMIT = 50;
+export const MAX_LABEL_LENGTH = 64;
+
+/**
+ * Checks that an address pair is what the converter produces for the
+ * network, in one direction or the other
+ *
+ * @param {{ethAddress: string, ss58Address: string, network: string, ss58Prefix: number}} entry
+ * @returns {string|null} Why the pair is invalid, or null if it is valid
+ */
+export function validateAddressPair({ ethAddress, ss58Address, network, ss58Prefix }) {
+    if (typeof ethAddress !== 'string' || typeof ss58Address !== 'string') {
+        return 'Expected ethAddress and ss58Address strings.';
+    }
+    if (!Number.isInteger(ss58Prefix) || !isValidSS58Prefix(ss58Prefix)) {
+        return `Invalid SS58 prefix ${JSON.stringify(ss58Prefix)}.`;
+    }
+
+    const options = { strategy: getNetwork(network)?.mappingStrategy ?? DEFAULT_MAPPING_STRATEGY };
+    const forward = convertAddress(ethAddress, ss58Prefix, { ...options, ignoreChecksum: true });
+    if (forward.type === 'eth' && forward.output === ss58Address.trim()) {
+        return null;
+    }
+    const backward = convertAddress(ss58Address, ss58Prefix, options);
+    if (backward.type === 'ss58' && backward.output?.toLowerCase() === ethAddress.trim().toLowerCase()) {
+        return null;
+    }
+    return forward.error || backward.error || `${ethAddress} and ${ss58Address} are not the same account.`;
+}
+
+function normalizeLabel(label) {
+    if (label == null) {
+        return null;
+    }
+    if (typeof label !== 'string') {
+        throw new Error('Invalid label. Expected a string.');
+    }
+    const trimmed = label.trim();
+    if (trimmed.length > MAX_LABEL_LENGTH) {
+        throw new Error(`Label is too long. Expected at most ${MAX_LABEL_LENGTH} characters.`);
+    }
+    return trimmed || null;
+}
+
+function entryId(ethAddress, ss58Address) {
+    return `${ethAddress.trim().toLowerCase()}:${ss58Address.trim()}`;
+}
+
+// Stands in for localStorage where there is none (Node, or storage disabled)
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+// Sandboxed iframes and disabled storage throw a SecurityError on access
+function getLocalStorage() {
+    try {
+        return globalThis.localStorage;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Opens the conversion history and address book kept in `storage`
+ *
+ * @param {Object} [options]
+ * @param {Storage} [options.storage=localStorage] - Where entries are kept; in memory if unavailable or full
+ * @param {string} [options.key] - Storage key
+ * @param {number} [options.historyLimit=50] - Unpinned entries kept; older ones are dropped
+ * @param {() => number} [options.now=Date.now] - Clock, for tests
+ * @returns {AddressBook}
+ */
+export function createAddressBook({
+    storage = getLocalStorage(),
+    key = ADDRESS_BOOK_STORAGE_KEY,
+    historyLimit = DEFAULT_HISTORY_LIMIT,
+    now = Date.now
+} = {}) {
+    let store = storage ?? createMemoryStorage();
+
+    // Unreadable or foreign data starts an empty book rather than breaking the page
+    const load = () => {
+        try {
+            const state = JSON.parse(store.getItem(key));
+            return state?.version === ADDRESS_BOOK_VERSION && Array.isArray(state.entries) ? state.entries : [];
+        } catch {
+            return [];
+        }
+    };
+
+    const save = (entries) => {
+        const pinned = entries.filter(entry => entry.pinned);
+        const recent = entries.filter(entry => !entry.pinned)
+            .sort((a, b) => b.usedAt.localeCompare(a.usedAt))
+            .slice(0, historyLimit);
+        const state = JSON.stringify({ version: ADDRESS_BOOK_VERSION, entries: pinned.concat(recent) });
+        // A full or refused store (e.g. QuotaExceededError) keeps the book in memory for this visit
+        try {
+            store.setItem(key, state);
+        } catch {
+            store = createMemoryStorage();
+            store.setItem(key, state);
+        }
+    };
+
+    const find = (entries, id) => {
+        const entry = entries.find(candidate => candidate.id === id);
+        if (!entry) {
+            throw new Error(`Unknown address book entry "${id}".`);
+        }
+        return entry;
+    };
+
+    const timestamp = () => new Date(now()).toISOString();
+
+    return {
+        /**
+         * All entries, most recently used first
+         * @returns {AddressBookEntry[]}
+         */
+        getHistory() {
+            return load().sort((a, b) => b.usedAt.localeCompare(a.usedAt));
+        },
+
+        /**
+         * Pinned entries, by label
+         * @returns {AddressBookEntry[]}
+         */
+        getPinned() {
+            return load()
+                .filter(entry => entry.pinned)
+                .sort((a, b) => (a.label || '').localeCompare(b.label || '') || a.id.localeCompare(b.id));
+        },
+
+        /**
+         * Adds a completed conversion, or marks an existing entry for the same
+         * pair as used now; its label and pin are kept
+         *
+         * @param {{ethAddress: string, ss58Address: string, network: string, ss58Prefix: number}} conversion
+         * @returns {AddressBookEntry}
+         */
+        record({ ethAddress, ss58Address, network, ss58Prefix }) {
+            const entries = load();
+            const id = entryId(ethAddress, ss58Address);
+            const usedAt = timestamp();
+            let entry = entries.find(candidate => candidate.id === id);
+            if (entry) {
+                Object.assign(entry, { network, ss58Prefix, usedAt });
+            } else {
+                entry = {
+                    id,
+                    ethAddress: ethAddress.trim(),
+                    ss58Address: ss58Address.trim(),
+                    network,
+                    ss58Prefix,
+                    label: null,
+                    pinned: false,
+                    createdAt: usedAt,
+                    usedAt
+                };
+                entries.push(entry);
+            }
+            save(entries);
+            return { ...entry };
+        },
+
+        /**
+         * Changes an entry's label and/or pin
+         *
+         * @param {string} id - Entry id
+         * @param {{label?: string|null, pinned?: boolean}} changes
+         * @returns {AddressBookEntry}
+         * @throws {Error} If there is no such entry or the label is invalid
+         */
+        update(id, { label, pinned } = {}) {
+            const entries = load();
+            const entry = find(entries, id);
+            if (label !== undefined) {
+                entry.label = normalizeLabel(label);
+            }
+            if (pinned !== undefined) {
+                entry.pinned = !!pinned;
+            }
+            save(entries);
+            return { ...entry };
+        },
+
+        /**
+         * Deletes an entry, pinned or not
+         * @param {string} id - Entry id
+         */
+        remove(id) {
+            save(load().filter(entry => entry.id !== id));
+        },
+
+        /**
+         * Deletes every unpinned entry
+         */
+        clearHistory() {
+            save(load().filter(entry => entry.pinned));
+        },
+
+        /**
+         * Serializes the pinned entries for sharing
+         * @returns {string} JSON document
+         */
+        exportJSON() {
+            const entries = this.getPinned().map(({ label, ethAddress, ss58Address, network, ss58Prefix }) =>
+                ({ label, ethAddress, ss58Address, network, ss58Prefix }));
+            return JSON.stringify({
+                format: ADDRESS_BOOK_FORMAT,
+                version: ADDRESS_BOOK_VERSION,
+                exportedAt: timestamp(),
+                entries
+            }, null, 2);
+        },
+
+        /**
+         * Pins every entry of an exported book, taking over its labels
+         *
+         * @param {string} text - JSON document from `exportJSON`
+         * @returns {{added: number, updated: number}} New and already known entries
+         * @throws {Error} If the document is malformed or any entry is invalid; nothing is imported then
+         */
+        importJSON(text) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch {
+                throw new Error('Invalid address book: not a JSON document.');
+            }
+            if (data?.format !== ADDRESS_BOOK_FORMAT || !Array.isArray(data.entries)) {
+                throw new Error(`Invalid address book: expected a "${ADDRESS_BOOK_FORMAT}" document.`);
+            }
+            if (data.version !== ADDRESS_BOOK_VERSION) {
+                throw new Error(`Unsupported address book version ${data.version}. Expected ${ADDRESS_BOOK_VERSION}.`);
+            }
+
+            const imported = data.entries.map((item, index) => {
+                const problem = validateAddressPair(item ?? {});
+                if (problem) {
+                    throw new Error(`Invalid address book entry ${index + 1}: ${problem}`);
+                }
+                try {
+                    return { ...item, label: normalizeLabel(item.label) };
+                } catch (error) {
+                    throw new Error(`Invalid address book entry ${index + 1}: ${error.message}`);
+                }
+            });
+
+            const entries = load();
+            const usedAt = timestamp();
+            let added = 0, updated = 0;
+            for (const { label, ethAddress, ss58Address, network, ss58Prefix } of imported) {
+                const id = entryId(ethAddress, ss58Address);
+                const existing = entries.find(candidate => candidate.id === id);
+                if (existing) {
+                    Object.assign(existing, { label: label ?? existing.label, pinned: true });
+                    updated++;
+                } else {
+                    entries.push({
+                        id,
+                        ethAddress: ethAddress.trim(),
+                        ss58Address: ss58Address.trim(),
+                        network: typeof network === 'string' ? network : null,
+                        ss58Prefix,
+                        label,
+                        pinned: true,
+                        createdAt: usedAt,
+                        usedAt
+                    });
+                    added++;
+                }
+            }
+            save(entries);
+            return { added, updated };
+        }
+    };
+}
@@ -0,0 +1,279 @@
+/**
+ * EVM <-> SS58 address conversion
+ *
+ * Conversion Logic (default pallet-revive strategy, see strategies.js for the others):
+ * - ETH → SS58: 20-byte ETH address is padded to 32 bytes with 0xEE suffix
+ * - SS58 → ETH: If padded (ends with 0xEE), strips to original; otherwise Keccak256 hash
+ */
+
+import { hexToU8a, u8aToHex, encodeAddress, decodeAddress, keccak256AsU8a } from './polkadot.js';
+import { assertValidSS58Prefix } from './networks.js';
+import { getMappingStrategy, MAPPING_STRATEGY } from './strategies.js';
+
+const ETH_ADDRESS_REGEX = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * How `deriveEthAddress` arrived at an H160. Custom mapping strategies are
+ * labelled with their own id.
+ */
+export const ETH_DERIVATION = Object.freeze({
+    /** pallet-revive: the 0xEE padding was stripped, recovering the original H160 */
+    ETH_DERIVED: 'eth-derived',
+    /** pallet-revive: last 20 bytes of Keccak256 of the 32-byte account id */
+    KECCAK_ACCOUNT_ID: 'keccak-account-id',
+    /** ECDSA account: last 20 bytes of Keccak256 of the uncompressed secp256k1 key */
+    ECDSA_PUBLIC_KEY: 'ecdsa-public-key',
+    /** AccountId20: the account id is the H160 */
+    ACCOUNT_ID_20: 'account-id-20'
+});
+
+/** Length of a compressed secp256k1 public key, as held by Substrate ECDSA accounts */
+const ECDSA_PUBLIC_KEY_LENGTH = 33;
+
+/** secp256k1 field prime */
+const SECP256K1_P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+
+/**
+ * Converts an Ethereum address to SS58 format
+ *
+ * Process:
+ * 1. Validate Ethereum address (must be 20 bytes, EIP-55 checksum if mixed-case) and SS58 prefix
+ * 2. Map the 20 ETH bytes to an account id with the mapping strategy
+ *    (pallet-revive: copy them into a 32-byte array filled with 0xEE)
+ * 3. Encode with SS58 using selected network prefix; AccountId20 accounts
+ *    have no SS58 form and are returned as a checksummed H160
+ *
+ * @param {string} ethAddress - Ethereum address (0x + 40 hex chars)
+ * @param {number} ss58Prefix - Network prefix (0-16383, excluding reserved 46/47)
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreChecksum=false] - Accept mixed-case input whose EIP-55 checksum does not match
+ * @param {string|object} [options.strategy='revive'] - Mapping strategy id or object
+ * @returns {string} SS58-encoded address
+ */
+export function ethToSS58(ethAddress, ss58Prefix, { ignoreChecksum = false, strategy } = {}) {
+    // Validate Ethereum address format
+    if (!ETH_ADDRESS_REGEX.test(ethAddress)) {
+        throw new Error('Invalid Ethereum address format. Expected 0x followed by 40 hex characters.');
+    }
+    if (!ignoreChecksum && !isValidEthChecksum(ethAddress)) {
+        throw new Error('EIP-55 checksum mismatch. This mixed-case address is not correctly checksummed, which usually means it contains a typo.');
+    }
+    assertValidSS58Prefix(ss58Prefix);
+    const mapping = getMappingStrategy(strategy);
+
+    // Convert ETH address to bytes (20 bytes) and map it to an account id
+    const accountId = mapping.ethToAccountId(hexToU8a(ethAddress));
+
+    // AccountId20 chains display the account id itself
+    if (accountId.length === 20) {
+        return toChecksumAddress(u8aToHex(accountId));
+    }
+
+    // Encode as SS58 address
+    return encodeAddress(accountId, ss58Prefix);
+}
+
+/**
+ * Converts an SS58 address to Ethereum format
+ *
+ * Process:
+ * 1. Decode SS58 address to its public key (an AccountId20 account is given as its H160)
+ * 2. A 33-byte compressed secp256k1 key (ECDSA account) is decompressed and
+ *    hashed with Keccak256 like any Ethereum key, whatever the strategy
+ * 3. Otherwise map the account id back with the mapping strategy. For pallet-revive, check last 12 bytes:
+ *    - If all 0xEE: This is an ETH-derived address, strip suffix to get original 20 bytes
+ *    - Otherwise: This is a native Substrate address, hash with Keccak256 and take last 20 bytes
+ * 4. Return checksummed Ethereum address
+ *
+ * See `deriveEthAddress` to also learn which of these paths was taken.
+ *
+ * @param {string} ss58Address - SS58-encoded Substrate address
+ * @param {object} [options]
+ * @param {string|object} [options.strategy='revive'] - Mapping strategy id or object
+ * @returns {string} Checksummed Ethereum address
+ * @throws {Error} If the key length does not suit the strategy, or the strategy is one-way
+ */
+export function ss58ToEth(ss58Address, options = {}) {
+    return deriveEthAddress(ss58Address, options).ethAddress;
+}
+
+/**
+ * Converts an SS58 address to Ethereum format and labels the derivation used
+ *
+ * @param {string} ss58Address - SS58-encoded Substrate address
+ * @param {object} [options]
+ * @param {string|object} [options.strategy='revive'] - Mapping strategy id or object
+ * @returns {{ethAddress: string, derivation: string}} Checksummed H160 and an `ETH_DERIVATION` value
+ * @throws {Error} If the key length does not suit the strategy, the strategy is
+ *   one-way, or a 33-byte key is not a valid compressed secp256k1 point
+ */
+export function deriveEthAddress(ss58Address, { strategy } = {}) {
+    const mapping = getMappingStrategy(strategy);
+
+    // Decode SS58 address to get the public key
+    const accountId = mapping.accountIdLength === 20 && ETH_ADDRESS_REGEX.test(ss58Address)
+        ? hexToU8a(ss58Address)
+        : decodeAddress(ss58Address);
+
+    if (accountId.length === ECDSA_PUBLIC_KEY_LENGTH) {
+        return { ethAddress: ecdsaToEthAddress(accountId), derivation: ETH_DERIVATION.ECDSA_PUBLIC_KEY };
+    }
+
+    if (accountId.length !== mapping.accountIdLength) {
+        throw new Error(`${mapping.name} accounts are ${mapping.accountIdLength} bytes long, but this address holds a ${accountId.length}-byte key.`);
+    }
+
+    // Convert to hex and apply EIP-55 checksumming
+    const ethAddress = toChecksumAddress(u8aToHex(mapping.accountIdToEth(accountId)));
+
+    let derivation = mapping.id;
+    if (mapping.id === MAPPING_STRATEGY.REVIVE) {
+        derivation = accountId.slice(20).every(byte => byte === 0xEE)
+            ? ETH_DERIVATION.ETH_DERIVED
+            : ETH_DERIVATION.KECCAK_ACCOUNT_ID;
+    } else if (mapping.id === MAPPING_STRATEGY.ACCOUNT_ID_20) {
+        derivation = ETH_DERIVATION.ACCOUNT_ID_20;
+    }
+
+    return { ethAddress, derivation };
+}
+
+/**
+ * Derives the Ethereum address of a compressed secp256k1 public key
+ *
+ * @param {Uint8Array} publicKey - 33-byte compressed key (0x02/0x03 prefix)
+ * @returns {string} Checksummed Ethereum address
+ * @throws {Error} If the key is not a valid compressed point
+ */
+function ecdsaToEthAddress(publicKey) {
+    // Ethereum hashes X and Y without the 0x04 marker of the uncompressed form
+    const uncompressed = decompressSecp256k1(publicKey);
+    return toChecksumAddress(u8aToHex(keccak256AsU8a(uncompressed).slice(-20)));
+}
+
+function modPow(base, exponent, modulus) {
+    let result = 1n;
+    base %= modulus;
+    while (exponent > 0n) {
+        if (exponent & 1n) {
+            result = result * base % modulus;
+        }
+        base = base * base % modulus;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+/**
+ * Recovers Y from a compressed secp256k1 key by solving y² = x³ + 7 (mod p)
+ *
+ * @param {Uint8Array} publicKey - 33-byte compressed key
+ * @returns {Uint8Array} 64 bytes: X then Y, big-endian
+ * @throws {Error} If the prefix is not 0x02/0x03 or X is not on the curve
+ */
+function decompressSecp256k1(publicKey) {
+    const invalid = new Error('Invalid ECDSA public key. Expected a 33-byte compressed secp256k1 key.');
+    const prefix = publicKey[0];
+    if (prefix !== 0x02 && prefix !== 0x03) {
+        throw invalid;
+    }
+
+    const x = BigInt(u8aToHex(publicKey.slice(1)));
+    if (x >= SECP256K1_P) {
+        throw invalid;
+    }
+    const ySquared = (modPow(x, 3n, SECP256K1_P) + 7n) % SECP256K1_P;
+    // p ≡ 3 (mod 4), so a square root is a single exponentiation
+    let y = modPow(ySquared, (SECP256K1_P + 1n) / 4n, SECP256K1_P);
+    if (y * y % SECP256K1_P !== ySquared) {
+        throw invalid;
+    }
+    // The prefix encodes the parity of Y
+    if ((y & 1n) !== BigInt(prefix & 1)) {
+        y = SECP256K1_P - y;
+    }
+
+    const uncompressed = new Uint8Array(64);
+    uncompressed.set(publicKey.slice(1), 0);
+    uncompressed.set(hexToU8a('0x' + y.toString(16).padStart(64, '0')), 32);
+    return uncompressed;
+}
+
+/**
+ * Converts an Ethereum address to checksummed format (EIP-55)
+ *
+ * @param {string} address - Ethereum address (with or without 0x prefix)
+ * @returns {string} Checksummed Ethereum address with 0x prefix
+ */
+export function toChecksumAddress(address) {
+    const addr = address.toLowerCase().replace('0x', '');
+
+    if (addr.length !== 40) {
+        throw new Error('Invalid Ethereum address length');
+    }
+
+    const hash = keccak256AsU8a(new TextEncoder().encode(addr));
+
+    let checksummed = '0x';
+    for (let i = 0; i < addr.length; i++) {
+        if (hash[Math.floor(i / 2)] >> (i % 2 === 0 ? 4 : 0) & 0x8) {
+            checksummed += addr[i].toUpperCase();
+        } else {
+            checksummed += addr[i];
+        }
+    }
+
+    return checksummed;
+}
+
+/**
+ * Verifies the EIP-55 checksum of an Ethereum address
+ *
+ * All-lowercase and all-uppercase addresses carry no checksum and are
+ * accepted as unchecksummed; mixed-case addresses must match EIP-55 exactly.
+ *
+ * @param {string} address - Ethereum address (0x + 40 hex chars)
+ * @returns {boolean} True if the address is unchecksummed or correctly checksummed
+ */
+export function isValidEthChecksum(address) {
+    const hex = address.slice(2);
+    if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) {
+        return true;
+    }
+    return toChecksumAddress(address) === address;
+}
+
+/**
+ * Validates an Ethereum address format and, for mixed-case input, its EIP-55 checksum
+ *
+ * @param {string} address - Candidate Ethereum address
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreChecksum=false] - Only check the format
+ * @returns {boolean} True if the address is 0x followed by 40 hex characters with no checksum mismatch
+ */
+export function isValidEthAddress(address, { ignoreChecksum = false } = {}) {
+    return ETH_ADDRESS_REGEX.test(address) && (ignoreChecksum || isValidEthChecksum(address));
+}
+
+/**
+ * Validates an SS58 address by attempting to decode it
+ *
+ * `decodeAddress` also accepts raw hex public keys, which are not SS58, so
+ * 0x-prefixed input is rejected up front.
+ *
+ * @param {string} address - Candidate SS58 address
+ * @returns {boolean} True if the address decodes with a valid checksum;
+ *     false for anything else, non-strings included
+ */
+export function isValidSS58Address(address) {
+    if (typeof address !== 'string' || address.startsWith('0x')) {
+        return false;
+    }
+
+    try {
+        decodeAddress(address);
+        return true;
+    } catch {
+        return false;
+    }
+}
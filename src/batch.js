@@ -0,0 +1,82 @@
+/**
+ * Batch conversion
+ *
+ * Detects the format of each input and converts it in the appropriate
+ * direction. Failures are reported per entry so that one bad line never
+ * aborts the rest of the batch.
+ */
+
+import { ethToSS58, deriveEthAddress, isValidEthAddress, isValidSS58Address } from './address.js';
+import { detectPrefixMismatch } from './ss58.js';
+import { isValidSS58Prefix } from './networks.js';
+
+/**
+ * Detects whether a string is an Ethereum or SS58 address
+ *
+ * Detection ignores the EIP-55 checksum, so a mistyped mixed-case address is
+ * still recognized as Ethereum and reported as a checksum mismatch on conversion.
+ *
+ * @param {string} input - Address to inspect
+ * @returns {'eth'|'ss58'|null} Detected format, or null if neither
+ */
+export function detectAddressType(input) {
+    if (isValidEthAddress(input, { ignoreChecksum: true })) {
+        return 'eth';
+    }
+    if (isValidSS58Address(input)) {
+        return 'ss58';
+    }
+    return null;
+}
+
+/**
+ * Converts a single address in whichever direction its format implies
+ *
+ * @param {string} input - Ethereum or SS58 address
+ * @param {number} ss58Prefix - Network prefix used for ETH → SS58, and expected of SS58 inputs
+ * @param {object} [options] - Passed through to `ethToSS58` and `ss58ToEth` (`ignoreChecksum`, `strategy`)
+ * @returns {{input: string, type: 'eth'|'ss58'|null, output: string|null, derivation: string|null,
+ *     prefixMismatch: object|null, error: string|null}}
+ *     `derivation` labels how an SS58 input's H160 was derived (see `ETH_DERIVATION`);
+ *     `prefixMismatch` is set when an SS58 input is encoded for another network (see `detectPrefixMismatch`)
+ */
+export function convertAddress(input, ss58Prefix, options = {}) {
+    const address = input.trim();
+    const type = detectAddressType(address);
+
+    try {
+        if (type === 'eth') {
+            const output = ethToSS58(address, ss58Prefix, options);
+            return { input: address, type, output, derivation: null, prefixMismatch: null, error: null };
+        }
+        if (type === 'ss58') {
+            const { ethAddress, derivation } = deriveEthAddress(address, options);
+            const prefixMismatch = isValidSS58Prefix(ss58Prefix) ? detectPrefixMismatch(address, ss58Prefix) : null;
+            return { input: address, type, output: ethAddress, derivation, prefixMismatch, error: null };
+        }
+        return {
+            input: address,
+            type,
+            output: null,
+            derivation: null,
+            prefixMismatch: null,
+            error: 'Unrecognized address format. Expected an Ethereum (0x…) or SS58 address.'
+        };
+    } catch (error) {
+        return { input: address, type, output: null, derivation: null, prefixMismatch: null, error: error.message };
+    }
+}
+
+/**
+ * Converts a list of addresses, skipping blank entries
+ *
+ * @param {string[]} inputs - Ethereum and/or SS58 addresses
+ * @param {number} ss58Prefix - Network prefix used for ETH → SS58
+ * @param {object} [options] - Passed through to `ethToSS58` and `ss58ToEth` (`ignoreChecksum`, `strategy`)
+ * @returns {Array<ReturnType<typeof convertAddress>>} One result per non-blank input
+ */
+export function convertBatch(inputs, ss58Prefix, options = {}) {
+    return inputs
+        .filter(input => input.trim() !== '')
+        .map(input => convertAddress(input, ss58Prefix, options));
+}
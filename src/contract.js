@@ -0,0 +1,161 @@
+/**
+ * pallet-revive contract addresses
+ *
+ * pallet-revive derives contract addresses exactly like Ethereum:
+ * - CREATE: last 20 bytes of keccak256(rlp([deployer, nonce]))
+ * - CREATE2: last 20 bytes of keccak256(0xff ++ deployer ++ salt ++ codeHash),
+ *   where codeHash is keccak256 of the contract code followed by its
+ *   constructor input
+ *
+ * A contract is an ETH-derived account, so its SS58 form is its H160 padded
+ * with 0xEE. An SS58 deployer is first resolved to the H160 pallet-revive
+ * assigns it.
+ */
+
+import { hexToU8a, u8aToHex, keccak256AsU8a, u8aConcat } from './polkadot.js';
+import { ethToSS58, toChecksumAddress, isValidEthAddress, isValidSS58Address } from './address.js';
+import { getReviveAccount } from './mapping.js';
+
+const BYTES32_REGEX = /^0x[0-9a-fA-F]{64}$/;
+const MAX_NONCE = 2n ** 64n - 1n;
+
+export const CONTRACT_SCHEME = Object.freeze({
+    CREATE: 'create',
+    CREATE2: 'create2'
+});
+
+/**
+ * Resolves a deployer given as an H160 or SS58 address to its H160
+ *
+ * @param {string} deployer - Ethereum address or SS58 address
+ * @returns {string} Checksummed H160 of the deployer
+ * @throws {Error} If the deployer is neither, or fails its EIP-55 checksum
+ */
+export function resolveDeployer(deployer) {
+    const address = deployer.trim();
+    if (isValidEthAddress(address, { ignoreChecksum: true })) {
+        if (!isValidEthAddress(address)) {
+            throw new Error('EIP-55 checksum mismatch in the deployer address, which usually means it contains a typo.');
+        }
+        return toChecksumAddress(address);
+    }
+    if (isValidSS58Address(address)) {
+        return getReviveAccount(address).ethAddress;
+    }
+    throw new Error('Invalid deployer. Expected an Ethereum (0x…) or SS58 address.');
+}
+
+function parseNonce(nonce) {
+    const text = String(nonce).trim();
+    const value = /^\d+$/.test(text) ? BigInt(text) : -1n;
+    if (value < 0n || value > MAX_NONCE) {
+        throw new Error(`Invalid nonce ${nonce}. Expected an integer between 0 and ${MAX_NONCE}.`);
+    }
+    return value;
+}
+
+function parseBytes32(value, name) {
+    if (!BYTES32_REGEX.test(value)) {
+        throw new Error(`Invalid ${name}. Expected 0x followed by 64 hex characters.`);
+    }
+    return hexToU8a(value);
+}
+
+/**
+ * RLP-encodes [address, nonce], the only list CREATE ever hashes
+ */
+function rlpEncodeCreate(deployerBytes, nonce) {
+    let nonceItem;
+    if (nonce === 0n) {
+        nonceItem = new Uint8Array([0x80]);
+    } else if (nonce < 0x80n) {
+        nonceItem = new Uint8Array([Number(nonce)]);
+    } else {
+        const hex = nonce.toString(16);
+        const bytes = hexToU8a('0x' + hex.padStart(hex.length + hex.length % 2, '0'));
+        nonceItem = u8aConcat(new Uint8Array([0x80 + bytes.length]), bytes);
+    }
+
+    const payload = u8aConcat(new Uint8Array([0x80 + 20]), deployerBytes, nonceItem);
+    // At most 21 + 9 bytes, so always the short list form
+    return u8aConcat(new Uint8Array([0xc0 + payload.length]), payload);
+}
+
+/**
+ * Computes the address of a contract deployed with CREATE
+ *
+ * @param {string} deployer - Deployer as an Ethereum or SS58 address
+ * @param {number|bigint|string} nonce - Deployer nonce at deployment time
+ * @returns {string} Checksummed contract H160
+ * @throws {Error} If the deployer or nonce is invalid
+ */
+export function getCreateAddress(deployer, nonce) {
+    const deployerBytes = hexToU8a(resolveDeployer(deployer));
+    const hash = keccak256AsU8a(rlpEncodeCreate(deployerBytes, parseNonce(nonce)));
+    return toChecksumAddress(u8aToHex(hash.slice(-20)));
+}
+
+/**
+ * Hashes contract code and constructor input into the CREATE2 code hash
+ *
+ * @param {string} code - Contract code as hex
+ * @param {string} [inputData='0x'] - ABI-encoded constructor arguments as hex
+ * @returns {string} keccak256(code ++ inputData) as 32-byte hex
+ * @throws {Error} If either value is not 0x-prefixed hex
+ */
+export function getCodeHash(code, inputData = '0x') {
+    [code, inputData].forEach(value => {
+        if (!/^0x([0-9a-fA-F]{2})*$/.test(value)) {
+            throw new Error('Invalid code or input data. Expected 0x-prefixed hex bytes.');
+        }
+    });
+    return u8aToHex(keccak256AsU8a(u8aConcat(hexToU8a(code), hexToU8a(inputData))));
+}
+
+/**
+ * Computes the address of a contract deployed with CREATE2
+ *
+ * @param {string} deployer - Deployer as an Ethereum or SS58 address
+ * @param {string} salt - 32-byte salt as hex
+ * @param {string} codeHash - keccak256 of the code and constructor input, as 32-byte hex
+ * @returns {string} Checksummed contract H160
+ * @throws {Error} If the deployer, salt or code hash is invalid
+ */
+export function getCreate2Address(deployer, salt, codeHash) {
+    const deployerBytes = hexToU8a(resolveDeployer(deployer));
+    const data = u8aConcat(
+        new Uint8Array([0xff]),
+        deployerBytes,
+        parseBytes32(salt, 'salt'),
+        parseBytes32(codeHash, 'code hash')
+    );
+    return toChecksumAddress(u8aToHex(keccak256AsU8a(data).slice(-20)));
+}
+
+/**
+ * Computes a contract's H160 and its SS58 form on a network
+ *
+ * CREATE2 is used when a salt is given, CREATE otherwise.
+ *
+ * @param {object} params
+ * @param {string} params.deployer - Deployer as an Ethereum or SS58 address
+ * @param {number|bigint|string} [params.nonce] - Deployer nonce (CREATE)
+ * @param {string} [params.salt] - 32-byte salt as hex (CREATE2)
+ * @param {string} [params.codeHash] - 32-byte code hash as hex (CREATE2)
+ * @param {number} ss58Prefix - Network prefix for the SS58 form
+ * @returns {{scheme: string, deployer: string, ethAddress: string, ss58Address: string}}
+ * @throws {Error} If any parameter is invalid
+ */
+export function computeContractAddress({ deployer, nonce, salt, codeHash }, ss58Prefix) {
+    const scheme = salt !== undefined && salt !== '' ? CONTRACT_SCHEME.CREATE2 : CONTRACT_SCHEME.CREATE;
+    const ethAddress = scheme === CONTRACT_SCHEME.CREATE2
+        ? getCreate2Address(deployer, salt, codeHash)
+        : getCreateAddress(deployer, nonce);
+
+    return {
+        scheme,
+        deployer: resolveDeployer(deployer),
+        ethAddress,
+        ss58Address: ethToSS58(ethAddress, ss58Prefix)
+    };
+}
@@ -0,0 +1,83 @@
+/**
+ * Minimal CSV helpers (RFC 4180 quoting)
+ */
+
+/**
+ * Quotes a CSV field if it contains a delimiter, quote or newline
+ *
+ * @param {*} value - Field value; null/undefined become empty fields
+ * @returns {string} Escaped field
+ */
+export function escapeCSVField(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes rows to CSV text
+ *
+ * @param {Array<Array<*>>} rows - Rows of field values, header row included
+ * @returns {string} CSV text terminated by a newline
+ */
+export function formatCSV(rows) {
+    return rows.map(row => row.map(escapeCSVField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Parses CSV text into rows of fields
+ *
+ * Handles quoted fields (including embedded commas, newlines and doubled
+ * quotes) and both LF and CRLF line endings. Blank lines are skipped, so a
+ * plain one-address-per-line list parses as a single-column CSV.
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Parsed rows
+ */
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+}
@@ -0,0 +1,243 @@
+/**
+ * Derived accounts
+ *
+ * Several Substrate accounts have no key of their own and are instead
+ * derived from other data, always as a 32-byte account id:
+ * - multisig: blake2_256("modlpy/utilisuba" ++ sorted signatories ++ threshold)
+ * - pure proxy: blake2_256("modlpy/proxy____" ++ spawner ++ block height ++
+ *   extrinsic index ++ proxy type ++ disambiguation index)
+ * - pallet: "modl" ++ the 8-byte PalletId, zero-padded
+ * - sovereign: "para" (seen from the relay chain) or "sibl" (seen from a
+ *   sibling parachain) ++ the u32 para id, zero-padded
+ *
+ * Each is then an ordinary native account, so its H160 is whatever
+ * `ss58ToEth` makes of it: the Keccak256 fallback, which only reaches the
+ * account once it has called `Revive.map_account`. Multisigs and pure
+ * proxies dispatch that call through `as_multi` or `proxy`, and a
+ * parachain's sovereign account through an XCM `Transact` with
+ * `OriginKind::SovereignAccount`. A pallet account has no one to dispatch
+ * for it: only a governance call (e.g. `Utility.dispatch_as`) can map it.
+ */
+
+import {
+    hexToU8a,
+    u8aToHex,
+    stringToU8a,
+    u8aConcat,
+    u8aCmp,
+    bnToU8a,
+    compactToU8a,
+    blake2AsU8a,
+    encodeAddress
+} from './polkadot.js';
+import { deriveEthAddress, isValidEthAddress, isValidSS58Address, ETH_DERIVATION } from './address.js';
+import { getMappingStrategy, MAPPING_STRATEGY } from './strategies.js';
+import { getReviveAccount } from './mapping.js';
+
+export const DERIVED_ACCOUNT = Object.freeze({
+    MULTISIG: 'multisig',
+    PURE_PROXY: 'pure-proxy',
+    PALLET: 'pallet',
+    SOVEREIGN: 'sovereign',
+    SIBLING_SOVEREIGN: 'sibling-sovereign'
+});
+
+// Kinds whose owners can dispatch Revive.map_account as the account
+const MAPPABLE_KINDS = [
+    DERIVED_ACCOUNT.MULTISIG,
+    DERIVED_ACCOUNT.PURE_PROXY,
+    DERIVED_ACCOUNT.SOVEREIGN,
+    DERIVED_ACCOUNT.SIBLING_SOVEREIGN
+];
+
+const FALLBACK_NOTE = 'Until then, funds sent to the H160 go to the 0xEE-padded fallback account, which nobody controls.';
+const XCM_WARNING = 'Native account: this H160 only reaches it after the parachain dispatches Revive.map_account '
+    + `through an XCM Transact with OriginKind::SovereignAccount. ${FALLBACK_NOTE}`;
+
+// Why each kind's H160 does not reach it yet, and how that changes
+const MAPPING_WARNINGS = {
+    [DERIVED_ACCOUNT.MULTISIG]: 'Native account: this H160 only reaches it after the signatories dispatch '
+        + `Revive.map_account through as_multi. ${FALLBACK_NOTE}`,
+    [DERIVED_ACCOUNT.PURE_PROXY]: 'Native account: this H160 only reaches it after a proxy dispatches '
+        + `Revive.map_account through proxy. ${FALLBACK_NOTE}`,
+    [DERIVED_ACCOUNT.PALLET]: 'Pallet account: this H160 only reaches it after a governance call dispatches '
+        + `Revive.map_account as the pallet account (e.g. Utility.dispatch_as). ${FALLBACK_NOTE}`,
+    [DERIVED_ACCOUNT.SOVEREIGN]: XCM_WARNING,
+    [DERIVED_ACCOUNT.SIBLING_SOVEREIGN]: XCM_WARNING
+};
+
+const MULTISIG_PREFIX = stringToU8a('modlpy/utilisuba');
+const PURE_PROXY_PREFIX = stringToU8a('modlpy/proxy____');
+const PALLET_PREFIX = stringToU8a('modl');
+const PARA_PREFIX = stringToU8a('para');
+const SIBLING_PREFIX = stringToU8a('sibl');
+
+const ACCOUNT_ID_REGEX = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * Resolves an SS58 address, 32-byte hex account id or H160 to its account id
+ *
+ * An ECDSA SS58 address resolves to the Blake2 hash of its key and an H160
+ * to its 0xEE-padded pallet-revive account, as on chain.
+ */
+function toAccountId(value, name) {
+    const address = String(value).trim();
+    if (ACCOUNT_ID_REGEX.test(address)) {
+        return hexToU8a(address);
+    }
+    if (isValidEthAddress(address)) {
+        return getMappingStrategy(MAPPING_STRATEGY.REVIVE).ethToAccountId(hexToU8a(address));
+    }
+    if (isValidSS58Address(address)) {
+        return hexToU8a(getReviveAccount(address).accountId);
+    }
+    throw new Error(`Invalid ${name} "${address}". Expected an SS58 address, a 32-byte hex account id or an Ethereum address.`);
+}
+
+function parseInteger(value, name, bits) {
+    const text = String(value).trim();
+    const max = 2n ** BigInt(bits) - 1n;
+    const parsed = /^\d+$/.test(text) ? BigInt(text) : -1n;
+    if (parsed < 0n || parsed > max) {
+        throw new Error(`Invalid ${name} ${value}. Expected an integer between 0 and ${max}.`);
+    }
+    return bnToU8a(parsed, { bitLength: bits, isLe: true });
+}
+
+function padAccountId(data) {
+    const accountId = new Uint8Array(32);
+    accountId.set(data);
+    return accountId;
+}
+
+/**
+ * Computes a multisig account id, as pallet-multisig does
+ *
+ * Signatories are sorted, so their order does not matter.
+ *
+ * @param {string[]} signatories - At least two distinct accounts (SS58, hex account id or H160)
+ * @param {number|string} threshold - Approvals needed, from 1 to the number of signatories
+ * @returns {string} 32-byte account id as hex
+ * @throws {Error} If a signatory is invalid or repeated, or the threshold is out of range
+ */
+export function getMultisigAccountId(signatories, threshold) {
+    const accountIds = signatories.map(signatory => toAccountId(signatory, 'signatory')).sort(u8aCmp);
+    if (accountIds.length < 2) {
+        throw new Error('A multisig needs at least two signatories.');
+    }
+    if (accountIds.some((accountId, i) => i > 0 && u8aCmp(accountId, accountIds[i - 1]) === 0)) {
+        throw new Error('Duplicate signatory. Each account can only sign once.');
+    }
+    const thresholdBytes = parseInteger(threshold, 'threshold', 16);
+    const count = Number(threshold);
+    if (count < 1 || count > accountIds.length) {
+        throw new Error(`Invalid threshold ${threshold}. Expected between 1 and ${accountIds.length} for ${accountIds.length} signatories.`);
+    }
+
+    return u8aToHex(blake2AsU8a(u8aConcat(
+        MULTISIG_PREFIX,
+        compactToU8a(accountIds.length),
+        ...accountIds,
+        thresholdBytes
+    ), 256));
+}
+
+/**
+ * Computes a pure proxy account id, as pallet-proxy's `pure_account` does
+ *
+ * The height and extrinsic index are those of the `create_pure` call.
+ * Proxy type indices are runtime-specific; 0 is `Any` on every Polkadot
+ * runtime.
+ *
+ * @param {object} params
+ * @param {string} params.spawner - Account that called `create_pure`
+ * @param {number|string} params.height - Block number of the call
+ * @param {number|string} params.extrinsicIndex - Index of the extrinsic in that block
+ * @param {number|string} [params.proxyType=0] - Index of the proxy type variant
+ * @param {number|string} [params.index=0] - Disambiguation index passed to `create_pure`
+ * @returns {string} 32-byte account id as hex
+ * @throws {Error} If any parameter is invalid
+ */
+export function getPureProxyAccountId({ spawner, height, extrinsicIndex, proxyType = 0, index = 0 }) {
+    return u8aToHex(blake2AsU8a(u8aConcat(
+        PURE_PROXY_PREFIX,
+        toAccountId(spawner, 'spawner'),
+        parseInteger(height, 'block height', 32),
+        parseInteger(extrinsicIndex, 'extrinsic index', 32),
+        parseInteger(proxyType, 'proxy type', 8),
+        parseInteger(index, 'index', 16)
+    ), 256));
+}
+
+/**
+ * Computes the account id of a pallet from its PalletId
+ *
+ * @param {string} palletId - Eight ASCII characters (e.g. "py/trsry") or 8 bytes as hex
+ * @returns {string} 32-byte account id as hex
+ * @throws {Error} If the PalletId is not 8 bytes long
+ */
+export function getPalletAccountId(palletId) {
+    const bytes = /^0x[0-9a-fA-F]{16}$/.test(palletId) ? hexToU8a(palletId) : stringToU8a(palletId);
+    if (bytes.length !== 8) {
+        throw new Error(`Invalid PalletId "${palletId}". Expected 8 ASCII characters (e.g. py/trsry) or 0x followed by 16 hex characters.`);
+    }
+    return u8aToHex(padAccountId(u8aConcat(PALLET_PREFIX, bytes)));
+}
+
+/**
+ * Computes the sovereign account id of a parachain
+ *
+ * @param {number|string} paraId - Parachain id
+ * @param {{sibling?: boolean}} [options] - `sibling` for the account on a sibling
+ *   parachain ("sibl"); otherwise the account on the relay chain ("para")
+ * @returns {string} 32-byte account id as hex
+ * @throws {Error} If the para id is not a u32
+ */
+export function getSovereignAccountId(paraId, { sibling = false } = {}) {
+    const prefix = sibling ? SIBLING_PREFIX : PARA_PREFIX;
+    return u8aToHex(padAccountId(u8aConcat(prefix, parseInteger(paraId, 'para id', 32))));
+}
+
+/**
+ * Derives an account and shows it in both address formats
+ *
+ * @param {object} params - `kind` plus the parameters of the matching function:
+ *   `signatories` and `threshold` (multisig), the `getPureProxyAccountId`
+ *   parameters (pure-proxy), `palletId` (pallet) or `paraId` (sovereign,
+ *   sibling-sovereign)
+ * @param {number} ss58Prefix - Network prefix for the SS58 form
+ * @returns {{kind: string, accountId: string, ss58Address: string, ethAddress: string, derivation: string,
+ *     canMapAccount: boolean, warning: string|null}} `canMapAccount` is false for pallet accounts,
+ *     which only governance can map; `warning` explains when the H160 does not reach the account
+ * @throws {Error} If the kind is unknown or any parameter is invalid
+ */
+export function deriveAccount(params, ss58Prefix) {
+    let accountId;
+    switch (params.kind) {
+        case DERIVED_ACCOUNT.MULTISIG:
+            accountId = getMultisigAccountId(params.signatories, params.threshold);
+            break;
+        case DERIVED_ACCOUNT.PURE_PROXY:
+            accountId = getPureProxyAccountId(params);
+            break;
+        case DERIVED_ACCOUNT.PALLET:
+            accountId = getPalletAccountId(params.palletId);
+            break;
+        case DERIVED_ACCOUNT.SOVEREIGN:
+        case DERIVED_ACCOUNT.SIBLING_SOVEREIGN:
+            accountId = getSovereignAccountId(params.paraId, {
+                sibling: params.kind === DERIVED_ACCOUNT.SIBLING_SOVEREIGN
+            });
+            break;
+        default: {
+            const kinds = Object.values(DERIVED_ACCOUNT).join(', ');
+            throw new Error(`Unknown derived account kind "${params.kind}". Expected one of: ${kinds}.`);
+        }
+    }
+
+    const ss58Address = encodeAddress(accountId, ss58Prefix);
+    const { ethAddress, derivation } = deriveEthAddress(ss58Address);
+    const canMapAccount = MAPPABLE_KINDS.includes(params.kind);
+    const warning = derivation === ETH_DERIVATION.KECCAK_ACCOUNT_ID ? MAPPING_WARNINGS[params.kind] : null;
+    return { kind: params.kind, accountId, ss58Address, ethAddress, derivation, canMapAccount, warning };
+}
@@ -0,0 +1,50 @@
+import type { Network, EthDerivation, PrefixMismatch } from './index.js';
+
+export const ELEMENT_NAME: 'evm-ss58-converter';
+
+export interface ConvertEventDetail {
+    /** The address the user entered. */
+    input: string;
+    /** Which field it was entered in. */
+    type: 'eth' | 'ss58';
+    ethAddress: string;
+    ss58Address: string;
+    /** How an SS58 input's H160 was derived; null for ETH inputs. */
+    derivation: EthDerivation | string | null;
+    /** Set when an SS58 input is encoded for another network. */
+    prefixMismatch: PrefixMismatch | null;
+    network: Pick<Network, 'id' | 'name' | 'ss58Prefix' | 'mappingStrategy'>;
+}
+
+export interface ErrorEventDetail {
+    input: string;
+    type: 'eth' | 'ss58';
+    message: string;
+}
+
+/**
+ * `<evm-ss58-converter network="…" prefix="…" value="…" readonly>`
+ *
+ * Dispatches bubbling, composed `convert` events, and `error` events that
+ * neither bubble nor cross the shadow boundary.
+ */
+export class EvmSS58ConverterElement extends HTMLElement {
+    /** The address last entered, in either field. Setting it sets the `value` attribute. */
+    value: string;
+    readonly ethAddress: string;
+    readonly ss58Address: string;
+    /**
+     * The network conversions use.
+     *
+     * @throws {Error} If the `prefix` or `network` attribute is invalid.
+     */
+    readonly network: Pick<Network, 'id' | 'name' | 'ss58Prefix' | 'mappingStrategy'>;
+    /** Converts the field last edited; returns false and dispatches `error` on failure. */
+    convert(): boolean;
+}
+
+declare global {
+    interface HTMLElementTagNameMap {
+        'evm-ss58-converter': EvmSS58ConverterElement;
+    }
+}
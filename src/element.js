@@ -0,0 +1,292 @@
+/**
+ * <evm-ss58-converter> custom element
+ *
+ * A self-contained converter for embedding in other pages. Every instance
+ * keeps its state in its own shadow root, so any number can live on one
+ * page:
+ *
+ *     <script type="module" src="…/src/element.js"></script>
+ *     <evm-ss58-converter network="kusama-hub" value="0x3427…"></evm-ss58-converter>
+ *
+ * Attributes:
+ * - network: registry network id (default: Polkadot Hub)
+ * - prefix: custom SS58 prefix, used instead of the network's
+ * - value: initial address, H160 or SS58 (detected)
+ * - readonly: shows the conversion of `value` without editable inputs
+ *
+ * Events:
+ * - convert (bubbling and composed): `detail` is
+ *   `{input, type, ethAddress, ss58Address, derivation, prefixMismatch, network}`
+ * - error (only on the element, so window error listeners never see it):
+ *   `detail` is `{input, type, message}`
+ *
+ * Unlike the full page, the element never checks pallet-revive's on-chain
+ * mapping. A native account's H160 is shown with a warning and reported with
+ * `derivation: 'keccak-account-id'` so the host can decide what to do with it.
+ */
+
+import { ethToSS58, deriveEthAddress, toChecksumAddress, ETH_DERIVATION } from './address.js';
+import { detectAddressType } from './batch.js';
+import { detectPrefixMismatch } from './ss58.js';
+import { lookupKnownAddress } from './known.js';
+import { DEFAULT_NETWORK_ID, getNetwork, isValidSS58Prefix } from './networks.js';
+import { DEFAULT_MAPPING_STRATEGY } from './strategies.js';
+
+export const ELEMENT_NAME = 'evm-ss58-converter';
+
+const INPUT_DEBOUNCE_MS = 300;
+
+const TEMPLATE = `
+<style>
+    :host {
+        display: block;
+        font-family: var(--evm-ss58-font, inherit);
+        color: var(--evm-ss58-color, #1C1917);
+    }
+    :host([hidden]) {
+        display: none;
+    }
+    label {
+        display: block;
+        margin: 12px 0 4px;
+        font-size: 10px;
+        font-weight: 500;
+        text-transform: uppercase;
+        letter-spacing: 0.08em;
+    }
+    label:first-of-type {
+        margin-top: 0;
+    }
+    input {
+        box-sizing: border-box;
+        width: 100%;
+        padding: 10px 12px;
+        border: 1px solid var(--evm-ss58-border, #E7E5E4);
+        border-radius: var(--evm-ss58-radius, 6px);
+        font: 13px 'SF Mono', 'Monaco', 'Courier New', monospace;
+        color: inherit;
+        background: var(--evm-ss58-background, #FAFAF9);
+    }
+    input:focus {
+        outline: none;
+        border-color: var(--evm-ss58-accent, #FF2867);
+    }
+    input[aria-invalid="true"] {
+        border-color: var(--evm-ss58-error, #DC2626);
+    }
+    .note,
+    .error {
+        margin: 8px 0 0;
+        font-size: 12px;
+    }
+    .note {
+        color: var(--evm-ss58-warning, #B45309);
+    }
+    .error {
+        color: var(--evm-ss58-error, #DC2626);
+    }
+    [hidden] {
+        display: none;
+    }
+</style>
+<label part="label" for="eth">Ethereum address</label>
+<input part="input eth-input" id="eth" type="text" spellcheck="false" autocomplete="off" placeholder="0x…">
+<label part="label" for="ss58">SS58 address</label>
+<input part="input ss58-input" id="ss58" type="text" spellcheck="false" autocomplete="off">
+<p part="note" class="note" role="status" hidden></p>
+<p part="error" class="error" role="alert" hidden></p>
+`;
+
+// Lets Node import the module (e.g. for its exports) without a DOM
+const BaseElement = globalThis.HTMLElement ?? class {};
+
+export class EvmSS58ConverterElement extends BaseElement {
+    static get observedAttributes() {
+        return ['network', 'prefix', 'value', 'readonly'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' }).innerHTML = TEMPLATE;
+        this._ethInput = this.shadowRoot.getElementById('eth');
+        this._ss58Input = this.shadowRoot.getElementById('ss58');
+        this._note = this.shadowRoot.querySelector('.note');
+        this._error = this.shadowRoot.querySelector('.error');
+        this._source = 'eth';
+        this._inputTimeout = null;
+        this._ready = false;
+
+        this._ethInput.addEventListener('input', () => this._onInput('eth'));
+        this._ss58Input.addEventListener('input', () => this._onInput('ss58'));
+    }
+
+    connectedCallback() {
+        this._applyReadonly();
+        // Deferred so listeners added right after insertion see the first event
+        queueMicrotask(() => {
+            this._ready = true;
+            this._loadValue();
+        });
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this._inputTimeout);
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        // Initial attributes are applied by connectedCallback
+        if (oldValue === newValue || !this._ready) {
+            return;
+        }
+        if (name === 'value') {
+            this._loadValue();
+        } else if (name === 'readonly') {
+            this._applyReadonly();
+        } else {
+            this.convert();
+        }
+    }
+
+    /** The address last entered, in either field */
+    get value() {
+        return (this._source === 'eth' ? this._ethInput : this._ss58Input).value.trim();
+    }
+
+    set value(address) {
+        this.setAttribute('value', address);
+    }
+
+    get ethAddress() {
+        return this._ethInput.value.trim();
+    }
+
+    get ss58Address() {
+        return this._ss58Input.value.trim();
+    }
+
+    /**
+     * The network conversions use: the registry network, or a synthetic one
+     * for a custom prefix
+     *
+     * @returns {{id: string, name: string, ss58Prefix: number, mappingStrategy: string}}
+     * @throws {Error} If the prefix or network attribute is invalid
+     */
+    get network() {
+        if (this.hasAttribute('prefix')) {
+            const raw = this.getAttribute('prefix').trim();
+            const ss58Prefix = /^\d+$/.test(raw) ? Number(raw) : NaN;
+            if (!isValidSS58Prefix(ss58Prefix)) {
+                throw new Error(`Invalid prefix "${raw}". Expected an SS58 prefix between 0 and 16383.`);
+            }
+            return { id: 'custom', name: `Custom prefix ${ss58Prefix}`, ss58Prefix, mappingStrategy: DEFAULT_MAPPING_STRATEGY };
+        }
+        const id = this.getAttribute('network') || DEFAULT_NETWORK_ID;
+        const network = getNetwork(id);
+        if (!network) {
+            throw new Error(`Unknown network "${id}".`);
+        }
+        return network;
+    }
+
+    /**
+     * Converts the field the user last edited into the other one
+     *
+     * @returns {boolean} True on success; failures dispatch an `error` event
+     */
+    convert() {
+        clearTimeout(this._inputTimeout);
+        const type = this._source;
+        const input = this.value;
+        const target = type === 'eth' ? this._ss58Input : this._ethInput;
+
+        this._showMessage(this._error, null);
+        this._showMessage(this._note, null);
+        this._ethInput.removeAttribute('aria-invalid');
+        this._ss58Input.removeAttribute('aria-invalid');
+
+        if (!input) {
+            target.value = '';
+            return false;
+        }
+
+        try {
+            const network = this.network;
+            const options = { strategy: network.mappingStrategy };
+            let ethAddress, ss58Address, derivation = null, prefixMismatch = null;
+
+            if (type === 'eth') {
+                ss58Address = ethToSS58(input, network.ss58Prefix, options);
+                ethAddress = toChecksumAddress(input);
+                this._ethInput.value = ethAddress;
+            } else {
+                ({ ethAddress, derivation } = deriveEthAddress(input, options));
+                ss58Address = input;
+                if (detectAddressType(input) === 'ss58') {
+                    prefixMismatch = detectPrefixMismatch(input, network.ss58Prefix);
+                }
+            }
+            target.value = type === 'eth' ? ss58Address : ethAddress;
+
+            this._showMessage(this._note, this._describe(input, network, derivation, prefixMismatch));
+            this._dispatch('convert', { input, type, ethAddress, ss58Address, derivation, prefixMismatch, network }, { bubbles: true, composed: true });
+            return true;
+        } catch (error) {
+            target.value = '';
+            (type === 'eth' ? this._ethInput : this._ss58Input).setAttribute('aria-invalid', 'true');
+            this._showMessage(this._error, error.message);
+            this._dispatch('error', { input, type, message: error.message });
+            return false;
+        }
+    }
+
+    _onInput(source) {
+        this._source = source;
+        (source === 'eth' ? this._ss58Input : this._ethInput).value = '';
+        clearTimeout(this._inputTimeout);
+        this._inputTimeout = setTimeout(() => this.convert(), INPUT_DEBOUNCE_MS);
+    }
+
+    _loadValue() {
+        const address = (this.getAttribute('value') || '').trim();
+        this._source = detectAddressType(address) === 'ss58' ? 'ss58' : 'eth';
+        this._ethInput.value = this._source === 'eth' ? address : '';
+        this._ss58Input.value = this._source === 'ss58' ? address : '';
+        if (address) {
+            this.convert();
+        }
+    }
+
+    _applyReadonly() {
+        const readOnly = this.hasAttribute('readonly');
+        this._ethInput.readOnly = readOnly;
+        this._ss58Input.readOnly = readOnly;
+    }
+
+    _describe(input, network, derivation, prefixMismatch) {
+        const notes = [];
+        const known = lookupKnownAddress(input);
+        if (known) {
+            notes.push(known.warning ? `${known.label}: ${known.warning}` : known.label);
+        }
+        if (prefixMismatch) {
+            notes.push(`Encoded for prefix ${prefixMismatch.ss58Prefix}, not ${network.name} (${network.ss58Prefix}).`);
+        }
+        if (derivation === ETH_DERIVATION.KECCAK_ACCOUNT_ID) {
+            notes.push(`Native account: this H160 only reaches it after Revive.map_account on ${network.name}.`);
+        }
+        return notes.join(' ') || null;
+    }
+
+    _showMessage(element, text) {
+        element.textContent = text || '';
+        element.hidden = !text;
+    }
+
+    _dispatch(type, detail, { bubbles = false, composed = false } = {}) {
+        this.dispatchEvent(new CustomEvent(type, { detail, bubbles, composed }));
+    }
+}
+
+if (globalThis.customElements && !customElements.get(ELEMENT_NAME)) {
+    customElements.define(ELEMENT_NAME, EvmSS58ConverterElement);
+}
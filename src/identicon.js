@@ -0,0 +1,191 @@
+/**
+ * Address identicons
+ *
+ * Checking only the first and last few characters of an address is what
+ * address-poisoning attacks rely on; an identicon covers every byte. Both
+ * follow the icons wallets already show, so they can be compared with them:
+ *
+ * - SS58: the Polkadot identicon of polkadot.js apps and extensions (19
+ *   coloured circles derived from Blake2b-512 of the public key)
+ * - H160: the Ethereum "blockie" of MetaMask and Etherscan (an 8×8
+ *   mirrored grid seeded with the lowercase address)
+ *
+ * The icons are returned as shape data or as a standalone SVG string, so
+ * they render the same in the browser and in Node.
+ */
+
+import { blake2AsU8a, decodeAddress } from './polkadot.js';
+import { isValidEthAddress, isValidSS58Address } from './address.js';
+
+// Polkadot identicon geometry, in a 64×64 view box
+const SIZE = 64;
+const CENTER = SIZE / 2;
+const CIRCLE_RADIUS = SIZE / 64 * 5;
+const RING_RADIUS = CENTER / 4 * 3;
+
+// Colour schemes and their relative frequencies: target, cube, quazar,
+// flower, cyclic, vmirror, hmirror
+const SCHEMES = [
+    { colors: [0, 28, 0, 0, 28, 0, 0, 28, 0, 0, 28, 0, 0, 28, 0, 0, 28, 0, 1], freq: 1 },
+    { colors: [0, 1, 3, 2, 4, 3, 0, 1, 3, 2, 4, 3, 0, 1, 3, 2, 4, 3, 5], freq: 20 },
+    { colors: [1, 2, 3, 1, 2, 4, 5, 5, 4, 1, 2, 3, 1, 2, 4, 5, 5, 4, 0], freq: 16 },
+    { colors: [0, 1, 2, 0, 1, 2, 0, 1, 2, 0, 1, 2, 0, 1, 2, 0, 1, 2, 3], freq: 32 },
+    { colors: [0, 1, 2, 3, 4, 5, 0, 1, 2, 3, 4, 5, 0, 1, 2, 3, 4, 5, 6], freq: 32 },
+    { colors: [0, 1, 2, 3, 4, 5, 3, 4, 2, 0, 1, 6, 7, 8, 9, 7, 8, 6, 10], freq: 128 },
+    { colors: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 8, 6, 7, 5, 3, 4, 2, 11], freq: 128 }
+];
+const SCHEMES_TOTAL = SCHEMES.reduce((total, scheme) => total + scheme.freq, 0);
+
+const BLOCKIE_SIZE = 8;
+
+let zeroHash = null;
+
+/**
+ * Centres of the 19 circles: three rings of six around the middle one
+ */
+function getCirclePositions() {
+    const r = RING_RADIUS;
+    const rroot3o2 = r * Math.sqrt(3) / 2;
+    const rroot3o4 = r * Math.sqrt(3) / 4;
+    const [ro2, ro4, r3o4] = [r / 2, r / 4, r * 3 / 4];
+    const C = CENTER;
+    return [
+        [C, C - r], [C, C - ro2], [C - rroot3o4, C - r3o4], [C - rroot3o2, C - ro2],
+        [C - rroot3o4, C - ro4], [C - rroot3o2, C], [C - rroot3o2, C + ro2], [C - rroot3o4, C + ro4],
+        [C - rroot3o4, C + r3o4], [C, C + r], [C, C + ro2], [C + rroot3o4, C + r3o4],
+        [C + rroot3o2, C + ro2], [C + rroot3o4, C + ro4], [C + rroot3o2, C], [C + rroot3o2, C - ro2],
+        [C + rroot3o4, C - ro4], [C + rroot3o4, C - r3o4], [C, C]
+    ];
+}
+
+/**
+ * Circle colours, one per position of getCirclePositions()
+ */
+function getPolkadotColors(publicKey) {
+    zeroHash ??= blake2AsU8a(new Uint8Array(32), 512);
+    const id = blake2AsU8a(publicKey, 512).map((byte, i) => (byte + 256 - zeroHash[i]) % 256);
+
+    const d = (id[30] + id[31] * 256) % SCHEMES_TOTAL;
+    const rotation = (id[28] % 6) * 3;
+    const saturation = (Math.floor(id[29] * 70 / 256 + 26) % 80) + 30;
+
+    let cumulative = 0;
+    const scheme = SCHEMES.find(candidate => d < (cumulative += candidate.freq));
+
+    const palette = Array.from(id, (byte, i) => {
+        const b = (byte + i % 28 * 58) % 256;
+        if (b === 0) {
+            return '#444';
+        }
+        if (b === 255) {
+            return 'transparent';
+        }
+        const hue = Math.floor(b % 64 * 360 / 64);
+        const lightness = [53, 15, 35, 75][Math.floor(b / 64)];
+        return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+    });
+    return scheme.colors.map((_, i) => palette[scheme.colors[i < 18 ? (i + rotation) % 18 : 18]]);
+}
+
+/**
+ * Computes the Polkadot identicon of an SS58 address
+ *
+ * @param {string} ss58Address - SS58 address (any prefix gives the same icon)
+ * @returns {Array<{cx: number, cy: number, r: number, fill: string}>} The
+ *     background circle followed by the 19 coloured ones, in a 64×64 view box
+ * @throws {Error} If the address is not a valid SS58 address
+ */
+export function getPolkadotIdenticon(ss58Address) {
+    if (!isValidSS58Address(ss58Address)) {
+        throw new Error('Invalid SS58 address. Expected a base58 address with a valid checksum.');
+    }
+    const colors = getPolkadotColors(decodeAddress(ss58Address));
+    return [{ cx: CENTER, cy: CENTER, r: CENTER, fill: '#eee' }].concat(
+        getCirclePositions().map(([cx, cy], i) => ({ cx, cy, r: CIRCLE_RADIUS, fill: colors[i] }))
+    );
+}
+
+/**
+ * The xorshift generator of the original blockies implementation, seeded
+ * from a string. Its arithmetic is kept as is, int32 quirks included,
+ * because every wallet's blockie depends on it.
+ */
+function createBlockieRandom(seed) {
+    const state = [0, 0, 0, 0];
+    for (let i = 0; i < seed.length; i++) {
+        state[i % 4] = (state[i % 4] << 5) - state[i % 4] + seed.charCodeAt(i);
+    }
+    return () => {
+        const t = state[0] ^ (state[0] << 11);
+        state[0] = state[1];
+        state[1] = state[2];
+        state[2] = state[3];
+        state[3] = state[3] ^ (state[3] >> 19) ^ t ^ (t >> 8);
+        return (state[3] >>> 0) / (1 << 31 >>> 0);
+    };
+}
+
+/**
+ * Computes the blockie of an Ethereum address
+ *
+ * @param {string} ethAddress - Ethereum address; case does not matter
+ * @returns {{size: number, color: string, bgcolor: string, spotcolor: string, cells: number[]}}
+ *     Colours and the size×size grid, row by row: 0 is background, 1 color, 2 spotcolor
+ * @throws {Error} If the address is not a 20-byte hex address
+ */
+export function getBlockie(ethAddress) {
+    if (!isValidEthAddress(ethAddress, { ignoreChecksum: true })) {
+        throw new Error('Invalid Ethereum address. Expected 0x followed by 40 hex characters.');
+    }
+    const random = createBlockieRandom(ethAddress.toLowerCase());
+    const createColor = () => {
+        const hue = Math.floor(random() * 360);
+        const saturation = random() * 60 + 40;
+        const lightness = (random() + random() + random() + random()) * 25;
+        return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+    };
+
+    const color = createColor();
+    const bgcolor = createColor();
+    const spotcolor = createColor();
+
+    // Each row's left half is random and mirrored onto the right
+    const cells = [];
+    const dataWidth = Math.ceil(BLOCKIE_SIZE / 2);
+    for (let y = 0; y < BLOCKIE_SIZE; y++) {
+        const row = Array.from({ length: dataWidth }, () => Math.floor(random() * 2.3));
+        cells.push(...row, ...row.slice(0, BLOCKIE_SIZE - dataWidth).reverse());
+    }
+    return { size: BLOCKIE_SIZE, color, bgcolor, spotcolor, cells };
+}
+
+/**
+ * Renders the identicon matching an address's format as an SVG document:
+ * a blockie for an H160, the Polkadot identicon for an SS58 address
+ *
+ * @param {string} address - Ethereum or SS58 address
+ * @param {Object} [options]
+ * @param {number} [options.size=32] - Width and height in pixels
+ * @returns {string} SVG markup
+ * @throws {Error} If the address is neither format
+ */
+export function renderIdenticonSVG(address, { size = 32 } = {}) {
+    const value = address.trim();
+    const svg = (viewBox, shapes, extra = '') =>
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="${viewBox}"${extra}>${shapes}</svg>`;
+
+    if (isValidEthAddress(value, { ignoreChecksum: true })) {
+        const blockie = getBlockie(value);
+        const fills = [null, blockie.color, blockie.spotcolor];
+        const cells = blockie.cells.map((cell, i) => (cell
+            ? `<rect x="${i % blockie.size}" y="${Math.floor(i / blockie.size)}" width="1" height="1" fill="${fills[cell]}"/>`
+            : '')).join('');
+        return svg(`0 0 ${blockie.size} ${blockie.size}`,
+            `<rect width="${blockie.size}" height="${blockie.size}" fill="${blockie.bgcolor}"/>${cells}`,
+            ' shape-rendering="crispEdges"');
+    }
+
+    const circles = getPolkadotIdenticon(value)
+        .map(({ cx, cy, r, fill }) => `<circle cx="${cx}" cy="${cy}" r="${r}" fill="${fill}"/>`).join('');
+    return svg(`0 0 ${SIZE} ${SIZE}`, circles);
+}
@@ -0,0 +1,770 @@
+export interface ChecksumOptions {
+    /** Accept mixed-case addresses whose EIP-55 checksum does not match. */
+    ignoreChecksum?: boolean;
+}
+
+export type MappingStrategyId = 'revive' | 'frontier' | 'account20';
+
+export const MAPPING_STRATEGY: {
+    readonly REVIVE: 'revive';
+    readonly FRONTIER: 'frontier';
+    readonly ACCOUNT_ID_20: 'account20';
+};
+
+/** How a runtime relates an H160 to its account ids. */
+export interface MappingStrategy {
+    id: string;
+    name: string;
+    /** Length of the runtime's account ids; 20-byte accounts have no SS58 form. */
+    accountIdLength: 20 | 32;
+    ethToAccountId(ethBytes: Uint8Array): Uint8Array;
+    /** @throws {Error} If the strategy is one-way. */
+    accountIdToEth(accountId: Uint8Array): Uint8Array;
+}
+
+export interface StrategyOptions {
+    /** Mapping strategy id or a custom strategy; defaults to 'revive'. */
+    strategy?: MappingStrategyId | MappingStrategy;
+}
+
+export type ConversionOptions = ChecksumOptions & StrategyOptions;
+
+/** The built-in strategies: pallet-revive, Frontier HashedAddressMapping and AccountId20. */
+export const MAPPING_STRATEGIES: readonly MappingStrategy[];
+
+export const DEFAULT_MAPPING_STRATEGY: 'revive';
+
+/**
+ * Resolves a strategy id; strategy objects are returned as-is.
+ *
+ * @throws {Error} If the id is unknown.
+ */
+export function getMappingStrategy(strategy?: MappingStrategyId | MappingStrategy): MappingStrategy;
+
+/**
+ * Converts an Ethereum address to SS58 with the given network prefix. By
+ * default (pallet-revive) the address is padded to 32 bytes with 0xEE;
+ * Frontier hashes it; AccountId20 returns the checksummed H160 itself.
+ *
+ * @throws {Error} If `ethAddress` is not 0x followed by 40 hex characters,
+ *   has a mismatching EIP-55 checksum (unless `ignoreChecksum`),
+ *   `ss58Prefix` is not a usable SS58 prefix, or the strategy is unknown.
+ */
+export function ethToSS58(ethAddress: string, ss58Prefix: number, options?: ConversionOptions): string;
+
+/**
+ * Converts an SS58 address to a checksummed Ethereum address. With
+ * pallet-revive, ETH-derived (0xEE-padded) accounts are stripped back to
+ * their original 20 bytes and native accounts use the last 20 bytes of
+ * their Keccak256 hash. AccountId20 accepts the H160 account itself. A
+ * 33-byte ECDSA key converts to the Ethereum address of the key.
+ *
+ * @throws {Error} If `ss58Address` cannot be decoded, its key length does not
+ *   suit the strategy, or the strategy is one-way (Frontier).
+ */
+export function ss58ToEth(ss58Address: string, options?: StrategyOptions): string;
+
+export type EthDerivation = 'eth-derived' | 'keccak-account-id' | 'ecdsa-public-key' | 'account-id-20';
+
+/** How `deriveEthAddress` arrived at an H160. */
+export const ETH_DERIVATION: {
+    readonly ETH_DERIVED: 'eth-derived';
+    readonly KECCAK_ACCOUNT_ID: 'keccak-account-id';
+    readonly ECDSA_PUBLIC_KEY: 'ecdsa-public-key';
+    readonly ACCOUNT_ID_20: 'account-id-20';
+};
+
+/**
+ * Like `ss58ToEth`, but also reports the derivation path used. A 33-byte
+ * compressed ECDSA key always yields the Ethereum address of the key
+ * (Keccak256 of the uncompressed key); custom strategies report their id.
+ *
+ * @throws {Error} As `ss58ToEth`, or if a 33-byte key is not a valid
+ *   compressed secp256k1 point.
+ */
+export function deriveEthAddress(
+    ss58Address: string,
+    options?: StrategyOptions
+): { ethAddress: string; derivation: EthDerivation | string };
+
+/**
+ * Applies EIP-55 mixed-case checksumming to an Ethereum address.
+ *
+ * @throws {Error} If the address is not 40 hex characters long.
+ */
+export function toChecksumAddress(address: string): string;
+
+/**
+ * Returns true if an Ethereum address is all-lowercase, all-uppercase
+ * (unchecksummed) or matches its EIP-55 checksum.
+ */
+export function isValidEthChecksum(address: string): boolean;
+
+/**
+ * Returns true if `address` is 0x followed by 40 hex characters and, unless
+ * `ignoreChecksum`, has no EIP-55 checksum mismatch.
+ */
+export function isValidEthAddress(address: string, options?: ChecksumOptions): boolean;
+
+/** Returns true if `address` decodes as a valid SS58 address. */
+export function isValidSS58Address(address: string): boolean;
+
+/**
+ * Reads the network prefix encoded in an SS58 address.
+ *
+ * @throws {Error} If `ss58Address` is not a valid SS58 address.
+ */
+export function getSS58Prefix(ss58Address: string): number;
+
+/**
+ * Decodes an SS58 address into its hex public key and network prefix.
+ *
+ * @throws {Error} If `ss58Address` is not a valid SS58 address.
+ */
+export function decodeSS58(ss58Address: string): { publicKey: string; ss58Prefix: number };
+
+export interface PrefixMismatch {
+    /** Prefix the address is encoded with. */
+    ss58Prefix: number;
+    /** Prefix of the selected network. */
+    expectedPrefix: number;
+    /** Names of the registry networks using `ss58Prefix`. */
+    networks: string[];
+}
+
+/**
+ * Compares the prefix of an SS58 address with `expectedPrefix`; null if they match.
+ *
+ * @throws {Error} If `ss58Address` is not a valid SS58 address.
+ */
+export function detectPrefixMismatch(ss58Address: string, expectedPrefix: number): PrefixMismatch | null;
+
+/**
+ * Re-encodes an SS58 address (same public key) with another network prefix.
+ *
+ * @throws {Error} If the address is invalid or the prefix is not usable.
+ */
+export function reencodeSS58(ss58Address: string, ss58Prefix: number): string;
+
+/**
+ * Encodes an address for each network, defaulting to the full registry. An
+ * H160 is converted with each network's mapping strategy; on AccountId20
+ * networks the entry's address is the H160 itself.
+ *
+ * @throws {Error} If `address` is neither a valid SS58 address nor an H160.
+ */
+export function encodeForNetworks(
+    address: string,
+    networks?: Network[],
+    options?: { ignoreChecksum?: boolean }
+): Array<{ network: Network; address: string }>;
+
+export type AddressFormat = 'eth' | 'ss58' | 'public-key';
+
+export const ADDRESS_FORMAT: {
+    readonly ETH: 'eth';
+    readonly SS58: 'ss58';
+    readonly PUBLIC_KEY: 'public-key';
+};
+
+export type ChecksumStatus = 'valid' | 'unchecksummed' | 'mismatch';
+
+export const CHECKSUM_STATUS: {
+    readonly VALID: 'valid';
+    readonly UNCHECKSUMMED: 'unchecksummed';
+    readonly MISMATCH: 'mismatch';
+};
+
+export interface AddressInspection {
+    /** The trimmed input. */
+    input: string;
+    format: AddressFormat;
+    /** EIP-55 status of an H160 input, otherwise null. */
+    checksum: ChecksumStatus | null;
+    /** Prefix of an SS58 input, otherwise null. */
+    ss58Prefix: number | null;
+    /** Names of the registry networks using `ss58Prefix`. */
+    networks: string[];
+    /** The account's public key as hex (0xEE-padded for an H160 input). */
+    publicKey: string;
+    /** True if the last 12 bytes of the key are 0xEE. */
+    isEthDerived: boolean;
+    /** The original H160 of an ETH-derived account, otherwise null. */
+    reversibleEthAddress: string | null;
+    /**
+     * Last 20 bytes of Keccak256(account id), the fallback H160 for native keys.
+     * The account id of an ECDSA key is the Blake2 hash of the key.
+     */
+    keccakEthAddress: string | null;
+    /** Ethereum address of a valid 33-byte compressed ECDSA key, otherwise null. */
+    ecdsaEthAddress: string | null;
+    /** Why the public key is unusable (a compressed key not on secp256k1), otherwise null. */
+    keyError: string | null;
+}
+
+/** Detects an Ethereum address, SS58 address or 32/33-byte hex public key. */
+export function detectAddressFormat(input: string): AddressFormat | null;
+
+/**
+ * Reports format, prefix, public key and both candidate H160s of an address.
+ *
+ * @throws {Error} If `input` is not a recognized address format.
+ */
+export function inspectAddress(input: string): AddressInspection;
+
+export type KnownAddressKind = 'burn' | 'precompile' | 'asset-precompile' | 'pallet' | 'sovereign';
+
+export const KNOWN_ADDRESS_KIND: {
+    readonly BURN: 'burn';
+    readonly PRECOMPILE: 'precompile';
+    readonly ASSET_PRECOMPILE: 'asset-precompile';
+    readonly PALLET: 'pallet';
+    readonly SOVEREIGN: 'sovereign';
+};
+
+/** Fixed H160s (lowercase) of the zero and burn addresses and the precompiles. */
+export const KNOWN_ETH_ADDRESSES: Readonly<Record<string, { kind: KnownAddressKind; label: string }>>;
+
+/** Names of well-known PalletIds, keyed by their eight ASCII characters. */
+export const KNOWN_PALLET_IDS: Readonly<Record<string, string>>;
+
+export interface KnownAddress {
+    kind: KnownAddressKind;
+    /** Human-readable label, e.g. "Treasury pallet account". */
+    label: string;
+    /** Set when funds must not be sent to the address. */
+    warning: string | null;
+}
+
+/**
+ * Looks up an H160, SS58 address or 32-byte hex account id in the registry
+ * of well-known addresses. ETH-derived accounts are looked up by their H160.
+ */
+export function lookupKnownAddress(address: string): KnownAddress | null;
+
+export type MappingStatus = 'eth-derived' | 'mapped' | 'unmapped' | 'unknown';
+
+export const MAPPING_STATUS: {
+    readonly ETH_DERIVED: 'eth-derived';
+    readonly MAPPED: 'mapped';
+    readonly UNMAPPED: 'unmapped';
+    readonly UNKNOWN: 'unknown';
+};
+
+/** Chain access needed for pallet-revive account mapping. */
+export interface MappingProvider {
+    /** Resolves to the AccountId32 (hex) mapped to `h160`, or null if none. */
+    getOriginalAccount(h160: string): Promise<string | null>;
+    /** Encodes `Revive.map_account()` with the chain's metadata, as hex. */
+    getMapAccountCallData(): Promise<string>;
+}
+
+export interface MappingResult {
+    status: MappingStatus;
+    /** The account's H160: stripped 0xEE padding, or the Keccak256-derived address. */
+    ethAddress: string;
+    /** The account's 32-byte account id as hex (the Blake2 hash of the key for ECDSA accounts). */
+    accountId: string;
+    /** Where funds sent to `ethAddress` go while unmapped, or null. */
+    fallbackAccountId: string | null;
+    /** Why the status is `unknown`, or null. */
+    error: string | null;
+}
+
+/** True if the account is a 0xEE-padded ETH-derived account. */
+export function isEthDerivedAccount(ss58Address: string): boolean;
+
+/**
+ * The AccountId32 pallet-revive uses for an address (the Blake2 hash of the
+ * key for ECDSA accounts) and the H160 it derives from it.
+ */
+export function getReviveAccount(ss58Address: string): { accountId: string; ethAddress: string };
+
+/** The 0xEE-padded account an unmapped H160 resolves to, as hex. */
+export function getFallbackAccountId(ethAddress: string): string;
+
+/**
+ * Checks how an SS58 account maps to an H160 on chain. Never rejects for
+ * chain errors; those are reported as `unknown`.
+ *
+ * @throws {Error} If `ss58Address` is not a valid SS58 address.
+ */
+export function checkAccountMapping(
+    ss58Address: string,
+    provider: MappingProvider | null,
+    options?: { timeoutMs?: number }
+): Promise<MappingResult>;
+
+/**
+ * Builds the `Revive.map_account` call data for the provider's network, along
+ * with the H160 that will route to the account once it is mapped.
+ *
+ * @throws {Error} If the address is invalid or ETH-derived.
+ */
+export function buildMapAccountCall(
+    ss58Address: string,
+    provider: Pick<MappingProvider, 'getMapAccountCallData'>
+): Promise<{ callData: string; ethAddress: string; accountId: string }>;
+
+/** Adapts a polkadot-api client to the MappingProvider interface. */
+export function createPapiMappingProvider(client: unknown): MappingProvider;
+
+/** Connects to `rpcUrl` with polkadot-api and returns a MappingProvider. */
+export function connectMappingProvider(
+    rpcUrl: string
+): Promise<{ provider: MappingProvider; client: unknown; destroy(): void }>;
+
+export type ContractScheme = 'create' | 'create2';
+
+export const CONTRACT_SCHEME: {
+    readonly CREATE: 'create';
+    readonly CREATE2: 'create2';
+};
+
+/**
+ * Resolves a deployer (H160, or SS58 via its pallet-revive H160) to a
+ * checksummed H160.
+ *
+ * @throws {Error} If the deployer is neither format or fails its EIP-55 checksum.
+ */
+export function resolveDeployer(deployer: string): string;
+
+/**
+ * Address of a contract deployed with CREATE: keccak256(rlp([deployer, nonce])).
+ *
+ * @throws {Error} If the deployer is invalid or the nonce is not a u64.
+ */
+export function getCreateAddress(deployer: string, nonce: number | bigint | string): string;
+
+/**
+ * Address of a contract deployed with CREATE2:
+ * keccak256(0xff ++ deployer ++ salt ++ codeHash).
+ *
+ * @throws {Error} If the deployer, salt or code hash is invalid.
+ */
+export function getCreate2Address(deployer: string, salt: string, codeHash: string): string;
+
+/** keccak256(code ++ inputData), the code hash CREATE2 expects. */
+export function getCodeHash(code: string, inputData?: string): string;
+
+export interface ContractAddress {
+    scheme: ContractScheme;
+    /** The deployer's H160. */
+    deployer: string;
+    /** The contract's H160. */
+    ethAddress: string;
+    /** The contract's (0xEE-padded) SS58 address. */
+    ss58Address: string;
+}
+
+/**
+ * Computes a contract's H160 and SS58 address; CREATE2 if `salt` is given,
+ * CREATE otherwise.
+ *
+ * @throws {Error} If any parameter is invalid.
+ */
+export function computeContractAddress(
+    params: { deployer: string; nonce?: number | bigint | string; salt?: string; codeHash?: string },
+    ss58Prefix: number
+): ContractAddress;
+
+export type DerivedAccountKind = 'multisig' | 'pure-proxy' | 'pallet' | 'sovereign' | 'sibling-sovereign';
+
+export const DERIVED_ACCOUNT: {
+    readonly MULTISIG: 'multisig';
+    readonly PURE_PROXY: 'pure-proxy';
+    readonly PALLET: 'pallet';
+    readonly SOVEREIGN: 'sovereign';
+    readonly SIBLING_SOVEREIGN: 'sibling-sovereign';
+};
+
+/**
+ * pallet-multisig account id of the signatories (SS58, hex account id or
+ * H160, in any order) and threshold, as 32-byte hex.
+ *
+ * @throws {Error} On fewer than two or repeated signatories, or a threshold outside 1..signatories.
+ */
+export function getMultisigAccountId(signatories: string[], threshold: number | string): string;
+
+export interface PureProxyParams {
+    /** Account that called `create_pure`. */
+    spawner: string;
+    /** Block number of the `create_pure` call. */
+    height: number | string;
+    /** Index of the `create_pure` extrinsic in its block. */
+    extrinsicIndex: number | string;
+    /** Runtime-specific proxy type index; 0 (`Any`) by default. */
+    proxyType?: number | string;
+    /** Disambiguation index passed to `create_pure`; 0 by default. */
+    index?: number | string;
+}
+
+/**
+ * pallet-proxy pure proxy account id, as 32-byte hex.
+ *
+ * @throws {Error} If any parameter is invalid.
+ */
+export function getPureProxyAccountId(params: PureProxyParams): string;
+
+/**
+ * Pallet account id ("modl" ++ PalletId) as 32-byte hex. The PalletId is
+ * eight ASCII characters, e.g. "py/trsry", or 8 bytes as hex.
+ *
+ * @throws {Error} If the PalletId is not 8 bytes long.
+ */
+export function getPalletAccountId(palletId: string): string;
+
+/**
+ * Parachain sovereign account id as 32-byte hex: "para" ++ paraId on the
+ * relay chain, or "sibl" ++ paraId on a sibling parachain.
+ *
+ * @throws {Error} If the para id is not a u32.
+ */
+export function getSovereignAccountId(paraId: number | string, options?: { sibling?: boolean }): string;
+
+export type DerivedAccountParams =
+    | { kind: 'multisig'; signatories: string[]; threshold: number | string }
+    | ({ kind: 'pure-proxy' } & PureProxyParams)
+    | { kind: 'pallet'; palletId: string }
+    | { kind: 'sovereign' | 'sibling-sovereign'; paraId: number | string };
+
+export interface DerivedAccount {
+    kind: DerivedAccountKind;
+    /** 32-byte account id as hex. */
+    accountId: string;
+    ss58Address: string;
+    /** What `ss58ToEth` converts the account to. */
+    ethAddress: string;
+    derivation: EthDerivation;
+    /** Whether the account's owners can dispatch `Revive.map_account` as it; false for pallet accounts, which need a governance call. */
+    canMapAccount: boolean;
+    /** Why funds must not be sent to `ethAddress` yet and how it gets mapped, or null if it reaches the account. */
+    warning: string | null;
+}
+
+/**
+ * Derives a multisig, pure proxy, pallet or sovereign account and shows it
+ * as SS58 and H160.
+ *
+ * @throws {Error} If the kind is unknown or any parameter is invalid.
+ */
+export function deriveAccount(params: DerivedAccountParams, ss58Prefix: number): DerivedAccount;
+
+export type AddressType = 'eth' | 'ss58';
+
+export interface ConversionResult {
+    /** The trimmed input address. */
+    input: string;
+    /** Detected input format, or null if unrecognized. */
+    type: AddressType | null;
+    /** The converted address, or null on failure. */
+    output: string | null;
+    /** How an SS58 input's H160 was derived; null for ETH inputs and failures. */
+    derivation: EthDerivation | string | null;
+    /** Set when an SS58 input is encoded for another network than `ss58Prefix`. */
+    prefixMismatch: PrefixMismatch | null;
+    /** Error message, or null on success. */
+    error: string | null;
+}
+
+/** Detects whether `input` is an Ethereum or SS58 address, ignoring the EIP-55 checksum. */
+export function detectAddressType(input: string): AddressType | null;
+
+/**
+ * Converts a single address in whichever direction its format implies.
+ * Never throws; failures (including checksum mismatches) are reported in `error`.
+ */
+export function convertAddress(input: string, ss58Prefix: number, options?: ConversionOptions): ConversionResult;
+
+/** Converts each non-blank input; one result per input, in order. */
+export function convertBatch(inputs: string[], ss58Prefix: number, options?: ConversionOptions): ConversionResult[];
+
+/** Quotes a CSV field (RFC 4180) if it holds a comma, quote or newline; null and undefined become empty. */
+export function escapeCSVField(value: unknown): string;
+
+/** Serializes rows, header row included, to newline-terminated CSV text. */
+export function formatCSV(rows: unknown[][]): string;
+
+/**
+ * Parses CSV text into rows of fields. Handles quoted fields and LF/CRLF
+ * line endings; blank lines are skipped.
+ */
+export function parseCSV(text: string): string[][];
+
+/** Link parameters the converter page reads and writes. */
+export const LINK_PARAMS: readonly ['eth', 'ss58', 'network', 'prefix'];
+
+export interface ConverterLinkState {
+    eth?: string | null;
+    ss58?: string | null;
+    /** Registry network id. */
+    network?: string | null;
+    /** Custom SS58 prefix, used when no network is given. */
+    prefix?: string | number | null;
+}
+
+/**
+ * Reads the converter parameters from a URL's query string and hash (the
+ * hash wins). Absent or empty parameters are null.
+ */
+export function parseConverterLink(url: string | URL): {
+    eth: string | null;
+    ss58: string | null;
+    network: string | null;
+    prefix: string | null;
+};
+
+/**
+ * Builds a link that opens the converter page at `baseUrl` pre-filled with
+ * `state`. Unrelated query parameters and hash fragments are kept.
+ */
+export function buildConverterLink(baseUrl: string | URL, state: ConverterLinkState): string;
+
+export const ADDRESS_URI_SCHEME: Readonly<{
+    ETHEREUM: 'ethereum';
+    SUBSTRATE: 'substrate';
+}>;
+
+/** Formats an address as `ethereum:<H160>` or `substrate:<SS58>`. Throws on anything else. */
+export function formatAddressURI(address: string): string;
+
+/**
+ * Extracts the address from QR code content: a bare address, an EIP-681
+ * `ethereum:` URI (the recipient, for ERC-20 transfers) or a `substrate:` URI.
+ * Throws if none is found.
+ */
+export function parseAddressURI(text: string): { type: 'eth' | 'ss58'; address: string };
+
+/**
+ * The Polkadot identicon of polkadot.js apps: the background circle followed
+ * by 19 coloured circles, in a 64×64 view box. Independent of the SS58 prefix.
+ */
+export function getPolkadotIdenticon(ss58Address: string): Array<{ cx: number; cy: number; r: number; fill: string }>;
+
+/** The Ethereum blockie of MetaMask and Etherscan. Case-insensitive. */
+export function getBlockie(ethAddress: string): {
+    size: number;
+    color: string;
+    bgcolor: string;
+    spotcolor: string;
+    /** size×size cells, row by row: 0 is bgcolor, 1 color, 2 spotcolor. */
+    cells: number[];
+};
+
+/** SVG markup of a blockie for an H160 or the Polkadot identicon for an SS58 address. */
+export function renderIdenticonSVG(address: string, options?: { size?: number }): string;
+
+export const ADDRESS_BOOK_FORMAT: 'evm-ss58-address-book';
+export const ADDRESS_BOOK_VERSION: 1;
+/** localStorage key the page keeps its history and address book under. */
+export const ADDRESS_BOOK_STORAGE_KEY: string;
+export const DEFAULT_HISTORY_LIMIT: number;
+export const MAX_LABEL_LENGTH: number;
+
+export interface AddressBookEntry {
+    /** Lowercase H160 and SS58 address, joined by ":". */
+    id: string;
+    ethAddress: string;
+    ss58Address: string;
+    /** Network id the pair was converted for ("custom" for a custom prefix). */
+    network: string | null;
+    ss58Prefix: number;
+    label: string | null;
+    /** Pinned entries form the address book and are never trimmed. */
+    pinned: boolean;
+    /** ISO 8601 timestamps. */
+    createdAt: string;
+    usedAt: string;
+}
+
+export interface AddressBook {
+    /** All entries, most recently used first. */
+    getHistory(): AddressBookEntry[];
+    /** Pinned entries, by label. */
+    getPinned(): AddressBookEntry[];
+    /** Adds a conversion, or marks the entry for the same pair as used now. */
+    record(conversion: { ethAddress: string; ss58Address: string; network: string; ss58Prefix: number }): AddressBookEntry;
+    update(id: string, changes: { label?: string | null; pinned?: boolean }): AddressBookEntry;
+    remove(id: string): void;
+    /** Deletes every unpinned entry. */
+    clearHistory(): void;
+    /** The pinned entries as an `evm-ss58-address-book` JSON document. */
+    exportJSON(): string;
+    /**
+     * Pins every entry of an exported book. Each pair is re-converted first;
+     * if any is invalid, the import throws and nothing changes.
+     */
+    importJSON(text: string): { added: number; updated: number };
+}
+
+/**
+ * Checks that an address pair is what the converter produces for the
+ * network, in either direction. Returns why it is not, or null.
+ */
+export function validateAddressPair(entry: {
+    ethAddress: string;
+    ss58Address: string;
+    network: string | null;
+    ss58Prefix: number;
+}): string | null;
+
+/** Opens the history and address book kept in `storage` (default: localStorage, else in memory, as when the store is full). */
+export function createAddressBook(options?: {
+    storage?: Pick<Storage, 'getItem' | 'setItem'> | null;
+    key?: string;
+    historyLimit?: number;
+    now?: () => number;
+}): AddressBook;
+
+export const WALLET_KIND: Readonly<{
+    SUBSTRATE: 'substrate';
+    ETHEREUM: 'ethereum';
+}>;
+
+/** Name the Polkadot extensions show in their access prompt. */
+export const DEFAULT_APP_NAME: string;
+
+export interface InjectedWallet {
+    /** `injectedWeb3` key, or "ethereum" for the EIP-1193 provider. */
+    id: string;
+    kind: 'substrate' | 'ethereum';
+    name: string;
+}
+
+/** The parts of `window` wallets are read from. */
+export interface WalletScope {
+    injectedWeb3?: Record<string, {
+        version?: string;
+        enable(appName: string): Promise<{ accounts: { get(): Promise<Array<{ address: string; name?: string }>> } }>;
+    }>;
+    ethereum?: {
+        isMetaMask?: boolean;
+        request(args: { method: string; params?: unknown[] }): Promise<unknown>;
+    };
+}
+
+export interface WalletAccount {
+    /** Wallet name, from `detectWallets`. */
+    wallet: string;
+    kind: 'substrate' | 'ethereum';
+    /** Account name in a Polkadot extension. */
+    name: string | null;
+    /** Address as the wallet returned it. */
+    address: string;
+    ethAddress: string | null;
+    /** Encoded for the requested prefix. */
+    ss58Address: string | null;
+    derivation: EthDerivation | null;
+    error: string | null;
+}
+
+/** Lists the Polkadot extensions and EIP-1193 provider injected into `scope` (default: globalThis). */
+export function detectWallets(scope?: WalletScope): InjectedWallet[];
+
+/** Asks one wallet for its accounts. Never signs anything. */
+export function getWalletAddresses(
+    wallet: InjectedWallet,
+    options?: { scope?: WalletScope; appName?: string }
+): Promise<Array<{ address: string; name: string | null }>>;
+
+/**
+ * Loads the accounts of every injected wallet and converts each to both
+ * address forms. Wallets that fail or refuse access are reported in `errors`.
+ */
+export function loadWalletAccounts(ss58Prefix: number, options?: {
+    scope?: WalletScope;
+    appName?: string;
+    strategy?: MappingStrategyId | MappingStrategy;
+}): Promise<{ accounts: WalletAccount[]; errors: Array<{ wallet: string; message: string }> }>;
+
+export type SignatureScheme = 'eip191' | 'sr25519' | 'ed25519' | 'ecdsa';
+
+export const SIGNATURE_SCHEME: Readonly<{
+    EIP191: 'eip191';
+    SR25519: 'sr25519';
+    ED25519: 'ed25519';
+    ECDSA: 'ecdsa';
+}>;
+
+/** One account in both forms; `ethAddress` is null when a one-way strategy gives none. */
+export interface SignatureAccount {
+    ethAddress: string | null;
+    ss58Address: string;
+}
+
+export interface SignatureVerification {
+    /** How the signature was made, or null if it matches no one. */
+    scheme: SignatureScheme | null;
+    /** True when the signer controls the claimed address in the form it was given (`ethMatch` for an H160, `ss58Match` for SS58). */
+    isValid: boolean;
+    signer: SignatureAccount | null;
+    claimed: SignatureAccount;
+    /**
+     * True when the claimed H160 is the signer's and converts back to the claimed account (never for an ECDSA account's key H160).
+     * Null when the strategy gives the account no H160 (Frontier).
+     */
+    ethMatch: boolean | null;
+    ss58Match: boolean;
+    /** True for a native account's Keccak H160, which only reaches it after `Revive.map_account`. */
+    requiresMapping: boolean;
+}
+
+/** Keccak256 of the EIP-191 `personal_sign` envelope. A 0x-prefixed hex message is taken as bytes. */
+export function hashPersonalMessage(message: string | Uint8Array): Uint8Array;
+
+/**
+ * Recovers the checksummed H160 that produced a `personal_sign` signature.
+ * @throws {Error} If the signature is not 65 bytes with a recovery id.
+ */
+export function recoverPersonalSignAddress(message: string | Uint8Array, signature: string | Uint8Array): string;
+
+/**
+ * Verifies a message signed with EIP-191 `personal_sign`, or with sr25519,
+ * ed25519 or ECDSA by a Substrate account, against an H160 or SS58 address.
+ * @throws {Error} If the address or signature is malformed.
+ */
+export function verifyAddressSignature(
+    message: string | Uint8Array,
+    signature: string | Uint8Array,
+    address: string,
+    ss58Prefix: number,
+    options?: { strategy?: MappingStrategyId | MappingStrategy }
+): Promise<SignatureVerification>;
+
+export interface Network {
+    /** Stable identifier, e.g. "polkadot-hub" or an SS58 registry network name. */
+    id: string;
+    name: string;
+    ss58Prefix: number;
+    /** Native token symbol, or null if the registry lists none. */
+    token: string | null;
+    /** Whether pallet-revive (EVM smart contracts) is deployed. */
+    hasRevive: boolean;
+    /** How the network's runtime maps H160s to accounts. */
+    mappingStrategy: MappingStrategyId;
+    /** Public WebSocket RPC endpoint, or null if none is configured. */
+    rpc: string | null;
+}
+
+/** pallet-revive networks first, then every chain in the SS58 registry. */
+export const NETWORKS: Network[];
+
+export const DEFAULT_NETWORK_ID: string;
+
+/** 16383, the largest prefix the SS58 format can encode. */
+export const MAX_SS58_PREFIX: number;
+
+/** Looks up a network by id. */
+export function getNetwork(id: string): Network | undefined;
+
+/** Lists every network using `ss58Prefix`, pallet-revive networks first. */
+export function getNetworksByPrefix(ss58Prefix: number): Network[];
+
+/** Case-insensitive search over id, name, token and exact prefix. */
+export function searchNetworks(query: string): Network[];
+
+/** True for integers 0-16383 other than the reserved 46 and 47. */
+export function isValidSS58Prefix(ss58Prefix: unknown): boolean;
+
+/** @throws {Error} If `ss58Prefix` is not a usable SS58 prefix. */
+export function assertValidSS58Prefix(ss58Prefix: unknown): void;
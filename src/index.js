@@ -0,0 +1,108 @@
+/**
+ * evm-ss58-converter
+ * Public entry point shared by the web page, the test suite and npm consumers.
+ */
+
+export {
+    ETH_DERIVATION,
+    ethToSS58,
+    ss58ToEth,
+    deriveEthAddress,
+    toChecksumAddress,
+    isValidEthAddress,
+    isValidEthChecksum,
+    isValidSS58Address
+} from './address.js';
+
+export {
+    MAPPING_STRATEGY,
+    MAPPING_STRATEGIES,
+    DEFAULT_MAPPING_STRATEGY,
+    getMappingStrategy
+} from './strategies.js';
+
+export { getSS58Prefix, decodeSS58, detectPrefixMismatch, reencodeSS58, encodeForNetworks } from './ss58.js';
+
+export { ADDRESS_FORMAT, CHECKSUM_STATUS, detectAddressFormat, inspectAddress } from './inspect.js';
+
+export {
+    KNOWN_ADDRESS_KIND,
+    KNOWN_ETH_ADDRESSES,
+    KNOWN_PALLET_IDS,
+    lookupKnownAddress
+} from './known.js';
+
+export {
+    MAPPING_STATUS,
+    isEthDerivedAccount,
+    getFallbackAccountId,
+    getReviveAccount,
+    checkAccountMapping,
+    buildMapAccountCall,
+    createPapiMappingProvider,
+    connectMappingProvider
+} from './mapping.js';
+
+export {
+    CONTRACT_SCHEME,
+    resolveDeployer,
+    getCreateAddress,
+    getCreate2Address,
+    getCodeHash,
+    computeContractAddress
+} from './contract.js';
+
+export {
+    DERIVED_ACCOUNT,
+    getMultisigAccountId,
+    getPureProxyAccountId,
+    getPalletAccountId,
+    getSovereignAccountId,
+    deriveAccount
+} from './derive.js';
+
+export { detectAddressType, convertAddress, convertBatch } from './batch.js';
+
+export { LINK_PARAMS, parseConverterLink, buildConverterLink } from './link.js';
+
+export { ADDRESS_URI_SCHEME, formatAddressURI, parseAddressURI } from './uri.js';
+
+export { getPolkadotIdenticon, getBlockie, renderIdenticonSVG } from './identicon.js';
+
+export {
+    ADDRESS_BOOK_FORMAT,
+    ADDRESS_BOOK_VERSION,
+    ADDRESS_BOOK_STORAGE_KEY,
+    DEFAULT_HISTORY_LIMIT,
+    MAX_LABEL_LENGTH,
+    validateAddressPair,
+    createAddressBook
+} from './address-book.js';
+
+export {
+    WALLET_KIND,
+    DEFAULT_APP_NAME,
+    detectWallets,
+    getWalletAddresses,
+    loadWalletAccounts
+} from './wallets.js';
+
+export {
+    SIGNATURE_SCHEME,
+    hashPersonalMessage,
+    recoverPersonalSignAddress,
+    verifyAddressSignature
+} from './signature.js';
+
+export { parseCSV, formatCSV, escapeCSVField } from './csv.js';
+
+export {
+    NETWORKS,
+    DEFAULT_NETWORK_ID,
+    MAX_SS58_PREFIX,
+    getNetwork,
+    getNetworksByPrefix,
+    searchNetworks,
+    isValidSS58Prefix,
+    assertValidSS58Prefix
+} from './networks.js';
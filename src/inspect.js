@@ -0,0 +1,149 @@
+/**
+ * Address inspector
+ *
+ * Answers "what is this string?" for an H160, an SS58 address or a raw
+ * 32-byte (or 33-byte compressed ECDSA) hex public key: the detected format,
+ * the network prefix, the underlying public key, whether it is an
+ * ETH-derived (0xEE-padded) account, and every H160 it can be associated with.
+ */
+
+import { hexToU8a, u8aToHex, keccak256AsU8a, blake2AsU8a, encodeAddress } from './polkadot.js';
+import {
+    ss58ToEth,
+    toChecksumAddress,
+    isValidEthAddress,
+    isValidEthChecksum,
+    isValidSS58Address
+} from './address.js';
+import { decodeSS58 } from './ss58.js';
+import { getNetworksByPrefix } from './networks.js';
+import { getMappingStrategy, MAPPING_STRATEGY } from './strategies.js';
+
+export const ADDRESS_FORMAT = Object.freeze({
+    ETH: 'eth',
+    SS58: 'ss58',
+    PUBLIC_KEY: 'public-key'
+});
+
+export const CHECKSUM_STATUS = Object.freeze({
+    VALID: 'valid',
+    UNCHECKSUMMED: 'unchecksummed',
+    MISMATCH: 'mismatch'
+});
+
+const PUBLIC_KEY_REGEX = /^0x(0[23])?[0-9a-fA-F]{64}$/;
+
+/**
+ * Detects the format of an address string
+ *
+ * The EIP-55 checksum is not considered; see `inspectAddress` for that.
+ *
+ * @param {string} input - Candidate address
+ * @returns {'eth'|'ss58'|'public-key'|null} Detected format, or null if none matches
+ */
+export function detectAddressFormat(input) {
+    if (isValidEthAddress(input, { ignoreChecksum: true })) {
+        return ADDRESS_FORMAT.ETH;
+    }
+    if (PUBLIC_KEY_REGEX.test(input)) {
+        return ADDRESS_FORMAT.PUBLIC_KEY;
+    }
+    if (isValidSS58Address(input)) {
+        return ADDRESS_FORMAT.SS58;
+    }
+    return null;
+}
+
+function getChecksumStatus(ethAddress) {
+    const hex = ethAddress.slice(2);
+    if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) {
+        return CHECKSUM_STATUS.UNCHECKSUMMED;
+    }
+    return isValidEthChecksum(ethAddress) ? CHECKSUM_STATUS.VALID : CHECKSUM_STATUS.MISMATCH;
+}
+
+/**
+ * Inspects an H160, SS58 address or raw public key
+ *
+ * For an H160 the inspected account is its 0xEE-padded form, i.e. what
+ * `ethToSS58` produces, and the EIP-55 checksum is reported rather than
+ * enforced. A 33-byte compressed ECDSA key has two H160s: the Ethereum
+ * address of the key itself, and the Keccak256 fallback of the account id
+ * the chain derives from it (the Blake2 hash of the key). A compressed key
+ * that is not a point on secp256k1 has no Ethereum address; the report says
+ * so in `keyError` instead of throwing.
+ *
+ * @param {string} input - Address to inspect
+ * @returns {{
+ *     input: string,
+ *     format: string,
+ *     checksum: string|null,
+ *     ss58Prefix: number|null,
+ *     networks: string[],
+ *     publicKey: string,
+ *     isEthDerived: boolean,
+ *     reversibleEthAddress: string|null,
+ *     keccakEthAddress: string|null,
+ *     ecdsaEthAddress: string|null,
+ *     keyError: string|null
+ * }} Inspection report; `reversibleEthAddress` is only set for ETH-derived accounts,
+ *     `ecdsaEthAddress` only for valid ECDSA keys
+ * @throws {Error} If the input is not a string in a recognized address format
+ */
+export function inspectAddress(input) {
+    if (typeof input !== 'string') {
+        throw new Error('Invalid input. Expected an address string.');
+    }
+    const address = input.trim();
+    const format = detectAddressFormat(address);
+
+    let publicKey;
+    let ss58Prefix = null;
+    let checksum = null;
+
+    switch (format) {
+    case ADDRESS_FORMAT.ETH:
+        publicKey = u8aToHex(getMappingStrategy(MAPPING_STRATEGY.REVIVE).ethToAccountId(hexToU8a(address)));
+        checksum = getChecksumStatus(address);
+        break;
+    case ADDRESS_FORMAT.PUBLIC_KEY:
+        publicKey = address.toLowerCase();
+        break;
+    case ADDRESS_FORMAT.SS58:
+        ({ publicKey, ss58Prefix } = decodeSS58(address));
+        break;
+    default:
+        throw new Error('Unrecognized address format. Expected an Ethereum address (0x + 40 hex), an SS58 address or a hex public key (0x + 64 hex, or 66 for a compressed ECDSA key).');
+    }
+
+    const keyBytes = hexToU8a(publicKey);
+    const isEcdsa = keyBytes.length === 33;
+    // The chain identifies an ECDSA account by the Blake2 hash of its key
+    const accountId = isEcdsa ? blake2AsU8a(keyBytes, 256) : keyBytes;
+    const is32Bytes = accountId.length === 32;
+    const isEthDerived = is32Bytes && !isEcdsa && accountId.slice(20).every(byte => byte === 0xEE);
+
+    let ecdsaEthAddress = null;
+    let keyError = null;
+    if (isEcdsa) {
+        try {
+            ecdsaEthAddress = ss58ToEth(encodeAddress(keyBytes));
+        } catch {
+            keyError = 'Not a valid compressed ECDSA key: the point is not on the secp256k1 curve.';
+        }
+    }
+
+    return {
+        input: address,
+        format,
+        checksum,
+        ss58Prefix,
+        networks: ss58Prefix === null ? [] : getNetworksByPrefix(ss58Prefix).map(network => network.name),
+        publicKey,
+        isEthDerived,
+        reversibleEthAddress: isEthDerived ? toChecksumAddress(u8aToHex(keyBytes.slice(0, 20))) : null,
+        keccakEthAddress: is32Bytes ? toChecksumAddress(u8aToHex(keccak256AsU8a(accountId).slice(-20))) : null,
+        ecdsaEthAddress,
+        keyError
+    };
+}
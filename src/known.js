@@ -0,0 +1,155 @@
+/**
+ * Well-known addresses
+ *
+ * Some addresses look like any other but are not accounts anyone holds a
+ * key for: the zero and burn addresses, precompiles, pallet-assets ERC-20
+ * precompiles, pallet accounts ("modl" ++ PalletId) and parachain sovereign
+ * accounts ("para"/"sibl" ++ para id). `lookupKnownAddress` labels them, with
+ * a warning for the ones funds must not be sent to.
+ */
+
+import { hexToU8a, u8aToHex, decodeAddress } from './polkadot.js';
+import { isValidEthAddress, isValidSS58Address } from './address.js';
+
+export const KNOWN_ADDRESS_KIND = Object.freeze({
+    BURN: 'burn',
+    PRECOMPILE: 'precompile',
+    ASSET_PRECOMPILE: 'asset-precompile',
+    PALLET: 'pallet',
+    SOVEREIGN: 'sovereign'
+});
+
+const BURN_WARNING = 'Nobody controls this address: funds sent to it are burned.';
+const PRECOMPILE_WARNING = 'This is a precompile, not an account: funds sent to it cannot be recovered.';
+const ASSET_PRECOMPILE_WARNING = 'This is the ERC-20 contract of an asset, not an account: tokens or funds sent to it cannot be recovered.';
+
+/**
+ * Fixed H160s, lowercase
+ */
+export const KNOWN_ETH_ADDRESSES = Object.freeze({
+    '0x0000000000000000000000000000000000000000': { kind: KNOWN_ADDRESS_KIND.BURN, label: 'Zero address' },
+    '0x000000000000000000000000000000000000dead': { kind: KNOWN_ADDRESS_KIND.BURN, label: 'Burn address' },
+    '0x0000000000000000000000000000000000000001': { kind: KNOWN_ADDRESS_KIND.PRECOMPILE, label: 'ecrecover precompile' },
+    '0x0000000000000000000000000000000000000002': { kind: KNOWN_ADDRESS_KIND.PRECOMPILE, label: 'SHA-256 precompile' },
+    '0x0000000000000000000000000000000000000003': { kind: KNOWN_ADDRESS_KIND.PRECOMPILE, label: 'RIPEMD-160 precompile' },
+    '0x0000000000000000000000000000000000000004': { kind: KNOWN_ADDRESS_KIND.PRECOMPILE, label: 'Identity precompile' },
+    '0x0000000000000000000000000000000000000005': { kind: KNOWN_ADDRESS_KIND.PRECOMPILE, label: 'ModExp precompile' },
+    '0x0000000000000000000000000000000000000006': { kind: KNOWN_ADDRESS_KIND.PRECOMPILE, label: 'BN128 addition precompile' },
+    '0x0000000000000000000000000000000000000007': { kind: KNOWN_ADDRESS_KIND.PRECOMPILE, label: 'BN128 multiplication precompile' },
+    '0x0000000000000000000000000000000000000008': { kind: KNOWN_ADDRESS_KIND.PRECOMPILE, label: 'BN128 pairing precompile' },
+    '0x0000000000000000000000000000000000000009': { kind: KNOWN_ADDRESS_KIND.PRECOMPILE, label: 'BLAKE2F precompile' },
+    '0x0000000000000000000000000000000000000900': { kind: KNOWN_ADDRESS_KIND.PRECOMPILE, label: 'pallet-revive System precompile' }
+});
+
+/**
+ * pallet-assets ERC-20 precompiles: the asset id in the first 4 bytes and
+ * the instance prefix in bytes 16-17, e.g. USDT (1984) on Asset Hub is
+ * 0x000007C000000000000000000000000001200000
+ */
+const ASSET_PRECOMPILE_PREFIXES = Object.freeze({
+    '0120': 'ERC-20 asset precompile (asset {id})',
+    '0220': 'ERC-20 foreign asset precompile (index {id})'
+});
+
+/**
+ * PalletIds of pallets whose accounts users commonly come across
+ */
+export const KNOWN_PALLET_IDS = Object.freeze({
+    'py/trsry': 'Treasury',
+    'py/nopls': 'Nomination Pools',
+    'py/cfund': 'Crowdloan',
+    'py/socie': 'Society',
+    'py/xcmch': 'XCM check account',
+    'PotStake': 'Collator Selection pot'
+});
+
+const ZERO_ACCOUNT_ID = '0x' + '00'.repeat(32);
+
+function isZero(bytes) {
+    return bytes.every(byte => byte === 0);
+}
+
+function readU32(bytes, littleEndian) {
+    return new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, littleEndian);
+}
+
+function lookupEthBytes(ethBytes) {
+    const known = KNOWN_ETH_ADDRESSES[u8aToHex(ethBytes)];
+    if (known) {
+        const warning = known.kind === KNOWN_ADDRESS_KIND.BURN ? BURN_WARNING : PRECOMPILE_WARNING;
+        return { ...known, warning };
+    }
+
+    const prefix = u8aToHex(ethBytes.slice(16, 18)).slice(2);
+    if (ASSET_PRECOMPILE_PREFIXES[prefix] && isZero(ethBytes.slice(4, 16)) && isZero(ethBytes.slice(18))) {
+        return {
+            kind: KNOWN_ADDRESS_KIND.ASSET_PRECOMPILE,
+            label: ASSET_PRECOMPILE_PREFIXES[prefix].replace('{id}', readU32(ethBytes, false)),
+            warning: ASSET_PRECOMPILE_WARNING
+        };
+    }
+    return null;
+}
+
+function describePalletId(idBytes) {
+    const text = String.fromCharCode(...idBytes);
+    if (KNOWN_PALLET_IDS[text]) {
+        return `${KNOWN_PALLET_IDS[text]} pallet`;
+    }
+    return /^[\x20-\x7e]{8}$/.test(text) ? `Pallet "${text}"` : `Pallet ${u8aToHex(idBytes)}`;
+}
+
+function lookupAccountId(accountId) {
+    // ETH-derived accounts are labelled by their H160
+    if (accountId.slice(20).every(byte => byte === 0xEE)) {
+        return lookupEthBytes(accountId.slice(0, 20));
+    }
+    if (u8aToHex(accountId) === ZERO_ACCOUNT_ID) {
+        return { kind: KNOWN_ADDRESS_KIND.BURN, label: 'Zero account', warning: BURN_WARNING };
+    }
+
+    const tag = String.fromCharCode(...accountId.slice(0, 4));
+    if (tag === 'modl') {
+        const account = isZero(accountId.slice(12)) ? 'account' : 'sub-account';
+        return {
+            kind: KNOWN_ADDRESS_KIND.PALLET,
+            label: `${describePalletId(accountId.slice(4, 12))} ${account}`,
+            warning: null
+        };
+    }
+    if ((tag === 'para' || tag === 'sibl') && isZero(accountId.slice(8))) {
+        const paraId = readU32(accountId.slice(4, 8), true);
+        const where = tag === 'para' ? 'on the relay chain' : 'on sibling parachains';
+        return {
+            kind: KNOWN_ADDRESS_KIND.SOVEREIGN,
+            label: `Sovereign account of parachain ${paraId} ${where}`,
+            warning: null
+        };
+    }
+    return null;
+}
+
+/**
+ * Looks up an address in the built-in registry of well-known addresses
+ *
+ * Accepts an H160 (the EIP-55 checksum is not enforced), an SS58 address or
+ * a 32-byte hex account id. An ETH-derived account is looked up by its H160.
+ *
+ * @param {string} address - Address to look up
+ * @returns {{kind: string, label: string, warning: string|null}|null} The entry,
+ *   with a warning if funds must not be sent to the address; null if unknown
+ */
+export function lookupKnownAddress(address) {
+    const value = String(address).trim();
+    if (isValidEthAddress(value, { ignoreChecksum: true })) {
+        return lookupEthBytes(hexToU8a(value.toLowerCase()));
+    }
+    if (/^0x[0-9a-fA-F]{64}$/.test(value)) {
+        return lookupAccountId(hexToU8a(value));
+    }
+    if (isValidSS58Address(value)) {
+        const publicKey = decodeAddress(value);
+        return publicKey.length === 32 ? lookupAccountId(publicKey) : null;
+    }
+    return null;
+}
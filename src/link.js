@@ -0,0 +1,64 @@
+/**
+ * Converter deep links
+ *
+ * The web page keeps its state in the URL, so a link can open it pre-filled:
+ *
+ *     https://example.org/?eth=0x3427…&network=kusama-hub
+ *     https://example.org/#ss58=12BP…&prefix=42
+ *
+ * Parameters are read from the query string and the hash (the hash wins),
+ * and written to the query string. `network` is a registry id; `prefix`
+ * selects a custom SS58 prefix instead. Safety confirmations such as "I have
+ * mapped this account" are deliberately not link parameters.
+ */
+
+export const LINK_PARAMS = Object.freeze(['eth', 'ss58', 'network', 'prefix']);
+
+/**
+ * Reads the converter state from a URL
+ *
+ * @param {string|URL} url - Page URL
+ * @returns {{eth: string|null, ss58: string|null, network: string|null, prefix: string|null}}
+ *     Trimmed parameter values; null where absent or empty
+ */
+export function parseConverterLink(url) {
+    const { search, hash } = new URL(url, 'http://localhost/');
+    const sources = [new URLSearchParams(search), new URLSearchParams(hash.slice(1))];
+
+    return Object.fromEntries(LINK_PARAMS.map(name => {
+        const values = sources.map(params => (params.get(name) || '').trim()).filter(Boolean);
+        return [name, values.length ? values[values.length - 1] : null];
+    }));
+}
+
+/**
+ * Builds a link that opens the converter pre-filled
+ *
+ * Other query parameters and the hash of `baseUrl` are kept, except for
+ * converter parameters, which are replaced.
+ *
+ * @param {string|URL} baseUrl - Address of the converter page
+ * @param {{eth?: string|null, ss58?: string|null, network?: string|null, prefix?: string|number|null}} state
+ *     Parameters to set; empty ones are left out
+ * @returns {string} Absolute URL
+ */
+export function buildConverterLink(baseUrl, state) {
+    const url = new URL(baseUrl);
+    const hashParams = new URLSearchParams(url.hash.slice(1));
+
+    // A hash carrying converter parameters would override the query
+    if (LINK_PARAMS.some(name => hashParams.has(name))) {
+        LINK_PARAMS.forEach(name => hashParams.delete(name));
+        url.hash = hashParams.toString();
+    }
+
+    LINK_PARAMS.forEach(name => {
+        url.searchParams.delete(name);
+        const value = state[name] === undefined || state[name] === null ? '' : String(state[name]).trim();
+        if (value) {
+            url.searchParams.set(name, value);
+        }
+    });
+
+    return url.toString();
+}
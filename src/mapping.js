@@ -0,0 +1,196 @@
+/**
+ * On-chain account mapping check (pallet-revive)
+ *
+ * pallet-revive derives the H160 of a native 32-byte account from the last
+ * 20 bytes of its Keccak256 hash, but only routes that H160 back to the
+ * account once `Revive.map_account` has stored it in `Revive.OriginalAccount`.
+ * Until then, funds sent to the H160 land in the 0xEE-padded fallback
+ * account, which nobody holds the key for.
+ *
+ * The chain is accessed through a small provider interface so the check can
+ * run against a live node (via polkadot-api) or a local mock:
+ *
+ *     {
+ *         getOriginalAccount(h160: string): Promise<string|null>,
+ *         getMapAccountCallData(): Promise<string>
+ *     }
+ *
+ * `getOriginalAccount` resolves to the mapped AccountId32 as hex, or null
+ * when unmapped; `getMapAccountCallData` encodes `Revive.map_account` using
+ * the chain's metadata.
+ */
+
+import { u8aToHex, decodeAddress, blake2AsU8a } from './polkadot.js';
+import { isValidSS58Address, toChecksumAddress } from './address.js';
+import { getMappingStrategy, MAPPING_STRATEGY } from './strategies.js';
+
+export const MAPPING_STATUS = Object.freeze({
+    ETH_DERIVED: 'eth-derived',
+    MAPPED: 'mapped',
+    UNMAPPED: 'unmapped',
+    UNKNOWN: 'unknown'
+});
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Checks whether an SS58 account is an ETH-derived (0xEE-padded) account
+ *
+ * @param {string} ss58Address - SS58-encoded address
+ * @returns {boolean} True if the last 12 bytes are all 0xEE
+ */
+export function isEthDerivedAccount(ss58Address) {
+    const accountId = decodeAddress(ss58Address);
+    return accountId.length === 32 && accountId.slice(20).every(byte => byte === 0xEE);
+}
+
+/**
+ * Builds the 0xEE-padded fallback account an H160 resolves to when unmapped
+ *
+ * @param {string} ethAddress - 20-byte Ethereum address
+ * @returns {string} 32-byte account id as hex
+ */
+export function getFallbackAccountId(ethAddress) {
+    return ethAddress.toLowerCase() + 'ee'.repeat(12);
+}
+
+/**
+ * Resolves the AccountId32 pallet-revive sees for an address, and its H160
+ *
+ * ECDSA accounts are identified on chain by the Blake2 hash of their 33-byte
+ * key, so their revive H160 comes from that hash, not from the key itself.
+ *
+ * @param {string} ss58Address - SS58-encoded address
+ * @returns {{accountId: string, ethAddress: string}} AccountId32 as hex and its checksummed H160
+ */
+export function getReviveAccount(ss58Address) {
+    const publicKey = decodeAddress(ss58Address);
+    const accountId = publicKey.length === 33 ? blake2AsU8a(publicKey, 256) : publicKey;
+    const ethBytes = getMappingStrategy(MAPPING_STRATEGY.REVIVE).accountIdToEth(accountId);
+    return { accountId: u8aToHex(accountId), ethAddress: toChecksumAddress(u8aToHex(ethBytes)) };
+}
+
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`No response within ${timeoutMs / 1000}s`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Checks how an SS58 account is mapped to an H160 on chain
+ *
+ * Never rejects: failures to reach or read the chain are reported as
+ * `unknown` with the reason in `error`.
+ *
+ * @param {string} ss58Address - SS58-encoded address
+ * @param {{getOriginalAccount: function(string): Promise<string|null>}|null} provider - Storage reader, or null if unavailable
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=10000] - Give up and report `unknown` after this long
+ * @returns {Promise<{status: string, ethAddress: string, accountId: string, fallbackAccountId: string|null, error: string|null}>}
+ */
+export async function checkAccountMapping(ss58Address, provider, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    if (!isValidSS58Address(ss58Address)) {
+        throw new Error('Invalid SS58 address. Expected a base58 address with a valid checksum.');
+    }
+
+    const { accountId, ethAddress } = getReviveAccount(ss58Address);
+    const result = { status: null, ethAddress, accountId, fallbackAccountId: null, error: null };
+
+    // ETH-derived accounts round-trip without any on-chain mapping
+    if (isEthDerivedAccount(ss58Address)) {
+        return { ...result, status: MAPPING_STATUS.ETH_DERIVED };
+    }
+
+    const fallbackAccountId = getFallbackAccountId(ethAddress);
+
+    if (!provider) {
+        return { ...result, status: MAPPING_STATUS.UNKNOWN, error: 'No chain connection available' };
+    }
+
+    try {
+        const original = await withTimeout(provider.getOriginalAccount(ethAddress), timeoutMs);
+        const mapped = original != null && original.toLowerCase() === accountId;
+        return {
+            ...result,
+            status: mapped ? MAPPING_STATUS.MAPPED : MAPPING_STATUS.UNMAPPED,
+            fallbackAccountId: mapped ? null : fallbackAccountId
+        };
+    } catch (error) {
+        return { ...result, status: MAPPING_STATUS.UNKNOWN, fallbackAccountId, error: error.message };
+    }
+}
+
+/**
+ * Builds the `Revive.map_account` call an account must submit to be mapped
+ *
+ * The call takes no arguments: it maps whichever account signs it. Its
+ * encoding (pallet and call index) comes from the chain's metadata, so it is
+ * specific to the provider's network.
+ *
+ * @param {string} ss58Address - SS58-encoded address of the account to map
+ * @param {{getMapAccountCallData: function(): Promise<string>}} provider - Chain access
+ * @returns {Promise<{callData: string, ethAddress: string, accountId: string}>} Hex call data and the H160 that will route to the account once mapped
+ * @throws {Error} If the address is invalid or ETH-derived (those never need mapping)
+ */
+export async function buildMapAccountCall(ss58Address, provider) {
+    if (!isValidSS58Address(ss58Address)) {
+        throw new Error('Invalid SS58 address. Expected a base58 address with a valid checksum.');
+    }
+    if (isEthDerivedAccount(ss58Address)) {
+        throw new Error('ETH-derived accounts are mapped implicitly and do not need Revive.map_account.');
+    }
+
+    return {
+        callData: await provider.getMapAccountCallData(),
+        ...getReviveAccount(ss58Address)
+    };
+}
+
+/**
+ * Adapts a polkadot-api client to the mapping provider interface
+ *
+ * @param {object} client - polkadot-api client (from `createClient`)
+ * @returns {{getOriginalAccount: function(string): Promise<string|null>, getMapAccountCallData: function(): Promise<string>}}
+ */
+export function createPapiMappingProvider(client) {
+    const api = client.getUnsafeApi();
+
+    return {
+        async getOriginalAccount(ethAddress) {
+            const { Binary } = await import('polkadot-api');
+            const account = await api.query.Revive.OriginalAccount.getValue(Binary.fromHex(ethAddress));
+            // polkadot-api decodes AccountId32 as an SS58 string
+            return account == null ? null : u8aToHex(decodeAddress(account));
+        },
+
+        async getMapAccountCallData() {
+            const callData = await api.tx.Revive.map_account().getEncodedData();
+            return callData.asHex();
+        }
+    };
+}
+
+/**
+ * Connects to a node over WebSocket and returns a mapping provider for it
+ *
+ * polkadot-api is imported lazily so offline conversions never load it.
+ *
+ * @param {string} rpcUrl - WebSocket endpoint, e.g. "wss://…"
+ * @returns {Promise<{provider: object, client: object, destroy: function(): void}>}
+ */
+export async function connectMappingProvider(rpcUrl) {
+    const { createClient } = await import('polkadot-api');
+    const { withPolkadotSdkCompat } = await import('polkadot-api/polkadot-sdk-compat');
+    const { getWsProvider } = typeof window === 'undefined'
+        ? await import('polkadot-api/ws-provider/node')
+        : await import('polkadot-api/ws-provider/web');
+
+    const client = createClient(withPolkadotSdkCompat(getWsProvider(rpcUrl)));
+    return {
+        provider: createPapiMappingProvider(client),
+        client,
+        destroy: () => client.destroy()
+    };
+}
@@ -0,0 +1,162 @@
+/**
+ * SS58 network registry
+ *
+ * The Polkadot Hub family, where pallet-revive is deployed, comes first and is
+ * curated here. It is followed by every chain in the SS58 registry shipped
+ * with Polkadot.js, so any registered prefix can be selected by name.
+ *
+ * Several networks share a prefix (Polkadot Hub, its Paseo testnet and the
+ * Polkadot relay chain all use 0), so networks are always looked up by `id`,
+ * never by prefix.
+ */
+
+import { availableNetworks } from './polkadot.js';
+import { MAPPING_STRATEGY } from './strategies.js';
+
+/** Largest prefix representable in the SS58 two-byte format */
+export const MAX_SS58_PREFIX = 16383;
+
+/** Prefixes reserved by the SS58 specification */
+const RESERVED_SS58_PREFIXES = [46, 47];
+
+/** Registry networks whose EVM accounts use Frontier's HashedAddressMapping */
+const FRONTIER_NETWORK_IDS = ['astar', 'edgeware'];
+
+/**
+ * Picks the mapping strategy of a registry network: secp256k1 chains use
+ * AccountId20, the known Frontier chains hash, everything else gets the
+ * pallet-revive scheme
+ */
+function registryMappingStrategy(network) {
+    if (network.standardAccount === 'secp256k1') {
+        return MAPPING_STRATEGY.ACCOUNT_ID_20;
+    }
+    if (FRONTIER_NETWORK_IDS.includes(network.network)) {
+        return MAPPING_STRATEGY.FRONTIER;
+    }
+    return MAPPING_STRATEGY.REVIVE;
+}
+
+const REVIVE_NETWORKS = [
+    {
+        id: 'polkadot-hub',
+        name: 'Polkadot Hub',
+        ss58Prefix: 0,
+        token: 'DOT',
+        hasRevive: true,
+        mappingStrategy: MAPPING_STRATEGY.REVIVE,
+        rpc: 'wss://polkadot-asset-hub-rpc.polkadot.io'
+    },
+    {
+        id: 'kusama-hub',
+        name: 'Kusama Hub',
+        ss58Prefix: 2,
+        token: 'KSM',
+        hasRevive: true,
+        mappingStrategy: MAPPING_STRATEGY.REVIVE,
+        rpc: 'wss://kusama-asset-hub-rpc.polkadot.io'
+    },
+    {
+        id: 'paseo-hub',
+        name: 'Polkadot Hub Testnet (Paseo)',
+        ss58Prefix: 0,
+        token: 'PAS',
+        hasRevive: true,
+        mappingStrategy: MAPPING_STRATEGY.REVIVE,
+        rpc: 'wss://asset-hub-paseo-rpc.n.dwellir.com'
+    },
+    {
+        id: 'westend-hub',
+        name: 'Westend Hub',
+        ss58Prefix: 42,
+        token: 'WND',
+        hasRevive: true,
+        mappingStrategy: MAPPING_STRATEGY.REVIVE,
+        rpc: 'wss://westend-asset-hub-rpc.polkadot.io'
+    }
+];
+
+export const NETWORKS = [
+    ...REVIVE_NETWORKS,
+    ...availableNetworks
+        .filter(network => isValidSS58Prefix(network.prefix))
+        .map(network => ({
+            id: network.network,
+            name: network.displayName,
+            ss58Prefix: network.prefix,
+            token: network.symbols[0] || null,
+            hasRevive: false,
+            mappingStrategy: registryMappingStrategy(network),
+            rpc: null
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+];
+
+export const DEFAULT_NETWORK_ID = 'polkadot-hub';
+
+/**
+ * Looks up a network by id
+ *
+ * @param {string} id - Network id, e.g. "kusama-hub"
+ * @returns {object|undefined} Network entry, or undefined if unknown
+ */
+export function getNetwork(id) {
+    return NETWORKS.find(network => network.id === id);
+}
+
+/**
+ * Finds every registered network using a prefix
+ *
+ * @param {number} ss58Prefix - SS58 prefix
+ * @returns {object[]} Matching networks, pallet-revive networks first
+ */
+export function getNetworksByPrefix(ss58Prefix) {
+    return NETWORKS.filter(network => network.ss58Prefix === ss58Prefix);
+}
+
+/**
+ * Case-insensitive search over network id, name, token and prefix
+ *
+ * @param {string} query - Search text; empty matches everything
+ * @returns {object[]} Matching networks in registry order
+ */
+export function searchNetworks(query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) {
+        return NETWORKS;
+    }
+    return NETWORKS.filter(network =>
+        network.id.toLowerCase().includes(needle)
+        || network.name.toLowerCase().includes(needle)
+        || (network.token && network.token.toLowerCase().includes(needle))
+        || String(network.ss58Prefix) === needle
+    );
+}
+
+/**
+ * Checks whether a value can be used as an SS58 prefix
+ *
+ * @param {*} ss58Prefix - Candidate prefix
+ * @returns {boolean} True for integers 0-16383, excluding reserved 46 and 47
+ */
+export function isValidSS58Prefix(ss58Prefix) {
+    return Number.isInteger(ss58Prefix)
+        && ss58Prefix >= 0
+        && ss58Prefix <= MAX_SS58_PREFIX
+        && !RESERVED_SS58_PREFIXES.includes(ss58Prefix);
+}
+
+/**
+ * Throws a descriptive error unless the prefix is usable
+ *
+ * @param {*} ss58Prefix - Candidate prefix
+ * @throws {Error} If the prefix is not an integer, out of range or reserved
+ */
+export function assertValidSS58Prefix(ss58Prefix) {
+    if (RESERVED_SS58_PREFIXES.includes(ss58Prefix)) {
+        throw new Error(`SS58 prefix ${ss58Prefix} is reserved and cannot be used.`);
+    }
+    if (!isValidSS58Prefix(ss58Prefix)) {
+        throw new Error(`Invalid SS58 prefix ${ss58Prefix}. Expected an integer between 0 and ${MAX_SS58_PREFIX}.`);
+    }
+}
@@ -0,0 +1,24 @@
+/**
+ * Polkadot.js dependency shim
+ *
+ * The web page loads the Polkadot.js UMD bundles, which expose the
+ * `polkadotUtil` and `polkadotUtilCrypto` globals. Everywhere else (Node,
+ * bundlers, tests) the npm packages are imported instead, so the conversion
+ * core runs on exactly the same code in both environments.
+ */
+
+const util = globalThis.polkadotUtil ?? await import('@polkadot/util');
+const utilCrypto = globalThis.polkadotUtilCrypto ?? await import('@polkadot/util-crypto');
+
+export const { hexToU8a, u8aToHex, stringToU8a, u8aConcat, u8aCmp, bnToU8a, compactToU8a } = util;
+export const {
+    encodeAddress,
+    decodeAddress,
+    keccak256AsU8a,
+    blake2AsU8a,
+    base58Decode,
+    availableNetworks,
+    cryptoWaitReady,
+    signatureVerify,
+    secp256k1Recover
+} = utilCrypto;
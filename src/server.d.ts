@@ -0,0 +1,84 @@
+import type { Server } from 'node:http';
+import type { AddressInspection, ConversionResult, MappingStrategyId, Network } from './index.js';
+
+export const DEFAULT_PORT: 8080;
+/** 127.0.0.1: only this machine can reach the service unless another host is given. */
+export const DEFAULT_HOST: string;
+export const MAX_BATCH_SIZE: number;
+export const MAX_BODY_BYTES: number;
+
+export type ServerErrorCode =
+    | 'invalid_request'
+    | 'invalid_json'
+    | 'invalid_address'
+    | 'invalid_prefix'
+    | 'unknown_network'
+    | 'unknown_strategy'
+    | 'not_found'
+    | 'method_not_allowed'
+    | 'payload_too_large'
+    | 'internal_error';
+
+export const SERVER_ERROR: Readonly<{
+    INVALID_REQUEST: 'invalid_request';
+    INVALID_JSON: 'invalid_json';
+    INVALID_ADDRESS: 'invalid_address';
+    INVALID_PREFIX: 'invalid_prefix';
+    UNKNOWN_NETWORK: 'unknown_network';
+    UNKNOWN_STRATEGY: 'unknown_strategy';
+    NOT_FOUND: 'not_found';
+    METHOD_NOT_ALLOWED: 'method_not_allowed';
+    PAYLOAD_TOO_LARGE: 'payload_too_large';
+    INTERNAL_ERROR: 'internal_error';
+}>;
+
+/** Body of every non-200 response. */
+export interface ServerErrorBody {
+    error: { code: ServerErrorCode; message: string };
+}
+
+/** How a request's addresses were converted. */
+export interface ConversionContext {
+    /** Registry network id; null when only a custom `prefix` was given. */
+    network: string | null;
+    ss58Prefix: number;
+    strategy: MappingStrategyId;
+}
+
+/** Parameters of /convert and /batch, from the query string or JSON body. */
+export interface ConversionParams {
+    /** Registry network id (default polkadot-hub). */
+    network?: string;
+    /** SS58 prefix overriding the network's. */
+    prefix?: number | string;
+    /** Mapping strategy overriding the network's. */
+    strategy?: MappingStrategyId;
+    ignoreChecksum?: boolean | 'true';
+}
+
+/** 200 body of /convert. Failed conversions are answered with 422 `invalid_address`. */
+export type ConvertResponse = ConversionContext & Omit<ConversionResult, 'error'>;
+
+/** 200 body of /inspect. */
+export type InspectResponse = AddressInspection;
+
+/** 200 body of POST /batch; failures are reported per result in `error`. */
+export interface BatchResponse extends ConversionContext {
+    results: ConversionResult[];
+}
+
+/** 200 body of /networks; GET /networks/<id> returns a single `Network`. */
+export interface NetworksResponse {
+    networks: Network[];
+}
+
+/**
+ * Creates the HTTP conversion service (/convert, /inspect, /batch,
+ * /networks). Call `listen()` on it to start serving.
+ */
+export function createConverterServer(options?: {
+    /** Addresses accepted per /batch request (default 10000). */
+    maxBatchSize?: number;
+    /** Largest accepted POST body in bytes (default 1 MiB). */
+    maxBodyBytes?: number;
+}): Server;
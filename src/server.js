@@ -0,0 +1,238 @@
+/**
+ * HTTP conversion service
+ *
+ * A small JSON API over the same core as the page and the CLI, so backend
+ * services can convert addresses without embedding any crypto code:
+ *
+ * - GET|POST /convert   one address, either direction
+ * - GET|POST /inspect   everything `inspectAddress` reports
+ * - POST     /batch     many addresses; failures are reported per address
+ * - GET      /networks  the network registry (?q= searches it)
+ * - GET      /networks/<id>
+ *
+ * GET requests take their parameters from the query string, POST requests
+ * from a JSON object body. `network` selects a registry network (default
+ * polkadot-hub), `prefix` overrides its SS58 prefix and `strategy` its
+ * mapping strategy, as with the CLI. Every failure is answered with
+ *
+ *     { "error": { "code": "unknown_network", "message": "…" } }
+ *
+ * and a matching HTTP status. Node only; nothing is fetched from the network.
+ */
+
+import { createServer } from 'node:http';
+import { convertAddress, convertBatch } from './batch.js';
+import { inspectAddress } from './inspect.js';
+import { NETWORKS, DEFAULT_NETWORK_ID, getNetwork, searchNetworks, isValidSS58Prefix, MAX_SS58_PREFIX } from './networks.js';
+import { MAPPING_STRATEGIES, DEFAULT_MAPPING_STRATEGY } from './strategies.js';
+
+export const DEFAULT_PORT = 8080;
+// Only this machine can reach the service unless another host is given
+export const DEFAULT_HOST = '127.0.0.1';
+export const MAX_BATCH_SIZE = 10000;
+export const MAX_BODY_BYTES = 1024 * 1024;
+
+export const SERVER_ERROR = Object.freeze({
+    INVALID_REQUEST: 'invalid_request',
+    INVALID_JSON: 'invalid_json',
+    INVALID_ADDRESS: 'invalid_address',
+    INVALID_PREFIX: 'invalid_prefix',
+    UNKNOWN_NETWORK: 'unknown_network',
+    UNKNOWN_STRATEGY: 'unknown_strategy',
+    NOT_FOUND: 'not_found',
+    METHOD_NOT_ALLOWED: 'method_not_allowed',
+    PAYLOAD_TOO_LARGE: 'payload_too_large',
+    INTERNAL_ERROR: 'internal_error'
+});
+
+/**
+ * An error answered with its own status and code instead of a 500
+ */
+function requestError(status, code, message) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+function sendJSON(response, status, body, headers = {}) {
+    const json = JSON.stringify(body, null, 2) + '\n';
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(json),
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    response.end(json);
+}
+
+async function readJSONBody(request, maxBodyBytes) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > maxBodyBytes) {
+            throw requestError(413, SERVER_ERROR.PAYLOAD_TOO_LARGE, `Request body is too large. Expected at most ${maxBodyBytes} bytes.`);
+        }
+        chunks.push(chunk);
+    }
+
+    let body;
+    try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+        throw requestError(400, SERVER_ERROR.INVALID_JSON, 'Request body is not valid JSON.');
+    }
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw requestError(400, SERVER_ERROR.INVALID_JSON, 'Request body must be a JSON object.');
+    }
+    return body;
+}
+
+/**
+ * Parameters of a request: the query string for GET, the JSON body for POST
+ */
+async function readParams(request, url, maxBodyBytes) {
+    return request.method === 'POST'
+        ? readJSONBody(request, maxBodyBytes)
+        : Object.fromEntries(url.searchParams);
+}
+
+function readAddress(params) {
+    if (typeof params.address !== 'string' || params.address.trim() === '') {
+        throw requestError(400, SERVER_ERROR.INVALID_REQUEST, 'Missing "address" parameter.');
+    }
+    return params.address;
+}
+
+/**
+ * Network, SS58 prefix and mapping strategy of a request. `prefix` and
+ * `strategy` override the network's own; a prefix without a network is a
+ * custom network using the default strategy, like `--prefix` in the CLI.
+ */
+function resolveConversion(params) {
+    const networkId = params.network ?? DEFAULT_NETWORK_ID;
+    const network = getNetwork(networkId);
+    if (!network) {
+        throw requestError(400, SERVER_ERROR.UNKNOWN_NETWORK, `Unknown network "${networkId}". See GET /networks.`);
+    }
+    const isCustom = params.prefix !== undefined && params.network === undefined;
+
+    let ss58Prefix = network.ss58Prefix;
+    if (params.prefix !== undefined) {
+        ss58Prefix = /^\d+$/.test(String(params.prefix)) ? Number(params.prefix) : NaN;
+        if (!isValidSS58Prefix(ss58Prefix)) {
+            throw requestError(400, SERVER_ERROR.INVALID_PREFIX,
+                `Invalid prefix "${params.prefix}". Expected 0-${MAX_SS58_PREFIX} (46 and 47 are reserved).`);
+        }
+    }
+
+    let strategy = isCustom ? DEFAULT_MAPPING_STRATEGY : network.mappingStrategy;
+    if (params.strategy !== undefined) {
+        if (!MAPPING_STRATEGIES.some(candidate => candidate.id === params.strategy)) {
+            throw requestError(400, SERVER_ERROR.UNKNOWN_STRATEGY,
+                `Unknown strategy "${params.strategy}". Expected one of: ${MAPPING_STRATEGIES.map(s => s.id).join(', ')}.`);
+        }
+        strategy = params.strategy;
+    }
+
+    return {
+        context: { network: isCustom ? null : network.id, ss58Prefix, strategy },
+        options: { strategy, ignoreChecksum: params.ignoreChecksum === true || params.ignoreChecksum === 'true' }
+    };
+}
+
+function handleConvert(params) {
+    const address = readAddress(params);
+    const { context, options } = resolveConversion(params);
+    const { error, ...result } = convertAddress(address, context.ss58Prefix, options);
+    if (error) {
+        throw requestError(422, SERVER_ERROR.INVALID_ADDRESS, error);
+    }
+    return { ...context, ...result };
+}
+
+function handleInspect(params) {
+    const address = readAddress(params);
+    try {
+        return inspectAddress(address);
+    } catch (error) {
+        throw requestError(422, SERVER_ERROR.INVALID_ADDRESS, error.message);
+    }
+}
+
+function handleBatch(params, { maxBatchSize }) {
+    const { addresses } = params;
+    if (!Array.isArray(addresses) || !addresses.every(address => typeof address === 'string')) {
+        throw requestError(400, SERVER_ERROR.INVALID_REQUEST, 'Expected "addresses" to be an array of strings.');
+    }
+    if (addresses.length > maxBatchSize) {
+        throw requestError(413, SERVER_ERROR.PAYLOAD_TOO_LARGE, `Too many addresses. Expected at most ${maxBatchSize} per request.`);
+    }
+    const { context, options } = resolveConversion(params);
+    return { ...context, results: convertBatch(addresses, context.ss58Prefix, options) };
+}
+
+function handleNetworks(params) {
+    return { networks: params.q ? searchNetworks(params.q) : NETWORKS };
+}
+
+function handleNetwork(id) {
+    const network = getNetwork(id);
+    if (!network) {
+        throw requestError(404, SERVER_ERROR.UNKNOWN_NETWORK, `Unknown network "${id}". See GET /networks.`);
+    }
+    return network;
+}
+
+const ROUTES = {
+    '/convert': { methods: ['GET', 'POST'], handler: handleConvert },
+    '/inspect': { methods: ['GET', 'POST'], handler: handleInspect },
+    '/batch': { methods: ['POST'], handler: handleBatch },
+    '/networks': { methods: ['GET'], handler: handleNetworks }
+};
+
+function findRoute(pathname) {
+    if (Object.hasOwn(ROUTES, pathname)) {
+        return ROUTES[pathname];
+    }
+    const match = pathname.match(/^\/networks\/([^/]+)$/);
+    if (match) {
+        return { methods: ['GET'], handler: () => handleNetwork(match[1]) };
+    }
+    return null;
+}
+
+/**
+ * Creates the conversion service; call `listen()` on it to start serving
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxBatchSize=10000] - Addresses accepted per /batch request
+ * @param {number} [options.maxBodyBytes=1048576] - Largest accepted POST body
+ * @returns {import('node:http').Server}
+ */
+export function createConverterServer({ maxBatchSize = MAX_BATCH_SIZE, maxBodyBytes = MAX_BODY_BYTES } = {}) {
+    return createServer(async (request, response) => {
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            const route = findRoute(url.pathname);
+            if (!route) {
+                throw requestError(404, SERVER_ERROR.NOT_FOUND, `No endpoint at ${url.pathname}. Expected /convert, /inspect, /batch or /networks.`);
+            }
+            if (!route.methods.includes(request.method)) {
+                throw Object.assign(
+                    requestError(405, SERVER_ERROR.METHOD_NOT_ALLOWED, `${url.pathname} accepts ${route.methods.join(' and ')} requests.`),
+                    { headers: { Allow: route.methods.join(', ') } }
+                );
+            }
+            const params = await readParams(request, url, maxBodyBytes);
+            sendJSON(response, 200, route.handler(params, { maxBatchSize }));
+        } catch (error) {
+            if (!error.status) {
+                console.error(error);
+                sendJSON(response, 500, { error: { code: SERVER_ERROR.INTERNAL_ERROR, message: 'Internal server error.' } });
+                return;
+            }
+            // A body left unread would otherwise be parsed as the next request
+            const headers = error.status === 413 ? { ...error.headers, Connection: 'close' } : error.headers;
+            sendJSON(response, error.status, { error: { code: error.code, message: error.message } }, headers);
+        }
+    });
+}
@@ -0,0 +1,254 @@
+/**
+ * Signed-message verification
+ *
+ * Proves that someone controls an account: they sign a message (e.g. a
+ * support ticket number) in their wallet and the signature is checked
+ * against the address they claim, in both forms:
+ *
+ * - EIP-191 `personal_sign` (MetaMask & co.): the signer's key is recovered
+ *   from Keccak256("\x19Ethereum Signed Message:\n" ++ len ++ message),
+ *   which gives both its H160 and its Substrate ECDSA account
+ * - Substrate sr25519/ed25519/ECDSA signatures (polkadot.js `signRaw` and
+ *   friends), checked against the account's public key, with or without
+ *   the `<Bytes>…</Bytes>` wrapping extensions add
+ *
+ * Like wallets, a 0x-prefixed hex message is taken as raw bytes; anything
+ * else is signed as UTF-8 text.
+ */
+
+import {
+    hexToU8a,
+    u8aToHex,
+    stringToU8a,
+    u8aConcat,
+    keccak256AsU8a,
+    blake2AsU8a,
+    decodeAddress,
+    cryptoWaitReady,
+    signatureVerify,
+    secp256k1Recover
+} from './polkadot.js';
+import {
+    ethToSS58,
+    deriveEthAddress,
+    toChecksumAddress,
+    isValidEthAddress,
+    isValidSS58Address,
+    ETH_DERIVATION
+} from './address.js';
+import { reencodeSS58 } from './ss58.js';
+import { isValidSS58Prefix } from './networks.js';
+import { getReviveAccount } from './mapping.js';
+
+export const SIGNATURE_SCHEME = Object.freeze({
+    EIP191: 'eip191',
+    SR25519: 'sr25519',
+    ED25519: 'ed25519',
+    ECDSA: 'ecdsa'
+});
+
+const HEX_REGEX = /^0x([0-9a-fA-F]{2})*$/;
+const EIP191_PREFIX = '\x19Ethereum Signed Message:\n';
+
+function messageToU8a(message) {
+    if (message instanceof Uint8Array) {
+        return message;
+    }
+    return HEX_REGEX.test(message) ? hexToU8a(message) : stringToU8a(message);
+}
+
+function signatureToU8a(signature) {
+    const value = typeof signature === 'string' ? signature.trim() : signature;
+    const bytes = value instanceof Uint8Array ? value : (HEX_REGEX.test(value) ? hexToU8a(value) : null);
+    if (!bytes || ![64, 65, 66].includes(bytes.length)) {
+        throw new Error('Invalid signature. Expected 0x followed by 64 to 66 hex-encoded bytes.');
+    }
+    return bytes;
+}
+
+/**
+ * Hashes a message the way `personal_sign` does (EIP-191 version 0x45)
+ *
+ * @param {string|Uint8Array} message - Text, 0x-prefixed hex or bytes
+ * @returns {Uint8Array} 32-byte Keccak256 hash
+ */
+export function hashPersonalMessage(message) {
+    const bytes = messageToU8a(message);
+    return keccak256AsU8a(u8aConcat(stringToU8a(`${EIP191_PREFIX}${bytes.length}`), bytes));
+}
+
+/**
+ * Recovers the uncompressed secp256k1 key (X ++ Y) behind a `personal_sign` signature
+ */
+function recoverPersonalSignKey(message, signature) {
+    const bytes = signatureToU8a(signature);
+    const v = bytes[64];
+    if (bytes.length !== 65 || ![0, 1, 27, 28].includes(v)) {
+        throw new Error('Invalid personal_sign signature. Expected 65 bytes ending in a recovery id of 27 or 28.');
+    }
+    return secp256k1Recover(hashPersonalMessage(message), bytes, v % 27, 'keccak');
+}
+
+/**
+ * Account id of the Substrate ECDSA account holding a key: the Blake2 hash
+ * of its compressed form
+ */
+function ecdsaAccountId(publicKey) {
+    const compressed = new Uint8Array(33);
+    compressed[0] = 2 + (publicKey[63] & 1);
+    compressed.set(publicKey.subarray(0, 32), 1);
+    return u8aToHex(blake2AsU8a(compressed, 256));
+}
+
+/**
+ * Recovers the H160 that produced a `personal_sign` signature
+ *
+ * @param {string|Uint8Array} message - Message as signed
+ * @param {string|Uint8Array} signature - 65-byte r ++ s ++ v signature (v is 27/28 or 0/1)
+ * @returns {string} Checksummed signer address
+ * @throws {Error} If the signature is malformed or no key can be recovered
+ */
+export function recoverPersonalSignAddress(message, signature) {
+    const publicKey = recoverPersonalSignKey(message, signature);
+    return toChecksumAddress(u8aToHex(keccak256AsU8a(publicKey).slice(-20)));
+}
+
+/**
+ * Whether two addresses in the same form belong to the same account
+ * (SS58 addresses are compared by public key, so the prefix does not matter)
+ */
+function isSameAccount(a, b) {
+    if (!a || !b) {
+        return false;
+    }
+    if (isValidSS58Address(a) && isValidSS58Address(b)) {
+        return u8aToHex(decodeAddress(a)) === u8aToHex(decodeAddress(b));
+    }
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Both forms of the claimed account on the selected network, and the form
+ * it was given in
+ */
+function resolveClaimedAccount(address, ss58Prefix, strategy) {
+    if (isValidEthAddress(address, { ignoreChecksum: true })) {
+        return {
+            type: 'eth',
+            ethAddress: toChecksumAddress(address),
+            ss58Address: ethToSS58(address, ss58Prefix, { ignoreChecksum: true, strategy })
+        };
+    }
+    if (!isValidSS58Address(address)) {
+        throw new Error('Invalid address. Expected an Ethereum (0x…) or SS58 address.');
+    }
+    let ethAddress = null;
+    let derivation = null;
+    try {
+        ({ ethAddress, derivation } = deriveEthAddress(address, { strategy }));
+    } catch {
+        // One-way strategies have no H160 for a native account
+    }
+    return {
+        type: 'ss58',
+        ethAddress,
+        derivation,
+        ss58Address: isValidSS58Prefix(ss58Prefix) ? reencodeSS58(address, ss58Prefix) : address
+    };
+}
+
+/**
+ * Verifies that a message was signed by an account, given in either form
+ *
+ * An EIP-191 signature is tried first: the signer's key is recovered, and
+ * it signed for the claimed account if that is the key's Substrate ECDSA
+ * account or if the key's H160 is the claimed one (converted with
+ * `ethToSS58`). Otherwise the signature is checked as a Substrate signature
+ * of the claimed account's public key.
+ *
+ * `ethMatch` only holds if the claimed H160 is the signer's and also
+ * converts back to the claimed account. A native account's H160 is the
+ * Keccak256 fallback, which converts to the 0xEE-padded fallback account
+ * instead; it only reaches the signer after `Revive.map_account`, so it
+ * reports `ethMatch: false` with `requiresMapping: true`. The key H160 of an
+ * ECDSA account never reaches it, so it reports `ethMatch: false` alone.
+ * Under a strategy with no H160 for the account (Frontier), `ethMatch` is
+ * null.
+ *
+ * `isValid` means the signer controls the claimed address in the form it
+ * was given: `ethMatch` for an H160, `ss58Match` for an SS58 address.
+ *
+ * @param {string|Uint8Array} message - Message as signed: text, 0x-prefixed hex or bytes
+ * @param {string|Uint8Array} signature - Hex signature
+ * @param {string} address - Claimed account, H160 or SS58
+ * @param {number} ss58Prefix - Network prefix for the SS58 forms
+ * @param {object} [options]
+ * @param {string|object} [options.strategy] - Mapping strategy, see `getMappingStrategy`
+ * @returns {Promise<{scheme: string|null, isValid: boolean,
+ *     signer: {ethAddress: string|null, ss58Address: string}|null,
+ *     claimed: {ethAddress: string|null, ss58Address: string},
+ *     ethMatch: boolean|null, ss58Match: boolean, requiresMapping: boolean}>}
+ *     `signer` is who signed (null if the signature matches no one); `ethMatch` and
+ *     `ss58Match` compare it with each form of the claimed account
+ * @throws {Error} If the address or signature is malformed
+ */
+export async function verifyAddressSignature(message, signature, address, ss58Prefix, { strategy } = {}) {
+    const { type, derivation, ...claimed } = resolveClaimedAccount(address.trim(), ss58Prefix, strategy);
+    const signatureBytes = signatureToU8a(signature);
+    const messageBytes = messageToU8a(message);
+    await cryptoWaitReady();
+
+    const result = (scheme, signer, { ethMatch, requiresMapping = false }) => {
+        const ss58Match = !!signer && isSameAccount(signer.ss58Address, claimed.ss58Address);
+        const isValid = type === 'eth' ? ethMatch === true : ss58Match;
+        return { scheme, isValid, signer, claimed, ethMatch, ss58Match, requiresMapping };
+    };
+
+    // Compares the signer's H160 with the claimed one, which must also convert back to the claimed account
+    const ethCheck = signerEthAddress => {
+        if (!claimed.ethAddress) {
+            return { ethMatch: null };
+        }
+        const reaches = isSameAccount(ethToSS58(claimed.ethAddress, ss58Prefix, { strategy }), claimed.ss58Address);
+        return {
+            ethMatch: reaches && isSameAccount(signerEthAddress, claimed.ethAddress),
+            requiresMapping: !reaches && derivation === ETH_DERIVATION.KECCAK_ACCOUNT_ID
+        };
+    };
+
+    let recovered = null;
+    let recoveredAccountId = null;
+    try {
+        const publicKey = recoverPersonalSignKey(messageBytes, signatureBytes);
+        const ethAddress = toChecksumAddress(u8aToHex(keccak256AsU8a(publicKey).slice(-20)));
+        recovered = { ethAddress, ss58Address: ethToSS58(ethAddress, ss58Prefix, { strategy }) };
+        recoveredAccountId = ecdsaAccountId(publicKey);
+    } catch {
+        // Not a personal_sign signature; try the Substrate schemes
+    }
+    // The same key also holds an ECDSA account, which ethToSS58 does not reach
+    if (recovered && type === 'ss58' && getReviveAccount(claimed.ss58Address).accountId === recoveredAccountId) {
+        const signer = { ethAddress: recovered.ethAddress, ss58Address: claimed.ss58Address };
+        return result(SIGNATURE_SCHEME.EIP191, signer, ethCheck(signer.ethAddress));
+    }
+    if (recovered && isSameAccount(recovered.ethAddress, claimed.ethAddress)) {
+        return result(SIGNATURE_SCHEME.EIP191, recovered, ethCheck(recovered.ethAddress));
+    }
+
+    if (isValidSS58Address(claimed.ss58Address)) {
+        let verified = null;
+        try {
+            verified = signatureVerify(messageBytes, signatureBytes, claimed.ss58Address);
+        } catch {
+            // Wrong length for the key type
+        }
+        if (verified?.isValid) {
+            // signatureVerify calls Ethereum-hashed secp256k1 "ethereum"; that is not personal_sign
+            const scheme = verified.crypto === 'ethereum' ? SIGNATURE_SCHEME.ECDSA : verified.crypto;
+            return result(scheme, { ...claimed }, ethCheck(claimed.ethAddress));
+        }
+    }
+
+    // A personal_sign signature by someone else
+    return result(recovered ? SIGNATURE_SCHEME.EIP191 : null, recovered, { ethMatch: recovered ? false : null });
+}
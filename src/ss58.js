@@ -0,0 +1,122 @@
+/**
+ * SS58 decoding and re-encoding
+ *
+ * An SS58 address is a network prefix plus a public key. The same key encodes
+ * to a different string on every network, so these helpers expose the prefix
+ * that `decodeAddress` discards and re-encode the key for other networks.
+ */
+
+import { u8aToHex, encodeAddress, decodeAddress, base58Decode } from './polkadot.js';
+import { ethToSS58, isValidEthAddress, isValidSS58Address } from './address.js';
+import { NETWORKS, assertValidSS58Prefix, getNetworksByPrefix } from './networks.js';
+
+function assertSS58(ss58Address) {
+    if (!isValidSS58Address(ss58Address)) {
+        throw new Error('Invalid SS58 address. Expected a base58 address with a valid checksum.');
+    }
+}
+
+/**
+ * Reads the network prefix encoded in an SS58 address
+ *
+ * Prefixes 0-63 take one byte; 64-16383 use the two-byte form, whose first
+ * byte has 0x40 set.
+ *
+ * @param {string} ss58Address - SS58-encoded address
+ * @returns {number} SS58 prefix
+ */
+export function getSS58Prefix(ss58Address) {
+    assertSS58(ss58Address);
+
+    const bytes = base58Decode(ss58Address);
+    if (bytes[0] < 64) {
+        return bytes[0];
+    }
+    return ((bytes[0] & 0x3f) << 2) | (bytes[1] >> 6) | ((bytes[1] & 0x3f) << 8);
+}
+
+/**
+ * Decodes an SS58 address into its public key and prefix
+ *
+ * @param {string} ss58Address - SS58-encoded address
+ * @returns {{publicKey: string, ss58Prefix: number}} Hex public key and prefix
+ */
+export function decodeSS58(ss58Address) {
+    assertSS58(ss58Address);
+
+    return {
+        publicKey: u8aToHex(decodeAddress(ss58Address)),
+        ss58Prefix: getSS58Prefix(ss58Address)
+    };
+}
+
+/**
+ * Compares the prefix of an SS58 address with the prefix of the selected network
+ *
+ * The conversion itself ignores the prefix, so a Kusama address converts
+ * just as well with Polkadot Hub selected; this reports that it was probably
+ * meant for another network.
+ *
+ * @param {string} ss58Address - SS58-encoded address
+ * @param {number} expectedPrefix - Prefix of the selected network
+ * @returns {{ss58Prefix: number, expectedPrefix: number, networks: string[]}|null}
+ *     The address's prefix and the names of the networks using it, or null if the prefixes match
+ */
+export function detectPrefixMismatch(ss58Address, expectedPrefix) {
+    const ss58Prefix = getSS58Prefix(ss58Address);
+    if (ss58Prefix === expectedPrefix) {
+        return null;
+    }
+    return {
+        ss58Prefix,
+        expectedPrefix,
+        networks: getNetworksByPrefix(ss58Prefix).map(network => network.name)
+    };
+}
+
+/**
+ * Re-encodes an SS58 address with another network prefix
+ *
+ * The public key is unchanged, so the result is the same account on the
+ * target network.
+ *
+ * @param {string} ss58Address - SS58-encoded address on any network
+ * @param {number} ss58Prefix - Target network prefix
+ * @returns {string} SS58 address for the target network
+ */
+export function reencodeSS58(ss58Address, ss58Prefix) {
+    assertSS58(ss58Address);
+    assertValidSS58Prefix(ss58Prefix);
+
+    return encodeAddress(decodeAddress(ss58Address), ss58Prefix);
+}
+
+/**
+ * Encodes an address for every network in the registry
+ *
+ * An SS58 address keeps its public key on every network. An H160 has no
+ * key to carry over, so it is converted with each network's mapping
+ * strategy; AccountId20 networks use the H160 itself, which is then the
+ * entry's address.
+ *
+ * @param {string} address - SS58 address on any network, or an H160
+ * @param {object[]} [networks] - Networks to encode for, defaults to the full registry
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreChecksum=false] - Accept an H160 with a wrong EIP-55 checksum
+ * @returns {Array<{network: object, address: string}>} One entry per network, in order
+ */
+export function encodeForNetworks(address, networks = NETWORKS, { ignoreChecksum = false } = {}) {
+    if (isValidEthAddress(address, { ignoreChecksum })) {
+        return networks.map(network => ({
+            network,
+            address: ethToSS58(address, network.ss58Prefix, { ignoreChecksum, strategy: network.mappingStrategy })
+        }));
+    }
+    assertSS58(address);
+
+    const publicKey = decodeAddress(address);
+    return networks.map(network => ({
+        network,
+        address: encodeAddress(publicKey, network.ss58Prefix)
+    }));
+}
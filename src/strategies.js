@@ -0,0 +1,98 @@
+/**
+ * Address mapping strategies
+ *
+ * EVM-on-Substrate runtimes disagree on how an H160 relates to a Substrate
+ * account, so the conversion is parameterized by a named strategy:
+ *
+ * - revive: pallet-revive pads the H160 to 32 bytes with 0xEE. A native
+ *   account's H160 is the last 20 bytes of Keccak256(AccountId32).
+ * - frontier: Frontier's `HashedAddressMapping<BlakeTwo256>` takes
+ *   blake2_256("evm:" ++ H160). The hash cannot be reversed.
+ * - account20: AccountId20 chains (Moonbeam and friends) use the H160 as the
+ *   account id itself, so there is no SS58 form; accounts are shown as H160.
+ *
+ * A strategy is a plain object, so callers can plug in their own:
+ *
+ *     {
+ *         id: string,
+ *         name: string,
+ *         accountIdLength: 20 | 32,
+ *         ethToAccountId(ethBytes: Uint8Array): Uint8Array,
+ *         accountIdToEth(accountId: Uint8Array): Uint8Array
+ *     }
+ *
+ * `accountIdToEth` throws when the strategy is one-way.
+ */
+
+import { keccak256AsU8a, blake2AsU8a, stringToU8a, u8aConcat } from './polkadot.js';
+
+export const MAPPING_STRATEGY = Object.freeze({
+    REVIVE: 'revive',
+    FRONTIER: 'frontier',
+    ACCOUNT_ID_20: 'account20'
+});
+
+export const DEFAULT_MAPPING_STRATEGY = MAPPING_STRATEGY.REVIVE;
+
+const FRONTIER_PREFIX = stringToU8a('evm:');
+
+export const MAPPING_STRATEGIES = Object.freeze([
+    {
+        id: MAPPING_STRATEGY.REVIVE,
+        name: 'pallet-revive',
+        accountIdLength: 32,
+        ethToAccountId(ethBytes) {
+            const accountId = new Uint8Array(32).fill(0xEE);
+            accountId.set(ethBytes, 0);
+            return accountId;
+        },
+        accountIdToEth(accountId) {
+            // ETH-derived accounts strip their padding; native ones hash
+            if (accountId.slice(20).every(byte => byte === 0xEE)) {
+                return accountId.slice(0, 20);
+            }
+            return keccak256AsU8a(accountId).slice(-20);
+        }
+    },
+    {
+        id: MAPPING_STRATEGY.FRONTIER,
+        name: 'Frontier HashedAddressMapping',
+        accountIdLength: 32,
+        ethToAccountId(ethBytes) {
+            return blake2AsU8a(u8aConcat(FRONTIER_PREFIX, ethBytes), 256);
+        },
+        accountIdToEth() {
+            throw new Error('Frontier HashedAddressMapping is one-way: the account is a Blake2 hash of the H160, so no H160 can be recovered from it.');
+        }
+    },
+    {
+        id: MAPPING_STRATEGY.ACCOUNT_ID_20,
+        name: 'AccountId20',
+        accountIdLength: 20,
+        ethToAccountId(ethBytes) {
+            return ethBytes.slice();
+        },
+        accountIdToEth(accountId) {
+            return accountId.slice();
+        }
+    }
+]);
+
+/**
+ * Resolves a strategy id, or passes a custom strategy object through
+ *
+ * @param {string|object} [strategy='revive'] - Strategy id or strategy object
+ * @returns {object} Strategy
+ * @throws {Error} If the id is unknown
+ */
+export function getMappingStrategy(strategy = DEFAULT_MAPPING_STRATEGY) {
+    if (typeof strategy === 'object' && strategy !== null) {
+        return strategy;
+    }
+    const found = MAPPING_STRATEGIES.find(candidate => candidate.id === strategy);
+    if (!found) {
+        const ids = MAPPING_STRATEGIES.map(candidate => candidate.id).join(', ');
+        throw new Error(`Unknown mapping strategy "${strategy}". Expected one of: ${ids}.`);
+    }
+    return found;
+}
@@ -0,0 +1,72 @@
+/**
+ * Address URIs
+ *
+ * Wallets exchange addresses in QR codes either as the bare address or as a
+ * URI: EIP-681 `ethereum:` URIs for H160s, and the `substrate:` URIs of
+ * Polkadot Vault for SS58 addresses:
+ *
+ *     ethereum:0x3427D90f1Ee5c5D3627c2EBb37f90393526066fd@420420419
+ *     ethereum:0x…token/transfer?address=0x…recipient&uint256=1
+ *     substrate:12BPKz35oCyGt1gv7jm2iDy25oSr1NUYVpEFeyHGJoYtTFiA:0x…genesis:Name
+ */
+
+import { detectAddressType } from './batch.js';
+
+export const ADDRESS_URI_SCHEME = Object.freeze({
+    ETHEREUM: 'ethereum',
+    SUBSTRATE: 'substrate'
+});
+
+const ETH_URI_REGEX = /^ethereum:(?:pay-)?(0x[0-9a-fA-F]{40})(?:@\d+)?(?:\/([^?]*))?(?:\?(.*))?$/i;
+const SUBSTRATE_URI_REGEX = /^substrate:([^:]+)(?::.*)?$/i;
+
+/**
+ * Formats an address as a URI for its wallet ecosystem
+ *
+ * @param {string} address - Ethereum or SS58 address
+ * @returns {string} `ethereum:<address>` or `substrate:<address>`
+ * @throws {Error} If the address is neither format
+ */
+export function formatAddressURI(address) {
+    const value = address.trim();
+    const type = detectAddressType(value);
+    if (type === 'eth') {
+        return `${ADDRESS_URI_SCHEME.ETHEREUM}:${value}`;
+    }
+    if (type === 'ss58') {
+        return `${ADDRESS_URI_SCHEME.SUBSTRATE}:${value}`;
+    }
+    throw new Error('Invalid address. Expected an Ethereum (0x…) or SS58 address.');
+}
+
+/**
+ * Extracts the address from QR code content: a bare address, an EIP-681
+ * `ethereum:` URI or a `substrate:` URI
+ *
+ * For an ERC-20 `transfer` request the recipient is returned, not the token.
+ * The EIP-55 checksum is not checked here; the converter does that.
+ *
+ * @param {string} text - Decoded QR content
+ * @returns {{type: 'eth'|'ss58', address: string}} The address and its format
+ * @throws {Error} If no address can be found
+ */
+export function parseAddressURI(text) {
+    const value = text.trim();
+    let address = value;
+
+    const eth = ETH_URI_REGEX.exec(value);
+    const substrate = SUBSTRATE_URI_REGEX.exec(value);
+    if (eth) {
+        const [, target, fn, query] = eth;
+        const recipient = fn === 'transfer' ? new URLSearchParams(query || '').get('address') : null;
+        address = recipient || target;
+    } else if (substrate) {
+        address = substrate[1];
+    }
+
+    const type = detectAddressType(address);
+    if (!type || (eth && type !== 'eth') || (substrate && type !== 'ss58')) {
+        throw new Error('No address found in this QR code. Expected an address or an ethereum:/substrate: URI.');
+    }
+    return { type, address };
+}
@@ -0,0 +1,129 @@
+/**
+ * Injected wallet accounts
+ *
+ * Lists the accounts of the browser wallets a page can see: Polkadot
+ * extensions registered in `window.injectedWeb3` (polkadot.js, Talisman,
+ * SubWallet, …) and an EIP-1193 provider at `window.ethereum` (MetaMask and
+ * friends). Each account is converted so both its H160 and its SS58 form
+ * are shown.
+ *
+ * Only account lists are requested (`enable()` + `accounts.get()`, and
+ * `eth_requestAccounts`); nothing is ever signed. The wallet scope is a
+ * parameter, so stubbed providers can stand in for real ones.
+ */
+
+import { toChecksumAddress } from './address.js';
+import { convertAddress } from './batch.js';
+import { reencodeSS58 } from './ss58.js';
+import { isValidSS58Prefix } from './networks.js';
+
+export const WALLET_KIND = Object.freeze({
+    SUBSTRATE: 'substrate',
+    ETHEREUM: 'ethereum'
+});
+
+// Name the Polkadot extensions show when asking the user to allow access
+export const DEFAULT_APP_NAME = 'EVM to SS58 Address Converter';
+
+/**
+ * Lists the wallets injected into a page
+ *
+ * @param {object} [scope=globalThis] - Object holding `injectedWeb3` and/or `ethereum`
+ * @returns {Array<{id: string, kind: string, name: string}>} Polkadot extensions first
+ */
+export function detectWallets(scope = globalThis) {
+    const wallets = Object.keys(scope.injectedWeb3 ?? {})
+        .map(id => ({ id, kind: WALLET_KIND.SUBSTRATE, name: id }));
+    if (typeof scope.ethereum?.request === 'function') {
+        wallets.push({
+            id: 'ethereum',
+            kind: WALLET_KIND.ETHEREUM,
+            name: scope.ethereum.isMetaMask ? 'MetaMask' : 'Ethereum wallet'
+        });
+    }
+    return wallets;
+}
+
+/**
+ * Asks one wallet for its accounts; the wallet may prompt the user first
+ *
+ * @param {{id: string, kind: string}} wallet - Entry from `detectWallets`
+ * @param {object} [options]
+ * @param {object} [options.scope=globalThis] - Object holding the wallet
+ * @param {string} [options.appName] - Name shown in the extension's access prompt
+ * @returns {Promise<Array<{address: string, name: string|null}>>}
+ * @throws {Error} If the wallet is gone or refuses access
+ */
+export async function getWalletAddresses(wallet, { scope = globalThis, appName = DEFAULT_APP_NAME } = {}) {
+    if (wallet.kind === WALLET_KIND.ETHEREUM) {
+        const addresses = await scope.ethereum.request({ method: 'eth_requestAccounts' });
+        return (addresses ?? []).map(address => ({ address, name: null }));
+    }
+
+    const extension = scope.injectedWeb3?.[wallet.id];
+    if (typeof extension?.enable !== 'function') {
+        throw new Error(`${wallet.name ?? wallet.id} does not support account access.`);
+    }
+    const injected = await extension.enable(appName);
+    const accounts = await injected.accounts.get();
+    return accounts.map(({ address, name }) => ({ address, name: name ?? null }));
+}
+
+/**
+ * Converts a wallet account to both address forms
+ *
+ * Polkadot extensions can hold H160 accounts too (for AccountId20 chains),
+ * so the direction follows the address, not the wallet.
+ */
+function convertAccount({ address, name }, wallet, ss58Prefix, strategy) {
+    const result = convertAddress(address, ss58Prefix, { strategy });
+    const account = {
+        wallet: wallet.name,
+        kind: wallet.kind,
+        name,
+        address,
+        ethAddress: null,
+        ss58Address: null,
+        derivation: result.derivation,
+        error: result.error
+    };
+    if (result.error) {
+        return account;
+    }
+    if (result.type === 'eth') {
+        account.ethAddress = toChecksumAddress(result.input);
+        account.ss58Address = result.output;
+    } else {
+        account.ethAddress = result.output;
+        account.ss58Address = isValidSS58Prefix(ss58Prefix) ? reencodeSS58(result.input, ss58Prefix) : result.input;
+    }
+    return account;
+}
+
+/**
+ * Loads and converts the accounts of every injected wallet, one wallet at a
+ * time so their prompts do not overlap
+ *
+ * @param {number} ss58Prefix - Network prefix SS58 forms are encoded for
+ * @param {object} [options]
+ * @param {object} [options.scope=globalThis] - Object holding the wallets
+ * @param {string} [options.appName] - Name shown in extension access prompts
+ * @param {string|object} [options.strategy] - Mapping strategy, see `getMappingStrategy`
+ * @returns {Promise<{accounts: Array<{wallet: string, kind: string, name: string|null, address: string,
+ *     ethAddress: string|null, ss58Address: string|null, derivation: string|null, error: string|null}>,
+ *     errors: Array<{wallet: string, message: string}>}>}
+ *     One entry per account; wallets that fail or refuse access are listed in `errors`
+ */
+export async function loadWalletAccounts(ss58Prefix, { scope = globalThis, appName = DEFAULT_APP_NAME, strategy } = {}) {
+    const accounts = [];
+    const errors = [];
+    for (const wallet of detectWallets(scope)) {
+        try {
+            const addresses = await getWalletAddresses(wallet, { scope, appName });
+            addresses.forEach(entry => accounts.push(convertAccount(entry, wallet, ss58Prefix, strategy)));
+        } catch (error) {
+            errors.push({ wallet: wallet.name, message: error?.message || String(error) });
+        }
+    }
+    return { accounts, errors };
+}
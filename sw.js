@@ -0,0 +1,102 @@
+/**
+ * Service worker
+ *
+ * Precaches everything the page needs, so it loads and converts without a
+ * connection. Requests go to the network first and fall back to the cache,
+ * so an online visit always gets the current files and never mixes a new
+ * page with old libraries; each successful response refreshes the copy.
+ * Only on-chain mapping checks still need a connection, to reach the RPC
+ * endpoints.
+ *
+ * Keep PRECACHE_URLS in sync with the files index.html loads; npm test
+ * checks it.
+ */
+
+const CACHE_NAME = 'evm-ss58-converter-v1';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'polkadot.png',
+    'converter.js',
+    'vendor/bundle-polkadot-util.js',
+    'vendor/bundle-polkadot-util-crypto.js',
+    'vendor/qrcode.js',
+    'vendor/jsQR.js',
+    'vendor/polkadot-api.js',
+    'vendor/polkadot-api-sdk-compat.js',
+    'vendor/polkadot-api-ws-provider-web.js',
+    'src/address-book.js',
+    'src/address.js',
+    'src/batch.js',
+    'src/contract.js',
+    'src/csv.js',
+    'src/derive.js',
+    'src/identicon.js',
+    'src/index.js',
+    'src/inspect.js',
+    'src/known.js',
+    'src/link.js',
+    'src/mapping.js',
+    'src/networks.js',
+    'src/polkadot.js',
+    'src/signature.js',
+    'src/ss58.js',
+    'src/strategies.js',
+    'src/uri.js',
+    'src/wallets.js',
+    'ui/address-book.js',
+    'ui/address-qr.js',
+    'ui/all-networks.js',
+    'ui/bulk.js',
+    'ui/contract.js',
+    'ui/deep-link.js',
+    'ui/derive.js',
+    'ui/identicons.js',
+    'ui/inspector.js',
+    'ui/map-account.js',
+    'ui/mapping.js',
+    'ui/network-picker.js',
+    'ui/offline.js',
+    'ui/qr.js',
+    'ui/verify.js',
+    'ui/wallets.js'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.put(request, copy)));
+                }
+                return response;
+            })
+            // Query strings are cache busters (converter.js?v=3) or deep links
+            .catch(() => caches.match(request, { ignoreSearch: true })
+                .then(cached => cached ?? Response.error()))
+    );
+});
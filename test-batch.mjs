@@ -0,0 +1,90 @@
+/**
+ * Batch and CSV Tests
+ * Covers format detection, batch conversion and CSV parsing/serialization
+ * Run: npm test
+ */
+
+import {
+    detectAddressType,
+    convertAddress,
+    convertBatch,
+    parseCSV,
+    formatCSV
+} from './src/index.js';
+
+const ETH = '0x3427D90f1Ee5c5D3627c2EBb37f90393526066fd';
+const SS58 = '12BPKz35oCyGt1gv7jm2iDy25oSr1NUYVpEFeyHGJoYtTFiA';
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const tests = [
+    ['detectAddressType recognizes ETH', () => detectAddressType(ETH) === 'eth'],
+    ['detectAddressType recognizes SS58', () => detectAddressType(SS58) === 'ss58'],
+    ['detectAddressType rejects garbage', () => detectAddressType('hello') === null],
+    ['convertAddress trims and converts ETH', () => {
+        const result = convertAddress(`  ${ETH}\t`, 0);
+        return result.input === ETH && result.output === SS58 && result.error === null;
+    }],
+    ['convertAddress converts SS58 and labels the derivation', () => {
+        const result = convertAddress(SS58, 0);
+        return result.output === ETH && result.derivation === 'eth-derived'
+            && convertAddress(ETH, 0).derivation === null;
+    }],
+    ['convertAddress reports SS58 inputs encoded for another network', () => {
+        const kusama = 'Dkhqy7tZnijC8VqvoX5U2VsNmjS7jjashLWtLZsEWjs1ega';
+        const { output, prefixMismatch } = convertAddress(kusama, 0);
+        return output === ETH && prefixMismatch.ss58Prefix === 2 && prefixMismatch.expectedPrefix === 0
+            && convertAddress(SS58, 0).prefixMismatch === null
+            && convertAddress(ETH, 2).prefixMismatch === null;
+    }],
+    ['convertAddress reports errors instead of throwing', () => {
+        const result = convertAddress('0x1234', 0);
+        return result.type === null && result.output === null && result.error.length > 0;
+    }],
+    ['convertAddress flags checksum mismatches as ETH errors', () => {
+        const badChecksum = '0x3427d90f1Ee5c5D3627c2EBb37f90393526066fd';
+        const result = convertAddress(badChecksum, 0);
+        return result.type === 'eth' && result.output === null && result.error.includes('checksum')
+            && convertAddress(badChecksum, 0, { ignoreChecksum: true }).output === SS58;
+    }],
+    ['convertBatch skips blank entries and keeps order', () => {
+        const results = convertBatch([ETH, '', '  ', 'bad', SS58], 0);
+        return same(results.map(r => r.output), [SS58, null, ETH]);
+    }],
+    ['parseCSV handles a plain list', () => same(parseCSV(`${ETH}\n${SS58}\n`), [[ETH], [SS58]])],
+    ['parseCSV handles CRLF and blank lines', () => same(parseCSV('a,b\r\n\r\nc,d'), [['a', 'b'], ['c', 'd']])],
+    ['parseCSV handles quoted fields', () => {
+        return same(parseCSV('"x,1","say ""hi""","multi\nline"\n'), [['x,1', 'say "hi"', 'multi\nline']]);
+    }],
+    ['parseCSV keeps trailing empty fields', () => same(parseCSV('a,\n'), [['a', '']])],
+    ['formatCSV quotes only where needed', () => {
+        return formatCSV([['a', 'b,c', 'd"e', null]]) === 'a,"b,c","d""e",\n';
+    }],
+    ['formatCSV output parses back', () => {
+        const rows = [['name', 'address'], ['x, "y"', ETH]];
+        return same(parseCSV(formatCSV(rows)), rows);
+    }]
+];
+
+function runAllTests() {
+    console.log('EVM to SS58 Converter - Batch and CSV Tests');
+    console.log('='.repeat(50) + '\n');
+    let passed = 0, failed = 0;
+
+    tests.forEach(([name, test]) => {
+        let ok;
+        try {
+            ok = test();
+        } catch (error) {
+            console.log(`  Error: ${error.message}`);
+            ok = false;
+        }
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    });
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    process.exit(failed === 0 ? 0 : 1);
+}
+
+runAllTests();
@@ -0,0 +1,143 @@
+/**
+ * CLI Tests
+ * Runs bin/evm-ss58.js as a child process and checks its output
+ * Run: npm test
+ */
+
+import { spawnSync } from 'node:child_process';
+import { writeFileSync, rmSync, mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const BIN = new URL('./bin/evm-ss58.js', import.meta.url).pathname;
+
+const ETH = '0x3427D90f1Ee5c5D3627c2EBb37f90393526066fd';
+const SS58_POLKADOT = '12BPKz35oCyGt1gv7jm2iDy25oSr1NUYVpEFeyHGJoYtTFiA';
+const SS58_KUSAMA = 'Dkhqy7tZnijC8VqvoX5U2VsNmjS7jjashLWtLZsEWjs1ega';
+// ETH with one letter's case flipped, so its EIP-55 checksum no longer matches
+const ETH_BAD_CHECKSUM = '0x3427d90f1Ee5c5D3627c2EBb37f90393526066fd';
+
+function run(args, input) {
+    return spawnSync(process.execPath, [BIN, ...args], { input, encoding: 'utf8' });
+}
+
+const tests = [
+    ['converts ETH from arguments', () => {
+        const { stdout, status } = run([ETH]);
+        return status === 0 && stdout === `${SS58_POLKADOT}\n`;
+    }],
+    ['converts SS58 from arguments', () => {
+        const { stdout, status } = run([SS58_POLKADOT]);
+        return status === 0 && stdout === `${ETH}\n`;
+    }],
+    ['honours --network', () => {
+        const { stdout } = run(['--network', 'kusama-hub', ETH]);
+        return stdout === `${SS58_KUSAMA}\n`;
+    }],
+    ['honours --prefix over --network', () => {
+        const { stdout } = run(['--network', 'polkadot-hub', '--prefix', '2', ETH]);
+        return stdout === `${SS58_KUSAMA}\n`;
+    }],
+    ['reads stdin and skips blank lines', () => {
+        const { stdout, status } = run([], `${ETH}\n\n${SS58_KUSAMA}\r\n`);
+        return status === 0 && stdout === `${SS58_POLKADOT}\n${ETH}\n`;
+    }],
+    ['reads --file', () => {
+        const dir = mkdtempSync(join(tmpdir(), 'evm-ss58-'));
+        try {
+            const file = join(dir, 'addresses.txt');
+            writeFileSync(file, `${ETH}\n${SS58_POLKADOT}\n`);
+            const { stdout } = run(['--file', file]);
+            return stdout === `${SS58_POLKADOT}\n${ETH}\n`;
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    }],
+    ['reports bad lines without aborting the batch', () => {
+        const { stdout, stderr, status } = run([ETH, 'not-an-address', SS58_POLKADOT]);
+        return status === 1
+            && stdout === `${SS58_POLKADOT}\n${ETH}\n`
+            && stderr.includes('not-an-address: Unrecognized address format');
+    }],
+    ['emits JSON', () => {
+        const { stdout } = run(['--format', 'json', ETH, 'nope']);
+        const results = JSON.parse(stdout);
+        return results.length === 2
+            && results[0].type === 'eth' && results[0].output === SS58_POLKADOT && results[0].error === null
+            && results[1].type === null && results[1].output === null && typeof results[1].error === 'string';
+    }],
+    ['emits CSV with quoted fields', () => {
+        const { stdout } = run(['--format', 'csv'], `${SS58_POLKADOT}\nfoo,bar\n`);
+        const lines = stdout.trim().split('\n');
+        return lines[0] === 'input,type,output,error'
+            && lines[1] === `${SS58_POLKADOT},ss58,${ETH},`
+            && lines[2].startsWith('"foo,bar",,,');
+    }],
+    ['rejects unknown networks', () => {
+        const { stderr, status } = run(['--network', 'nope', ETH]);
+        return status === 2 && stderr.includes('unknown network');
+    }],
+    ['accepts SS58 registry network ids', () => {
+        const { stdout } = run(['--network', 'substrate', ETH]);
+        return stdout.startsWith('5');
+    }],
+    ['rejects reserved and out-of-range prefixes', () => {
+        return run(['--prefix', '46', ETH]).status === 2 && run(['--prefix', '16384', ETH]).status === 2;
+    }],
+    ['lists networks with prefix, token and revive flag', () => {
+        const lines = run(['--list-networks']).stdout.trim().split('\n');
+        return lines.length > 100 && lines[0] === 'polkadot-hub\t0\tDOT\trevive\tPolkadot Hub';
+    }],
+    ['rejects a bad checksum unless --ignore-checksum is given', () => {
+        const rejected = run([ETH_BAD_CHECKSUM]);
+        const accepted = run(['--ignore-checksum', ETH_BAD_CHECKSUM]);
+        return rejected.status === 1 && rejected.stderr.includes('checksum')
+            && accepted.status === 0 && accepted.stdout === run([ETH]).stdout;
+    }],
+    ['uses the network\'s mapping strategy unless --strategy overrides it', () => {
+        const moonbeam = run(['--network', 'moonbeam', ETH.toLowerCase()]);
+        const frontier = run(['--prefix', '42', '--strategy', 'frontier', '0xd43593c715fdd31c61141abd04a99fd6822c8558']);
+        return moonbeam.stdout.trim() === ETH
+            && frontier.stdout.trim() === '5FrLxJsyJ5x9n2rmxFwosFraxFCKcXZDngRLNectCn64UjtZ'
+            && run(['--strategy', 'nope', ETH]).status === 2;
+    }],
+    ['warns about SS58 inputs encoded for another network', () => {
+        const { status, stdout, stderr } = run([SS58_KUSAMA, SS58_POLKADOT]);
+        return status === 0 && stdout === `${ETH}\n${ETH}\n`
+            && stderr.includes(`warning: ${SS58_KUSAMA} is encoded for prefix 2`)
+            && !stderr.includes(SS58_POLKADOT)
+            && run(['--network', 'kusama-hub', SS58_KUSAMA]).stderr === '';
+    }],
+    ['exits quietly when the output pipe closes early', () => {
+        const { status, stderr } = spawnSync('sh', ['-c', `"${process.execPath}" "${BIN}" --list-networks | head -n 1 > /dev/null`],
+            { encoding: 'utf8', timeout: 10000 });
+        return status === 0 && !stderr.includes('EPIPE');
+    }],
+    ['rejects unknown formats', () => {
+        const { status } = run(['--format', 'xml', ETH]);
+        return status === 2;
+    }]
+];
+
+function runAllTests() {
+    console.log('EVM to SS58 Converter - CLI Tests');
+    console.log('='.repeat(50) + '\n');
+    let passed = 0, failed = 0;
+
+    tests.forEach(([name, test]) => {
+        let ok;
+        try {
+            ok = test();
+        } catch (error) {
+            console.log(`  Error: ${error.message}`);
+            ok = false;
+        }
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    });
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    process.exit(failed === 0 ? 0 : 1);
+}
+
+runAllTests();
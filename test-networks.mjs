@@ -1,99 +1,103 @@
 /**
  * Network Integration Tests
- * Validates converter logic against live Polkadot networks using ReviveApi
- * Run: npm test
+ * Validates converter logic against golden vectors and against ReviveApi.
+ * By default ReviveApi is served by an in-process stand-in, so the suite is
+ * deterministic and offline; --live queries the public RPC endpoints instead.
+ * Run: npm test (offline) or npm run test:live
  */
 
-import { createClient, Binary } from 'polkadot-api';
-import { getWsProvider } from 'polkadot-api/ws-provider/node';
-import { withPolkadotSdkCompat } from 'polkadot-api/polkadot-sdk-compat';
-import { hexToU8a, u8aToHex } from '@polkadot/util';
-import { encodeAddress, decodeAddress, keccak256AsU8a } from '@polkadot/util-crypto';
-
-const NETWORKS = {
-    polkadotHub: {
-        name: 'Polkadot Hub',
-        wss: 'wss://polkadot-asset-hub-rpc.polkadot.io',
-        ss58Prefix: 0
-    },
-    kusamaHub: {
-        name: 'Kusama Hub',
-        wss: 'wss://kusama-asset-hub-rpc.polkadot.io',
-        ss58Prefix: 2
-    },
-    polkadotTestnet: {
-        name: 'Polkadot Hub TestNet',
-        wss: 'wss://asset-hub-paseo-rpc.n.dwellir.com',
-        ss58Prefix: 0
-    }
-};
+import { readFileSync, existsSync } from 'node:fs';
+import { posix } from 'node:path';
+import { Binary } from 'polkadot-api';
+import { u8aToHex, u8aConcat, hexToU8a, stringToU8a, u8aWrapBytes } from '@polkadot/util';
+import {
+    encodeAddress,
+    decodeAddress,
+    blake2AsU8a,
+    createKeyMulti,
+    cryptoWaitReady,
+    sr25519PairFromSeed,
+    sr25519Sign,
+    ed25519PairFromSeed,
+    ed25519Sign,
+    secp256k1PairFromSeed,
+    secp256k1Sign
+} from '@polkadot/util-crypto';
+import {
+    ethToSS58,
+    ss58ToEth,
+    deriveEthAddress,
+    ETH_DERIVATION,
+    isValidEthAddress,
+    isValidEthChecksum,
+    isValidSS58Address,
+    NETWORKS as REGISTRY,
+    getNetwork,
+    getNetworksByPrefix,
+    searchNetworks,
+    isValidSS58Prefix,
+    getSS58Prefix,
+    decodeSS58,
+    detectPrefixMismatch,
+    reencodeSS58,
+    encodeForNetworks,
+    MAPPING_STATUS,
+    checkAccountMapping,
+    buildMapAccountCall,
+    createPapiMappingProvider,
+    getFallbackAccountId,
+    ADDRESS_FORMAT,
+    CHECKSUM_STATUS,
+    MAPPING_STRATEGY,
+    getMappingStrategy,
+    detectAddressFormat,
+    inspectAddress,
+    CONTRACT_SCHEME,
+    getCreateAddress,
+    getCreate2Address,
+    getCodeHash,
+    computeContractAddress,
+    DERIVED_ACCOUNT,
+    getMultisigAccountId,
+    getPureProxyAccountId,
+    getPalletAccountId,
+    getSovereignAccountId,
+    deriveAccount,
+    KNOWN_ADDRESS_KIND,
+    lookupKnownAddress,
+    parseConverterLink,
+    buildConverterLink,
+    formatAddressURI,
+    parseAddressURI,
+    getPolkadotIdenticon,
+    getBlockie,
+    renderIdenticonSVG,
+    createAddressBook,
+    validateAddressPair,
+    WALLET_KIND,
+    DEFAULT_APP_NAME,
+    detectWallets,
+    loadWalletAccounts,
+    SIGNATURE_SCHEME,
+    recoverPersonalSignAddress,
+    verifyAddressSignature
+} from './src/index.js';
+import { VENDORED_FILES, BUNDLED_MODULES, bundleModule, computeIntegrity } from './scripts/vendor.mjs';
+
+const LIVE = process.argv.includes('--live');
+const LIVE_TIMEOUT_MS = 30000;
+
+const REVIVE_NETWORKS = REGISTRY.filter(network => network.hasRevive);
+
+const GOLDEN_VECTORS = JSON.parse(readFileSync(new URL('./test-vectors.json', import.meta.url), 'utf8'));
 
 const TEST_ADDRESSES = [
     '0x3427D90f1Ee5c5D3627c2EBb37f90393526066fd',
-    '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEbb',
+    '0x742D35cC6634c0532925a3B844BC9E7595F0beBB',
     '0x1234567890AbcdEF1234567890aBcdef12345678',
     '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045',
 ];
 
-function ethToSS58(ethAddress, ss58Prefix) {
-    if (!ethAddress.match(/^0x[0-9a-fA-F]{40}$/)) {
-        throw new Error('Invalid Ethereum address');
-    }
-    const ethBytes = hexToU8a(ethAddress);
-    const substrateBytes = new Uint8Array(32);
-    substrateBytes.fill(0xEE);
-    substrateBytes.set(ethBytes, 0);
-    return encodeAddress(substrateBytes, ss58Prefix);
-}
-
-function toChecksumAddress(address) {
-    const addr = address.toLowerCase().replace('0x', '');
-    if (addr.length !== 40) throw new Error('Invalid address length');
-    
-    const hash = keccak256AsU8a(new TextEncoder().encode(addr));
-    let checksummed = '0x';
-    for (let i = 0; i < addr.length; i++) {
-        checksummed += (hash[Math.floor(i / 2)] >> (i % 2 === 0 ? 4 : 0) & 0x8) 
-            ? addr[i].toUpperCase() 
-            : addr[i];
-    }
-    return checksummed;
-}
-
-async function testNetwork(networkConfig, ethAddress) {
-    console.log(`\nTesting ${networkConfig.name}`);
-    console.log(`  ETH: ${ethAddress}`);
-
-    let client;
-    try {
-        client = createClient(withPolkadotSdkCompat(getWsProvider(networkConfig.wss)));
-        const unsafeApi = client.getUnsafeApi();
-        const ourSS58 = ethToSS58(ethAddress, networkConfig.ss58Prefix);
-
-        if (unsafeApi.apis?.ReviveApi?.account_id) {
-            const networkAccountId = await unsafeApi.apis.ReviveApi.account_id(
-                Binary.fromHex(ethAddress)
-            );
-            const networkSS58 = encodeAddress(networkAccountId, networkConfig.ss58Prefix);
-            const match = networkSS58 === ourSS58;
-            
-            console.log(`  Network: ${networkSS58}`);
-            console.log(`  Ours:    ${ourSS58}`);
-            console.log(`  ${match ? 'PASS' : 'FAIL'}`);
-            return match;
-        } else {
-            console.log(`  ReviveApi not available`);
-            console.log(`  Ours: ${ourSS58}`);
-            return true;
-        }
-    } catch (error) {
-        console.log(`  Error: ${error.message}`);
-        return true;
-    } finally {
-        if (client) client.destroy();
-    }
-}
-
 function testLocalConversion() {
     console.log('\nLocal Conversion Tests\n');
     let passed = 0, failed = 0;
@@ -139,7 +143,7 @@ function testRoundTrip() {
                 return;
             }
 
-            const recoveredEth = toChecksumAddress(u8aToHex(substrateBytes.slice(0, 20)));
+            const recoveredEth = ss58ToEth(ss58);
             const match = originalEth.toLowerCase() === recoveredEth.toLowerCase();
             
             console.log(`${originalEth} -> ${ss58}`);
@@ -156,36 +160,1398 @@ function testRoundTrip() {
     return failed === 0;
 }
 
+function testValidation() {
+    console.log('\nValidation Tests\n');
+    let passed = 0, failed = 0;
+
+    // TEST_ADDRESSES[0] with one letter's case flipped
+    const badChecksum = '0x3427d90f1Ee5c5D3627c2EBb37f90393526066fd';
+    const ignoringChecksum = address => isValidEthAddress(address, { ignoreChecksum: true });
+
+    const cases = [
+        ['isValidEthAddress', isValidEthAddress, TEST_ADDRESSES[0], true],
+        ['isValidEthAddress', isValidEthAddress, TEST_ADDRESSES[0].toLowerCase(), true],
+        ['isValidEthAddress', isValidEthAddress, '0x' + TEST_ADDRESSES[0].slice(2).toUpperCase(), true],
+        ['isValidEthAddress', isValidEthAddress, badChecksum, false],
+        ['isValidEthAddress (ignoreChecksum)', ignoringChecksum, badChecksum, true],
+        ['isValidEthChecksum', isValidEthChecksum, TEST_ADDRESSES[3], true],
+        ['isValidEthChecksum', isValidEthChecksum, badChecksum, false],
+        ['isValidEthAddress', isValidEthAddress, TEST_ADDRESSES[0].slice(2), false],
+        ['isValidEthAddress', isValidEthAddress, TEST_ADDRESSES[0] + '00', false],
+        ['isValidEthAddress', isValidEthAddress, '0x' + 'g'.repeat(40), false],
+        ['isValidSS58Address', isValidSS58Address, ethToSS58(TEST_ADDRESSES[0], 0), true],
+        ['isValidSS58Address', isValidSS58Address, '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY', true],
+        ['isValidSS58Address', isValidSS58Address, '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQZ', false],
+        ['isValidSS58Address', isValidSS58Address, 'not-an-address', false],
+        ['isValidSS58Address', isValidSS58Address, null, false],
+        ['isValidSS58Address', isValidSS58Address, 5, false],
+    ];
+
+    cases.forEach(([name, fn, input, expected]) => {
+        const result = fn(input);
+        const match = result === expected;
+        console.log(`${name}(${input}) = ${result} ${match ? 'PASS' : 'FAIL'}`);
+        match ? passed++ : failed++;
+    });
+
+    try {
+        ethToSS58('0x1234', 0);
+        console.log('ethToSS58(0x1234): FAIL - expected an error');
+        failed++;
+    } catch {
+        console.log('ethToSS58(0x1234) throws PASS');
+        passed++;
+    }
+
+    try {
+        ethToSS58(badChecksum, 0);
+        console.log(`ethToSS58(${badChecksum}): FAIL - expected a checksum error`);
+        failed++;
+    } catch (error) {
+        const ok = error.message.includes('checksum');
+        console.log(`ethToSS58(${badChecksum}) throws checksum error ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    }
+
+    const overridden = ethToSS58(badChecksum, 0, { ignoreChecksum: true });
+    const overrideMatch = overridden === ethToSS58(TEST_ADDRESSES[0], 0);
+    console.log(`ethToSS58(${badChecksum}, { ignoreChecksum }) = ${overridden} ${overrideMatch ? 'PASS' : 'FAIL'}`);
+    overrideMatch ? passed++ : failed++;
+
+    // Native (non 0xEE-padded) accounts fall back to the last 20 bytes of Keccak256
+    const alice = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY';
+    const aliceEth = ss58ToEth(alice);
+    const expectedAliceEth = '0x9621DDe636dE098B43Efb0fA9b61fAcFE328F99D';
+    const aliceMatch = aliceEth === expectedAliceEth;
+    console.log(`ss58ToEth(${alice}) = ${aliceEth} ${aliceMatch ? 'PASS' : 'FAIL'}`);
+    aliceMatch ? passed++ : failed++;
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+function testRegistry() {
+    console.log('\nNetwork Registry Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+
+    const ids = REGISTRY.map(network => network.id);
+    check('network ids are unique', new Set(ids).size === ids.length);
+    check('all registry prefixes are encodable', REGISTRY.every(network => isValidSS58Prefix(network.ss58Prefix)));
+    check('Polkadot Hub and Paseo are distinct entries sharing prefix 0',
+        getNetwork('polkadot-hub').ss58Prefix === 0 && getNetwork('paseo-hub').ss58Prefix === 0);
+    check('pallet-revive networks come first', REGISTRY.findIndex(n => !n.hasRevive) === REGISTRY.filter(n => n.hasRevive).length);
+    check('getNetworksByPrefix(2) starts with Kusama Hub', getNetworksByPrefix(2)[0].id === 'kusama-hub');
+    check('searchNetworks matches names, tokens and prefixes',
+        searchNetworks('moonbeam').some(n => n.ss58Prefix === 1284)
+        && searchNetworks('ksm').some(n => n.id === 'kusama-hub')
+        && searchNetworks('42').some(n => n.id === 'westend-hub'));
+    check('isValidSS58Prefix bounds', isValidSS58Prefix(0) && isValidSS58Prefix(16383)
+        && !isValidSS58Prefix(-1) && !isValidSS58Prefix(16384) && !isValidSS58Prefix(1.5)
+        && !isValidSS58Prefix(46) && !isValidSS58Prefix(47) && !isValidSS58Prefix('0'));
+
+    [46, 16384, -1, NaN].forEach(prefix => {
+        try {
+            ethToSS58(TEST_ADDRESSES[0], prefix);
+            check(`ethToSS58 rejects prefix ${prefix}`, false);
+        } catch (error) {
+            check(`ethToSS58 rejects prefix ${prefix} (${error.message})`, /SS58 prefix/.test(error.message));
+        }
+    });
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+function testReencoding() {
+    console.log('\nSS58 Re-encoding Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+
+    const polkadot = ethToSS58(TEST_ADDRESSES[0], 0);
+    const kusama = ethToSS58(TEST_ADDRESSES[0], 2);
+    const moonbeam = ethToSS58(TEST_ADDRESSES[0], 1284);
+
+    check('getSS58Prefix reads one-byte prefixes', getSS58Prefix(polkadot) === 0 && getSS58Prefix(kusama) === 2);
+    check('getSS58Prefix reads two-byte prefixes', getSS58Prefix(moonbeam) === 1284
+        && getSS58Prefix(ethToSS58(TEST_ADDRESSES[0], 16383)) === 16383
+        && getSS58Prefix(ethToSS58(TEST_ADDRESSES[0], 64)) === 64);
+    check('decodeSS58 returns the padded public key', decodeSS58(kusama).publicKey
+        === TEST_ADDRESSES[0].toLowerCase() + 'ee'.repeat(12));
+    check('reencodeSS58 moves Polkadot to Kusama', reencodeSS58(polkadot, 2) === kusama);
+    check('reencodeSS58 round-trips two-byte prefixes', reencodeSS58(reencodeSS58(kusama, 1284), 2) === kusama);
+    check('reencoded address converts to the same ETH address', ss58ToEth(reencodeSS58(polkadot, 42)) === TEST_ADDRESSES[0]);
+
+    const all = encodeForNetworks(kusama);
+    check('encodeForNetworks covers the registry', all.length === REGISTRY.length
+        && all.every(({ network, address }) => getSS58Prefix(address) === network.ss58Prefix));
+    check('encodeForNetworks agrees with reencodeSS58', all.find(e => e.network.id === 'polkadot-hub').address === polkadot);
+
+    const fromEth = encodeForNetworks(TEST_ADDRESSES[0].toLowerCase(), REGISTRY, { ignoreChecksum: true });
+    const row = id => fromEth.find(entry => entry.network.id === id).address;
+    check('encodeForNetworks maps H160s with each network\'s strategy', fromEth.length === REGISTRY.length
+        && row('polkadot-hub') === polkadot && row('kusama-hub') === kusama
+        && row('astar') === ethToSS58(TEST_ADDRESSES[0], 5, { strategy: MAPPING_STRATEGY.FRONTIER })
+        && row('astar') !== reencodeSS58(polkadot, 5));
+    check('encodeForNetworks lists the H160 on AccountId20 networks', row('moonbeam') === TEST_ADDRESSES[0]
+        && row('moonriver') === TEST_ADDRESSES[0]);
+
+    const mismatch = detectPrefixMismatch(kusama, 0);
+    check('detectPrefixMismatch reports the encoded network', detectPrefixMismatch(polkadot, 0) === null
+        && mismatch.ss58Prefix === 2 && mismatch.expectedPrefix === 0 && mismatch.networks.includes('Kusama Hub')
+        && detectPrefixMismatch(reencodeSS58(polkadot, 16383), 0).networks.length === 0);
+
+    const rejects = (name, fn) => {
+        try {
+            fn();
+            check(name, false);
+        } catch {
+            check(name, true);
+        }
+    };
+    rejects('reencodeSS58 rejects invalid addresses', () => reencodeSS58('not-an-address', 0));
+    rejects('reencodeSS58 rejects hex public keys', () => reencodeSS58(decodeSS58(polkadot).publicKey, 0));
+    rejects('reencodeSS58 rejects reserved prefixes', () => reencodeSS58(polkadot, 47));
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+// Mock encoding of Revive.map_account (pallet index 0x64, call index 0x07)
+const MOCK_MAP_ACCOUNT_CALL_DATA = '0x6407';
+
+function testInspector() {
+    console.log('\nInspector Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+
+    const alice = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY';
+    const alicePublicKey = '0xd43593c715fdd31c61141abd04a99fd6822c8558854ccde39a5684e7a56da27d';
+
+    check('detectAddressFormat distinguishes all three formats',
+        detectAddressFormat(TEST_ADDRESSES[0]) === ADDRESS_FORMAT.ETH
+        && detectAddressFormat(alice) === ADDRESS_FORMAT.SS58
+        && detectAddressFormat(alicePublicKey) === ADDRESS_FORMAT.PUBLIC_KEY
+        && detectAddressFormat('0x1234') === null);
+
+    const eth = inspectAddress(TEST_ADDRESSES[0]);
+    check('H160 inspects as its padded ETH-derived account', eth.format === ADDRESS_FORMAT.ETH
+        && eth.ss58Prefix === null && eth.isEthDerived
+        && eth.publicKey === TEST_ADDRESSES[0].toLowerCase() + 'ee'.repeat(12)
+        && eth.reversibleEthAddress === TEST_ADDRESSES[0]);
+
+    const mismatch = inspectAddress('0x3427d90f1Ee5c5D3627c2EBb37f90393526066fd');
+    check('checksum status is reported, not enforced', eth.checksum === CHECKSUM_STATUS.VALID
+        && inspectAddress(TEST_ADDRESSES[0].toLowerCase()).checksum === CHECKSUM_STATUS.UNCHECKSUMMED
+        && mismatch.checksum === CHECKSUM_STATUS.MISMATCH && mismatch.publicKey === eth.publicKey
+        && inspectAddress(alice).checksum === null);
+
+    const kusama = inspectAddress(ethToSS58(TEST_ADDRESSES[0], 2));
+    check('SS58 reports prefix and matching networks', kusama.format === ADDRESS_FORMAT.SS58
+        && kusama.ss58Prefix === 2 && kusama.networks.includes('Kusama Hub'));
+    check('ETH-derived SS58 reports both H160s', kusama.reversibleEthAddress === TEST_ADDRESSES[0]
+        && kusama.keccakEthAddress !== null && kusama.keccakEthAddress !== TEST_ADDRESSES[0]);
+
+    const native = inspectAddress(alice);
+    check('native SS58 has no reversible H160', !native.isEthDerived && native.reversibleEthAddress === null
+        && native.keccakEthAddress === ss58ToEth(alice));
+
+    const key = inspectAddress(alicePublicKey.toUpperCase().replace('0X', '0x'));
+    check('raw public key matches its SS58 form', key.format === ADDRESS_FORMAT.PUBLIC_KEY
+        && key.publicKey === alicePublicKey && key.keccakEthAddress === native.keccakEthAddress);
+
+    const offCurve = inspectAddress('0x02' + 'ff'.repeat(32));
+    check('compressed keys off the curve are reported, not thrown', offCurve.format === ADDRESS_FORMAT.PUBLIC_KEY
+        && offCurve.ecdsaEthAddress === null && /secp256k1/.test(offCurve.keyError) && key.keyError === null);
+
+    try {
+        inspectAddress('definitely not an address');
+        check('unrecognized input is rejected', false);
+    } catch {
+        check('unrecognized input is rejected', true);
+    }
+
+    try {
+        inspectAddress(5);
+        check('non-string input is rejected', false);
+    } catch (error) {
+        check('non-string input is rejected', !(error instanceof TypeError) && /string/.test(error.message));
+    }
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+function testStrategies() {
+    console.log('\nMapping Strategy Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+    const throws = (fn, pattern) => {
+        try {
+            fn();
+            return false;
+        } catch (error) {
+            return pattern.test(error.message);
+        }
+    };
+
+    const alice = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY';
+    const revive = { strategy: MAPPING_STRATEGY.REVIVE };
+    const frontier = { strategy: MAPPING_STRATEGY.FRONTIER };
+    const account20 = { strategy: MAPPING_STRATEGY.ACCOUNT_ID_20 };
+
+    check('revive is the default strategy', ethToSS58(TEST_ADDRESSES[0], 0, revive) === ethToSS58(TEST_ADDRESSES[0], 0)
+        && ss58ToEth(alice, revive) === ss58ToEth(alice));
+
+    // Vector from the Frontier documentation: Alice's truncated key as an H160
+    check('frontier hashes "evm:" + H160 with Blake2',
+        ethToSS58('0xd43593c715fdd31c61141abd04a99fd6822c8558', 42, frontier)
+            === '5FrLxJsyJ5x9n2rmxFwosFraxFCKcXZDngRLNectCn64UjtZ');
+    check('frontier refuses SS58 → ETH', throws(() => ss58ToEth(alice, frontier), /one-way/));
+
+    check('account20 returns the H160 itself', ethToSS58(TEST_ADDRESSES[0].toLowerCase(), 1284, account20) === TEST_ADDRESSES[0]
+        && ss58ToEth(TEST_ADDRESSES[0].toLowerCase(), account20) === TEST_ADDRESSES[0]);
+    check('account20 rejects 32-byte accounts', throws(() => ss58ToEth(alice, account20), /20 bytes/));
+
+    // Left-pads the H160 with zeros instead of right-padding with 0xEE
+    const custom = {
+        id: 'zero-padded',
+        name: 'Zero-padded',
+        accountIdLength: 32,
+        ethToAccountId: eth => u8aConcat(new Uint8Array(12), eth),
+        accountIdToEth: accountId => accountId.slice(12)
+    };
+    const customSS58 = ethToSS58(TEST_ADDRESSES[0], 42, { strategy: custom });
+    check('custom strategy objects plug in', getMappingStrategy(custom) === custom
+        && ss58ToEth(customSS58, { strategy: custom }) === TEST_ADDRESSES[0]);
+    check('unknown strategy ids are rejected', throws(() => ethToSS58(TEST_ADDRESSES[0], 0, { strategy: 'nope' }), /Unknown mapping strategy/));
+
+    check('networks declare their strategy', getNetwork('polkadot-hub').mappingStrategy === MAPPING_STRATEGY.REVIVE
+        && getNetwork('moonbeam').mappingStrategy === MAPPING_STRATEGY.ACCOUNT_ID_20
+        && getNetwork('astar').mappingStrategy === MAPPING_STRATEGY.FRONTIER
+        && REGISTRY.every(network => getMappingStrategy(network.mappingStrategy)));
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+async function testEcdsa() {
+    console.log('\nECDSA Account Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+
+    const [{ publicKey, ss58, eth }] = GOLDEN_VECTORS.ecdsa;
+    const alice = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY';
+
+    check('derivation paths are labelled', deriveEthAddress(alice).derivation === ETH_DERIVATION.KECCAK_ACCOUNT_ID
+        && deriveEthAddress(ethToSS58(TEST_ADDRESSES[0], 0)).derivation === ETH_DERIVATION.ETH_DERIVED
+        && deriveEthAddress(TEST_ADDRESSES[0], { strategy: MAPPING_STRATEGY.ACCOUNT_ID_20 }).derivation === ETH_DERIVATION.ACCOUNT_ID_20
+        && deriveEthAddress(ss58).derivation === ETH_DERIVATION.ECDSA_PUBLIC_KEY);
+
+    // An ECDSA key is an Ethereum key whatever the runtime's mapping
+    check('ECDSA keys convert under every strategy', ss58ToEth(ss58, { strategy: MAPPING_STRATEGY.FRONTIER }) === eth
+        && ss58ToEth(ss58, { strategy: MAPPING_STRATEGY.ACCOUNT_ID_20 }) === eth);
+
+    // x = 5 is not on the curve: 5³ + 7 = 132 has no square root mod p
+    const offCurve = encodeAddress(hexToU8a('0x02' + '00'.repeat(31) + '05'), 0);
+    const badPrefix = encodeAddress(hexToU8a('0x04' + publicKey.slice(4)), 0);
+    check('invalid compressed keys are rejected', [offCurve, badPrefix].every(address => {
+        try {
+            ss58ToEth(address);
+            return false;
+        } catch (error) {
+            return /ECDSA public key/.test(error.message);
+        }
+    }));
+
+    const report = inspectAddress(ss58);
+    const accountId = u8aToHex(blake2AsU8a(hexToU8a(publicKey), 256));
+    check('inspector reports both H160s of an ECDSA key', report.publicKey === publicKey
+        && report.ecdsaEthAddress === eth && !report.isEthDerived
+        && report.keccakEthAddress === ss58ToEth(encodeAddress(accountId, 0)));
+
+    // pallet-revive knows the account by the Blake2 hash of its key
+    const mapping = await checkAccountMapping(ss58, null);
+    check('mapping check uses the Blake2 account id', mapping.accountId === accountId
+        && mapping.ethAddress === report.keccakEthAddress);
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+function testContracts() {
+    console.log('\nContract Address Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+
+    const { create, create2 } = GOLDEN_VECTORS.contracts;
+    const alice = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY';
+
+    check('CREATE matches golden vectors', create.every(({ deployer, nonce, eth }) => getCreateAddress(deployer, nonce) === eth));
+    check('CREATE2 matches EIP-1014 examples', create2.every(({ deployer, salt, code, eth }) =>
+        getCreate2Address(deployer, salt, getCodeHash(code)) === eth));
+    check('code hash covers constructor input', getCodeHash('0x6000', '0x01') === getCodeHash('0x600001')
+        && getCodeHash('0x6000', '0x01') !== getCodeHash('0x6000'));
+
+    // Multi-byte nonces take the long RLP string form
+    check('nonce forms agree', getCreateAddress(create[0].deployer, 128) === getCreateAddress(create[0].deployer, '128')
+        && getCreateAddress(create[0].deployer, 128n) !== getCreateAddress(create[0].deployer, 127)
+        && isValidEthAddress(getCreateAddress(create[0].deployer, 2n ** 64n - 1n)));
+
+    // An SS58 deployer deploys from the H160 pallet-revive assigns it
+    const fromSS58 = computeContractAddress({ deployer: alice, nonce: 0 }, 0);
+    check('SS58 deployers resolve to their revive H160', fromSS58.deployer === ss58ToEth(alice)
+        && fromSS58.ethAddress === getCreateAddress(ss58ToEth(alice), 0)
+        && fromSS58.ss58Address === ethToSS58(fromSS58.ethAddress, 0)
+        && fromSS58.scheme === CONTRACT_SCHEME.CREATE);
+
+    const [{ deployer, salt, code, eth }] = create2;
+    const salted = computeContractAddress({ deployer, salt, codeHash: getCodeHash(code) }, 42);
+    check('salt selects CREATE2', salted.scheme === CONTRACT_SCHEME.CREATE2 && salted.ethAddress === eth
+        && salted.ss58Address === ethToSS58(eth, 42));
+
+    const rejects = (fn, pattern) => {
+        try {
+            fn();
+            return false;
+        } catch (error) {
+            return pattern.test(error.message);
+        }
+    };
+    check('invalid parameters are rejected', rejects(() => getCreateAddress(deployer, -1), /Invalid nonce/)
+        && rejects(() => getCreateAddress(deployer, 2n ** 64n), /Invalid nonce/)
+        && rejects(() => getCreateAddress(deployer, '1.5'), /Invalid nonce/)
+        && rejects(() => getCreate2Address(deployer, '0x12', getCodeHash(code)), /Invalid salt/)
+        && rejects(() => getCreate2Address(deployer, salt, '0x'), /Invalid code hash/)
+        && rejects(() => getCodeHash('0x0'), /Invalid code/)
+        && rejects(() => getCreateAddress('0x6AC7EA33F8831EA9dcC53393aAA88B25A785DBF1', 0), /checksum/)
+        && rejects(() => getCreateAddress('junk', 0), /Invalid deployer/));
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+function testDerivedAccounts() {
+    console.log('\nDerived Account Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+
+    const { pallet, sovereign } = GOLDEN_VECTORS.derived;
+    const alice = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY';
+    const bob = '5FHneW46xGXgs5mUiveU4sbTyGBzmstUspZC92UhjJM694ty';
+    const charlie = '5FLSigC9HGRKVhB9FiEo4Y3koPsNmBmLJbpXg2mp1hXcS59Y';
+
+    const multisig = getMultisigAccountId([charlie, alice, bob], 2);
+    check('multisig matches createKeyMulti in any order', multisig === u8aToHex(createKeyMulti([alice, bob, charlie], 2))
+        && multisig === getMultisigAccountId([bob, charlie, alice], '2')
+        && multisig !== getMultisigAccountId([alice, bob, charlie], 3));
+    check('multisig signatories accept hex account ids', getMultisigAccountId([u8aToHex(decodeAddress(alice)), bob], 1)
+        === u8aToHex(createKeyMulti([alice, bob], 1)));
+
+    const rejects = (fn, pattern) => {
+        try {
+            fn();
+            return false;
+        } catch (error) {
+            return pattern.test(error.message);
+        }
+    };
+    check('invalid multisigs are rejected', rejects(() => getMultisigAccountId([alice], 1), /at least two/)
+        && rejects(() => getMultisigAccountId([alice, alice], 1), /Duplicate/)
+        && rejects(() => getMultisigAccountId([alice, bob], 0), /Invalid threshold/)
+        && rejects(() => getMultisigAccountId([alice, bob], 3), /Invalid threshold/)
+        && rejects(() => getMultisigAccountId([alice, 'junk'], 1), /Invalid signatory/));
+
+    check('pallet accounts match on-chain accounts', pallet.every(({ palletId, prefix, ss58 }) =>
+        encodeAddress(getPalletAccountId(palletId), prefix) === ss58)
+        && getPalletAccountId('0x70792f7472737279') === getPalletAccountId('py/trsry')
+        && rejects(() => getPalletAccountId('py/trsry2'), /Invalid PalletId/));
+    check('sovereign accounts match on-chain accounts', sovereign.every(({ paraId, prefix, ss58 }) =>
+        encodeAddress(getSovereignAccountId(paraId), prefix) === ss58)
+        && getSovereignAccountId(1000, { sibling: true }) === '0x7369626ce8030000' + '00'.repeat(24)
+        && rejects(() => getSovereignAccountId(2 ** 32), /Invalid para id/));
+
+    const proxy = { spawner: alice, height: 1000, extrinsicIndex: 2 };
+    const expected = u8aToHex(blake2AsU8a(u8aConcat(
+        stringToU8a('modlpy/proxy____'),
+        decodeAddress(alice),
+        hexToU8a('0xe8030000'),
+        hexToU8a('0x02000000'),
+        hexToU8a('0x00'),
+        hexToU8a('0x0000')
+    ), 256));
+    check('pure proxy hashes spawner, height, extrinsic, type and index', getPureProxyAccountId(proxy) === expected
+        && getPureProxyAccountId({ ...proxy, proxyType: 1 }) !== expected
+        && getPureProxyAccountId({ ...proxy, index: 1 }) !== expected
+        && rejects(() => getPureProxyAccountId({ ...proxy, proxyType: 256 }), /Invalid proxy type/));
+
+    // Derived accounts are native, so their H160 is the Keccak256 fallback
+    const derived = deriveAccount({ kind: DERIVED_ACCOUNT.MULTISIG, signatories: [alice, bob, charlie], threshold: 2 }, 0);
+    check('deriveAccount feeds ss58ToEth', derived.accountId === multisig
+        && derived.ss58Address === encodeAddress(multisig, 0)
+        && derived.ethAddress === ss58ToEth(derived.ss58Address)
+        && derived.derivation === ETH_DERIVATION.KECCAK_ACCOUNT_ID
+        && deriveAccount({ kind: DERIVED_ACCOUNT.SIBLING_SOVEREIGN, paraId: 1000 }, 42).accountId
+            === getSovereignAccountId(1000, { sibling: true })
+        && rejects(() => deriveAccount({ kind: 'nope' }, 0), /Unknown derived account kind/));
+
+    const palletAccount = deriveAccount({ kind: DERIVED_ACCOUNT.PALLET, palletId: 'py/trsry' }, 0);
+    const sovereignAccount = deriveAccount({ kind: DERIVED_ACCOUNT.SOVEREIGN, paraId: 1000 }, 0);
+    const siblingAccount = deriveAccount({ kind: DERIVED_ACCOUNT.SIBLING_SOVEREIGN, paraId: 2004 }, 0);
+    check('derived H160s carry a mapping warning', derived.canMapAccount && /as_multi/.test(derived.warning)
+        && /Revive\.map_account/.test(derived.warning) && /fallback account/.test(derived.warning));
+    check('sovereign accounts are mapped through XCM', sovereignAccount.canMapAccount && siblingAccount.canMapAccount
+        && /XCM Transact with OriginKind::SovereignAccount/.test(sovereignAccount.warning)
+        && siblingAccount.warning === sovereignAccount.warning);
+    check('pallet accounts need a governance call', !palletAccount.canMapAccount
+        && /governance call/.test(palletAccount.warning) && !/Never send/.test(palletAccount.warning));
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+function testKnownAddresses() {
+    console.log('\nKnown Address Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+
+    const zero = '0x0000000000000000000000000000000000000000';
+    const ecrecover = '0x0000000000000000000000000000000000000001';
+    const usdt = '0x000007C000000000000000000000000001200000';
+
+    check('zero and burn addresses warn', lookupKnownAddress(zero).kind === KNOWN_ADDRESS_KIND.BURN
+        && !!lookupKnownAddress(zero).warning
+        && lookupKnownAddress('0x000000000000000000000000000000000000dEaD').kind === KNOWN_ADDRESS_KIND.BURN
+        && lookupKnownAddress(encodeAddress(new Uint8Array(32), 42)).label === 'Zero account');
+    check('precompiles warn in both formats', lookupKnownAddress(ecrecover).label === 'ecrecover precompile'
+        && lookupKnownAddress(ethToSS58(ecrecover, 0)).label === 'ecrecover precompile'
+        && !!lookupKnownAddress(ethToSS58(ecrecover, 0)).warning);
+
+    const asset = lookupKnownAddress(usdt);
+    check('asset precompiles are labelled with their id', asset.kind === KNOWN_ADDRESS_KIND.ASSET_PRECOMPILE
+        && asset.label === 'ERC-20 asset precompile (asset 1984)' && !!asset.warning
+        && lookupKnownAddress(usdt.toLowerCase()).label === asset.label
+        && lookupKnownAddress('0x000007C000000000000000000000000101200000') === null);
+
+    const [treasury] = GOLDEN_VECTORS.derived.pallet;
+    const [para] = GOLDEN_VECTORS.derived.sovereign;
+    check('pallet accounts are labelled without a warning', lookupKnownAddress(treasury.ss58).label === 'Treasury pallet account'
+        && lookupKnownAddress(treasury.ss58).warning === null
+        && lookupKnownAddress(getPalletAccountId('ab/cdefg')).label === 'Pallet "ab/cdefg" account');
+    check('sovereign accounts are labelled', lookupKnownAddress(para.ss58).label === 'Sovereign account of parachain 1000 on the relay chain'
+        && lookupKnownAddress(getSovereignAccountId(2000, { sibling: true })).kind === KNOWN_ADDRESS_KIND.SOVEREIGN);
+    check('ordinary addresses are not labelled', lookupKnownAddress(TEST_ADDRESSES[0]) === null
+        && lookupKnownAddress('5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY') === null
+        && lookupKnownAddress('junk') === null);
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+function testDeepLinks() {
+    console.log('\nDeep Link Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+
+    const eth = TEST_ADDRESSES[0];
+    const ss58 = ethToSS58(eth, 0);
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    check('query parameters are read', same(parseConverterLink(`https://example.org/?eth=${eth}&network=kusama-hub`),
+        { eth, ss58: null, network: 'kusama-hub', prefix: null }));
+    check('hash parameters override the query', same(parseConverterLink(`https://example.org/?network=kusama-hub#ss58=${ss58}&network=polkadot-hub`),
+        { eth: null, ss58, network: 'polkadot-hub', prefix: null }));
+    check('empty and unrelated parameters are ignored', same(parseConverterLink('https://example.org/?eth=%20&lang=en#top'),
+        { eth: null, ss58: null, network: null, prefix: null }));
+
+    const link = buildConverterLink('https://example.org/tools/?lang=en&eth=old#top', { ss58, network: 'polkadot-hub', eth: null });
+    check('links replace converter parameters only', link === `https://example.org/tools/?lang=en&ss58=${ss58}&network=polkadot-hub#top`);
+    check('converter parameters are dropped from the hash', buildConverterLink('https://example.org/#eth=old&x=1', { prefix: 42 })
+        === 'https://example.org/?prefix=42#x=1');
+    check('links round-trip', same(parseConverterLink(buildConverterLink('https://example.org/', { eth, prefix: '42' })),
+        { eth, ss58: null, network: null, prefix: '42' }));
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+function testAddressURIs() {
+    console.log('\nAddress URI Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+    const rejects = (text) => {
+        try {
+            parseAddressURI(text);
+            return false;
+        } catch {
+            return true;
+        }
+    };
+
+    const eth = TEST_ADDRESSES[0];
+    const ss58 = ethToSS58(eth, 0);
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    check('addresses format as ethereum:/substrate: URIs', formatAddressURI(eth) === `ethereum:${eth}`
+        && formatAddressURI(ss58) === `substrate:${ss58}`);
+    check('bare addresses are accepted', same(parseAddressURI(` ${ss58}\n`), { type: 'ss58', address: ss58 }));
+    check('EIP-681 chain ids and parameters are skipped', same(parseAddressURI(`ethereum:pay-${eth}@420420419?value=1e18`),
+        { type: 'eth', address: eth }));
+    check('ERC-20 transfers resolve to the recipient',
+        same(parseAddressURI(`ethereum:0xdAC17F958D2ee523a2206206994597C13D831ec7/transfer?address=${eth}&uint256=1`),
+            { type: 'eth', address: eth }));
+    check('substrate: genesis hash and name are skipped',
+        same(parseAddressURI(`substrate:${ss58}:0x91b171bb158e2d3848fa23a9f1c25182fb8e20313b2c1eb49219da7a70ce90c3:Alice`),
+            { type: 'ss58', address: ss58 }));
+    check('other content is rejected', rejects('https://example.org') && rejects(`substrate:${eth}`) && rejects(''));
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+function testIdenticons() {
+    console.log('\nIdenticon Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+    const throws = (fn) => {
+        try {
+            fn();
+            return false;
+        } catch {
+            return true;
+        }
+    };
+    // The vectors round blockie colours to 6 decimals
+    const round = color => color.replace(/\d+\.\d+/g, n => String(+Number(n).toFixed(6)));
+
+    GOLDEN_VECTORS.identicons.polkadot.forEach(({ address, fills }) => {
+        const circles = getPolkadotIdenticon(address);
+        check(`Polkadot identicon of ${address.slice(0, 8)}…`, circles.length === 20
+            && JSON.stringify(circles.slice(1).map(circle => circle.fill)) === JSON.stringify(fills));
+    });
+    GOLDEN_VECTORS.identicons.blockie.forEach(({ address, color, bgcolor, spotcolor, cells }) => {
+        const blockie = getBlockie(address);
+        check(`blockie of ${address.slice(0, 10)}…`, blockie.cells.join('') === cells
+            && round(blockie.color) === color && round(blockie.bgcolor) === bgcolor && round(blockie.spotcolor) === spotcolor);
+    });
+
+    const eth = TEST_ADDRESSES[0];
+    check('blockies ignore the checksum case', JSON.stringify(getBlockie(eth.toLowerCase())) === JSON.stringify(getBlockie(eth)));
+    check('SVGs follow the address format', renderIdenticonSVG(eth).includes('<rect')
+        && (renderIdenticonSVG(ethToSS58(eth, 0), { size: 48 }).match(/<circle/g) || []).length === 20
+        && renderIdenticonSVG(ethToSS58(eth, 0), { size: 48 }).includes('width="48"'));
+    check('invalid addresses are rejected', throws(() => renderIdenticonSVG('0x1234'))
+        && throws(() => getPolkadotIdenticon(eth)) && throws(() => getBlockie('5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY')));
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+function testAddressBook() {
+    console.log('\nAddress Book Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+    const rejects = (fn, pattern) => {
+        try {
+            fn();
+            return false;
+        } catch (error) {
+            return pattern.test(error.message);
+        }
+    };
+
+    let clock = Date.UTC(2025, 0, 1);
+    const storage = new Map();
+    const book = createAddressBook({
+        storage: { getItem: key => storage.get(key) ?? null, setItem: (key, value) => storage.set(key, value) },
+        historyLimit: 2,
+        now: () => clock++
+    });
+    const conversion = (eth, network = 'polkadot-hub', ss58Prefix = 0) =>
+        ({ ethAddress: eth, ss58Address: ethToSS58(eth, ss58Prefix), network, ss58Prefix });
+
+    const [first, second, third] = TEST_ADDRESSES;
+    const entry = book.record(conversion(first));
+    book.record(conversion(second));
+    book.record(conversion(first));
+    check('conversions are recorded once, most recent first', JSON.stringify(book.getHistory().map(e => e.ethAddress))
+        === JSON.stringify([first, second]) && entry.network === 'polkadot-hub' && entry.createdAt === '2025-01-01T00:00:00.000Z');
+
+    book.update(entry.id, { label: '  Treasury  ', pinned: true });
+    book.record(conversion(third));
+    book.record(conversion(third, 'kusama-hub', 2));
+    const history = book.getHistory();
+    check('pinned entries survive the history limit', history.length === 3
+        && history.some(e => e.label === 'Treasury' && e.pinned) && !history.some(e => e.ethAddress === second));
+
+    book.clearHistory();
+    check('clearing the history keeps the address book', book.getPinned().length === 1 && book.getHistory().length === 1);
+    check('labels are validated', rejects(() => book.update(entry.id, { label: 'x'.repeat(65) }), /too long/)
+        && rejects(() => book.update('missing', { pinned: true }), /Unknown/));
+
+    const exported = book.exportJSON();
+    const copy = createAddressBook({ storage: null });
+    copy.record(conversion(first));
+    const counts = copy.importJSON(exported);
+    check('exported books import elsewhere', counts.added === 0 && counts.updated === 1
+        && copy.getPinned()[0].label === 'Treasury' && copy.getPinned()[0].ss58Address === entry.ss58Address);
+
+    const tampered = JSON.parse(exported);
+    tampered.entries.push({ ...tampered.entries[0], ss58Address: ethToSS58(second, 0), label: 'Treasury (new)' });
+    check('mismatched pairs reject the whole import', rejects(() => copy.importJSON(JSON.stringify(tampered)), /entry 2/)
+        && copy.getPinned().length === 1 && rejects(() => copy.importJSON('{"entries": []}'), /Invalid address book/));
+    check('native and ETH-derived pairs validate', validateAddressPair(conversion(first)) === null
+        && validateAddressPair({ ethAddress: ss58ToEth('5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY'),
+            ss58Address: '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY', network: 'custom', ss58Prefix: 42 }) === null);
+
+
+    // A sandboxed iframe throws on any access to localStorage
+    Object.defineProperty(globalThis, 'localStorage', {
+        configurable: true,
+        get: () => {
+            throw new Error('SecurityError: access to localStorage is denied');
+        }
+    });
+    let sandboxed;
+    try {
+        sandboxed = createAddressBook();
+        sandboxed.record(conversion(first));
+    } catch {
+        sandboxed = null;
+    } finally {
+        delete globalThis.localStorage;
+    }
+    check('unreadable localStorage falls back to memory', sandboxed?.getHistory().length === 1);
+
+    const full = createAddressBook({
+        storage: {
+            getItem: () => null,
+            setItem: () => {
+                throw new Error('QuotaExceededError: the quota has been exceeded');
+            }
+        }
+    });
+    let saved;
+    try {
+        full.record(conversion(first));
+        saved = full.getHistory().map(e => e.ethAddress);
+    } catch {
+        saved = null;
+    }
+    check('a full store keeps the book in memory', JSON.stringify(saved) === JSON.stringify([first]));
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+async function testWallets() {
+    console.log('\nInjected Wallet Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+
+    const alice = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY';
+    const [eth, moonbeamEth] = TEST_ADDRESSES;
+    const requests = [];
+    const appNames = [];
+    // Stand-ins for a polkadot.js extension holding an sr25519 and an H160
+    // account, an extension the user refuses, and MetaMask
+    const scope = {
+        injectedWeb3: {
+            'polkadot-js': {
+                version: '0.46.1',
+                enable: async (appName) => {
+                    appNames.push(appName);
+                    return { accounts: { get: async () => [{ address: alice, name: 'Alice' }, { address: moonbeamEth.toLowerCase() }] } };
+                }
+            },
+            talisman: {
+                enable: async () => {
+                    throw new Error('Rejected by user');
+                }
+            }
+        },
+        ethereum: {
+            isMetaMask: true,
+            request: async ({ method }) => {
+                requests.push(method);
+                return [eth.toLowerCase()];
+            }
+        }
+    };
+
+    check('wallets are detected', JSON.stringify(detectWallets(scope).map(wallet => [wallet.id, wallet.kind]))
+        === JSON.stringify([['polkadot-js', WALLET_KIND.SUBSTRATE], ['talisman', WALLET_KIND.SUBSTRATE], ['ethereum', WALLET_KIND.ETHEREUM]])
+        && detectWallets({}).length === 0);
+
+    const { accounts, errors } = await loadWalletAccounts(0, { scope });
+    const [aliceAccount, h160Account, metaMaskAccount] = accounts;
+    check('SS58 accounts get their H160 and the selected prefix', accounts.length === 3
+        && aliceAccount.name === 'Alice' && aliceAccount.ethAddress === ss58ToEth(alice)
+        && aliceAccount.ss58Address === '15oF4uVJwmo4TdGW7VfQxNLavjCXviqxT9S1MgbjMNHr6Sp5'
+        && aliceAccount.derivation === ETH_DERIVATION.KECCAK_ACCOUNT_ID);
+    check('H160 accounts in a Polkadot extension convert to SS58', h160Account.ethAddress === moonbeamEth
+        && h160Account.ss58Address === ethToSS58(moonbeamEth, 0) && h160Account.wallet === 'polkadot-js');
+    check('EIP-1193 accounts are checksummed and converted', metaMaskAccount.wallet === 'MetaMask'
+        && metaMaskAccount.ethAddress === eth && metaMaskAccount.ss58Address === ethToSS58(eth, 0));
+    check('a refusing wallet does not stop the others', errors.length === 1
+        && errors[0].wallet === 'talisman' && errors[0].message === 'Rejected by user');
+    check('only account lists are requested', JSON.stringify(requests) === '["eth_requestAccounts"]'
+        && JSON.stringify(appNames) === JSON.stringify([DEFAULT_APP_NAME]));
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+async function testSignatures() {
+    console.log('\nSignature Verification Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+    const rejects = async (promise, pattern) => {
+        try {
+            await promise;
+            return false;
+        } catch (error) {
+            return pattern.test(error.message);
+        }
+    };
+
+    const [{ message, signature, eth }] = GOLDEN_VECTORS.signatures.personalSign;
+    check('personal_sign signers are recovered', recoverPersonalSignAddress(message, signature) === eth);
+
+    const byEth = await verifyAddressSignature(message, signature, eth.toLowerCase(), 0);
+    const bySS58 = await verifyAddressSignature(message, signature, ethToSS58(eth, 42), 0);
+    check('EIP-191 signatures match both forms', byEth.isValid && byEth.scheme === SIGNATURE_SCHEME.EIP191
+        && byEth.signer.ss58Address === ethToSS58(eth, 0) && bySS58.isValid && bySS58.claimed.ss58Address === ethToSS58(eth, 0));
+
+    const other = await verifyAddressSignature('Some other data', signature, eth, 0);
+    check('other messages recover someone else', !other.isValid && !other.ethMatch
+        && other.scheme === SIGNATURE_SCHEME.EIP191 && other.signer.ethAddress !== eth);
+
+    await cryptoWaitReady();
+    const sr = sr25519PairFromSeed(new Uint8Array(32).fill(7));
+    const srAddress = encodeAddress(sr.publicKey, 42);
+    const srResult = await verifyAddressSignature('ticket 1234', u8aToHex(sr25519Sign(u8aWrapBytes(stringToU8a('ticket 1234')), sr)), srAddress, 0);
+    check('wrapped sr25519 signatures match the account', srResult.isValid && srResult.scheme === SIGNATURE_SCHEME.SR25519
+        && srResult.signer.ss58Address === encodeAddress(sr.publicKey, 0) && srResult.signer.ethAddress === ss58ToEth(srAddress));
+
+    // The Keccak H160 of a native account converts to the 0xEE-padded fallback, not to the signer
+    const srByEth = await verifyAddressSignature('ticket 1234', u8aToHex(sr25519Sign(stringToU8a('ticket 1234'), sr)), ss58ToEth(srAddress), 0);
+    check('native accounts do not match their H160 until mapped', srResult.ethMatch === false && srResult.requiresMapping
+        && srResult.ss58Match && !srByEth.isValid && srByEth.signer === null);
+
+    const srFrontier = await verifyAddressSignature('ticket 1234', u8aToHex(sr25519Sign(stringToU8a('ticket 1234'), sr)), srAddress, 42, {
+        strategy: MAPPING_STRATEGY.FRONTIER
+    });
+    check('Substrate signatures verify under one-way strategies', srFrontier.isValid && srFrontier.ethMatch === null
+        && !srFrontier.requiresMapping && srFrontier.claimed.ethAddress === null);
+
+    const ed = ed25519PairFromSeed(new Uint8Array(32).fill(9));
+    const edSignature = u8aToHex(ed25519Sign(stringToU8a('hello'), ed));
+    const edResult = await verifyAddressSignature('0x68656c6c6f', edSignature, encodeAddress(ed.publicKey, 2), 0);
+    const wrongKey = await verifyAddressSignature('hello', edSignature, srAddress, 0);
+    check('ed25519 signatures of hex messages verify', edResult.isValid && edResult.scheme === SIGNATURE_SCHEME.ED25519
+        && !wrongKey.isValid && wrongKey.signer === null && wrongKey.scheme === null);
+
+    // personal_sign by the key of an ECDSA account, checked against that account and the key's H160
+    const ecdsa = secp256k1PairFromSeed(new Uint8Array(32).fill(5));
+    const ecdsaAddress = encodeAddress(ecdsa.publicKey, 42);
+    const envelope = u8aConcat(stringToU8a('\x19Ethereum Signed Message:\n11'), stringToU8a('ticket 1234'));
+    const ecdsaSignature = u8aToHex(secp256k1Sign(envelope, ecdsa, 'keccak'));
+    const byAccount = await verifyAddressSignature('ticket 1234', ecdsaSignature, ecdsaAddress, 0);
+    const byKeyEth = await verifyAddressSignature('ticket 1234', ecdsaSignature, deriveEthAddress(ecdsaAddress).ethAddress, 0);
+    check('personal_sign signatures match the key\'s own ECDSA account', byAccount.isValid && byAccount.ss58Match
+        && byAccount.scheme === SIGNATURE_SCHEME.EIP191 && byAccount.signer.ss58Address === encodeAddress(ecdsa.publicKey, 0)
+        && byAccount.signer.ethAddress === byAccount.claimed.ethAddress
+        && byAccount.ethMatch === false && !byAccount.requiresMapping
+        && byKeyEth.isValid && byKeyEth.ethMatch && byKeyEth.ss58Match);
+
+    check('malformed input is rejected', await rejects(verifyAddressSignature(message, '0x1234', eth, 0), /Invalid signature/)
+        && await rejects(verifyAddressSignature(message, signature, 'alice', 0), /Invalid address/));
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+/**
+ * Just enough DOM for src/element.js. Attributes, properties and events
+ * behave as in a browser; rendering and layout are not modelled.
+ */
+class StubNode extends EventTarget {
+    constructor() {
+        super();
+        this.attributes = new Map();
+    }
+
+    getAttribute(name) {
+        return this.attributes.get(name) ?? null;
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+}
+
+// The inputs and paragraphs of the element's shadow root
+class StubField extends StubNode {
+    value = '';
+    readOnly = false;
+    hidden = false;
+    textContent = '';
+}
+
+class StubHTMLElement extends StubNode {
+    attachShadow() {
+        const fields = { eth: new StubField(), ss58: new StubField(), '.note': new StubField(), '.error': new StubField() };
+        this.shadowRoot = { innerHTML: '', getElementById: id => fields[id], querySelector: selector => fields[selector] };
+        return this.shadowRoot;
+    }
+
+    // A browser reports changes to observed attributes
+    setAttribute(name, value) {
+        const oldValue = this.getAttribute(name);
+        super.setAttribute(name, value);
+        this._attributeChanged(name, oldValue);
+    }
+
+    removeAttribute(name) {
+        const oldValue = this.getAttribute(name);
+        super.removeAttribute(name);
+        this._attributeChanged(name, oldValue);
+    }
+
+    _attributeChanged(name, oldValue) {
+        if (this.constructor.observedAttributes.includes(name)) {
+            this.attributeChangedCallback(name, oldValue, this.getAttribute(name));
+        }
+    }
+}
+
+async function testConverterElement() {
+    console.log('\nConverter Element Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    // The element's base class is picked when the module loads
+    globalThis.HTMLElement = StubHTMLElement;
+    const { EvmSS58ConverterElement } = await import('./src/element.js');
+    delete globalThis.HTMLElement;
+
+    const alice = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY';
+    const [eth] = TEST_ADDRESSES;
+    const element = new EvmSS58ConverterElement();
+    const field = id => element.shadowRoot.getElementById(id);
+    const note = element.shadowRoot.querySelector('.note');
+    const error = element.shadowRoot.querySelector('.error');
+    const events = [];
+    for (const type of ['convert', 'error']) {
+        element.addEventListener(type, event => events.push({ type, detail: event.detail, bubbles: event.bubbles, composed: event.composed }));
+    }
+    const lastEvent = () => events.at(-1);
+
+    element.setAttribute('network', 'kusama-hub');
+    element.setAttribute('value', eth.toLowerCase());
+    element.connectedCallback();
+    check('nothing converts before the element is connected', events.length === 0 && field('ss58').value === '');
+    await sleep(0);
+    check('the initial value converts on the attribute\'s network', field('ss58').value === ethToSS58(eth, 2)
+        && field('eth').value === eth && element.ethAddress === eth && element.ss58Address === ethToSS58(eth, 2)
+        && note.hidden && error.hidden);
+    check('conversions dispatch a bubbling, composed convert event', events.length === 1
+        && lastEvent().type === 'convert' && lastEvent().bubbles && lastEvent().composed
+        && lastEvent().detail.type === 'eth' && lastEvent().detail.input === eth.toLowerCase()
+        && lastEvent().detail.ss58Address === ethToSS58(eth, 2) && lastEvent().detail.network.id === 'kusama-hub');
+
+    element.setAttribute('prefix', '42');
+    const custom = field('ss58').value;
+    element.removeAttribute('prefix');
+    check('prefix overrides the network until removed', custom === ethToSS58(eth, 42)
+        && field('ss58').value === ethToSS58(eth, 2) && element.network.id === 'kusama-hub');
+
+    element.value = alice;
+    check('SS58 values show their H160 and the mapping note', field('ss58').value === alice
+        && field('eth').value === ss58ToEth(alice) && element.value === alice
+        && lastEvent().detail.derivation === ETH_DERIVATION.KECCAK_ACCOUNT_ID
+        && !note.hidden && note.textContent.includes('Revive.map_account'));
+
+    element.setAttribute('readonly', '');
+    const locked = field('eth').readOnly && field('ss58').readOnly;
+    element.removeAttribute('readonly');
+    check('readonly locks both inputs', locked && !field('eth').readOnly && !field('ss58').readOnly);
+
+    field('eth').value = 'hello';
+    field('eth').dispatchEvent(new Event('input'));
+    const cleared = field('ss58').value === '';
+    await sleep(350);
+    check('typing converts after a pause and reports failures as error events', cleared
+        && lastEvent().type === 'error'
+        && lastEvent().detail.input === 'hello' && lastEvent().detail.type === 'eth'
+        && !error.hidden && error.textContent === lastEvent().detail.message
+        && field('eth').getAttribute('aria-invalid') === 'true');
+
+    field('eth').value = eth;
+    const converted = element.convert();
+    element.setAttribute('network', 'nope');
+    check('unknown networks are reported and cleared on the next conversion', converted
+        && lastEvent().type === 'error' && lastEvent().detail.message.includes('Unknown network "nope"')
+        && field('ss58').value === '' && !element.convert());
+
+    // Bubbling, composed error events would reach the page's window error listeners
+    const errors = events.filter(event => event.type === 'error');
+    check('error events stay on the element', errors.length === 3 && errors.every(event => !event.bubbles && !event.composed));
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+/**
+ * Local files a module or page loads: <script src> and relative imports,
+ * followed recursively
+ */
+function collectLocalModules(files, seen = new Set()) {
+    for (const file of files) {
+        if (seen.has(file)) {
+            continue;
+        }
+        seen.add(file);
+        const source = readFileSync(new URL(file, import.meta.url), 'utf8');
+        const imports = [...source.matchAll(/(?:^|[\s;])(?:import|export)\b[^'"]*?['"](\.{1,2}\/[^'"]+)['"]/g)]
+            .map(match => posix.join(posix.dirname(file), match[1]));
+        collectLocalModules(imports, seen);
+    }
+    return seen;
+}
+
+async function testOfflineAssets() {
+    console.log('\nOffline Asset Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+    const read = (file, encoding) => readFileSync(new URL(file, import.meta.url), encoding);
+
+    const html = read('./index.html', 'utf8');
+    const { dependencies } = JSON.parse(read('./package.json', 'utf8'));
+    const scripts = [...html.matchAll(/<script[^>]*\ssrc="([^"]+)"[^>]*>/g)].map(match => match[0]);
+    const scriptFiles = [...html.matchAll(/<script[^>]*\ssrc="([^"?]+)/g)].map(match => match[1]);
+
+    check('no script is loaded from another origin', scripts.every(tag => !/src="(https?:)?\/\//.test(tag)));
+
+    check('vendored libraries match their integrity hashes', VENDORED_FILES.every(({ file }) => {
+        const name = posix.basename(file);
+        const tag = scripts.find(candidate => candidate.includes(`src="vendor/${name}"`));
+        return tag?.includes(`integrity="${computeIntegrity(read(`./vendor/${name}`))}"`);
+    }));
+
+    // Installed packages are only comparable when npm install honoured the pins
+    check('vendored libraries are the pinned releases', VENDORED_FILES.every(({ name, file }) => {
+        const installed = JSON.parse(read(`./node_modules/${name}/package.json`, 'utf8')).version;
+        return installed === dependencies[name]
+            && read(`./node_modules/${name}/${file}`).equals(read(`./vendor/${posix.basename(file)}`));
+    }));
+
+    const importMap = JSON.parse(html.match(/<script type="importmap">([\s\S]*?)<\/script>/)[1]);
+    check('polkadot-api is imported from vendor/ with integrity hashes', BUNDLED_MODULES.every(({ specifier, file }) => {
+        const url = `./vendor/${file}`;
+        return importMap.imports[specifier] === url && importMap.integrity[url] === computeIntegrity(read(url));
+    }));
+
+    const bundles = await Promise.all(BUNDLED_MODULES.map(({ specifier }) => bundleModule(specifier)));
+    check('polkadot-api bundles match the pinned release', BUNDLED_MODULES.every(({ name, file }, i) =>
+        JSON.parse(read(`./node_modules/${name}/package.json`, 'utf8')).version === dependencies[name]
+        && bundles[i].equals(read(`./vendor/${file}`))));
+
+    const worker = read('./sw.js', 'utf8');
+    const precached = [...worker.match(/PRECACHE_URLS = \[([^\]]*)\]/)[1].matchAll(/'([^']+)'/g)].map(match => match[1]);
+    const modules = [...collectLocalModules(scriptFiles), ...Object.values(importMap.imports).map(url => posix.normalize(url))];
+    const missing = modules.filter(file => !precached.includes(file));
+    check('every file the page loads is precached', missing.length === 0 && precached.includes('index.html'));
+    if (missing.length) {
+        console.log(`  Missing from sw.js: ${missing.join(', ')}`);
+    }
+    check('every precached file exists', precached.every(file => file === './' || existsSync(new URL(file, import.meta.url))));
+
+    const manifest = JSON.parse(read('./manifest.webmanifest', 'utf8'));
+    check('the web app manifest is linked and its icons exist', html.includes('<link rel="manifest" href="manifest.webmanifest">')
+        && manifest.start_url === './' && manifest.icons.length > 0
+        && manifest.icons.every(icon => precached.includes(icon.src) && existsSync(new URL(icon.src, import.meta.url))));
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+/**
+ * Stand-in for a polkadot-api client exposing only the pallet-revive surface
+ * the converter relies on: Revive.OriginalAccount, Revive.map_account and
+ * ReviveApi.account_id. Like the runtime, account_id returns the original
+ * account of a mapped H160 and the 0xEE-padded fallback otherwise.
+ * @param {Object<string, string>} originalAccounts - lowercase H160 -> SS58 account
+ */
+function createMockReviveClient(originalAccounts = {}) {
+    return {
+        getUnsafeApi: () => ({
+            apis: {
+                ReviveApi: {
+                    account_id: async (h160) => {
+                        const key = h160.asHex().toLowerCase();
+                        return originalAccounts[key]
+                            ?? encodeAddress(u8aConcat(hexToU8a(key), new Uint8Array(12).fill(0xEE)), 42);
+                    }
+                }
+            },
+            query: {
+                Revive: {
+                    OriginalAccount: {
+                        getValue: async (key) => originalAccounts[key.asHex().toLowerCase()]
+                    }
+                }
+            },
+            tx: {
+                Revive: {
+                    map_account: () => ({
+                        getEncodedData: async () => Binary.fromHex(MOCK_MAP_ACCOUNT_CALL_DATA)
+                    })
+                }
+            }
+        }),
+        destroy: () => {}
+    };
+}
+
+/**
+ * Connects to a network's public RPC endpoint for --live runs
+ * @param {Object} network - Registry entry with an rpc URL
+ */
+async function createLiveClient(network) {
+    const { createClient } = await import('polkadot-api');
+    const { getWsProvider } = await import('polkadot-api/ws-provider/node');
+    const { withPolkadotSdkCompat } = await import('polkadot-api/polkadot-sdk-compat');
+    return createClient(withPolkadotSdkCompat(getWsProvider(network.rpc)));
+}
+
+function withTimeout(promise, ms, what) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Checks that ReviveApi.account_id resolves each H160 to the account
+ * ethToSS58 predicts. Any error, including a missing runtime API, is a failure.
+ */
+async function testNetwork(network, client, ethAddresses) {
+    console.log(`\nTesting ${network.name}`);
+    let passed = 0, failed = 0;
+
+    try {
+        const api = client.getUnsafeApi();
+        if (!api.apis?.ReviveApi?.account_id) {
+            throw new Error('ReviveApi.account_id is not available');
+        }
+
+        for (const ethAddress of ethAddresses) {
+            const accountId = await withTimeout(
+                api.apis.ReviveApi.account_id(Binary.fromHex(ethAddress)),
+                LIVE_TIMEOUT_MS,
+                'ReviveApi.account_id'
+            );
+            const networkSS58 = encodeAddress(accountId, network.ss58Prefix);
+            const ourSS58 = ethToSS58(ethAddress, network.ss58Prefix);
+            const match = networkSS58 === ourSS58;
+
+            console.log(`  ${ethAddress}`);
+            console.log(`    Network: ${networkSS58}`);
+            console.log(`    Ours:    ${ourSS58} ${match ? 'PASS' : 'FAIL'}`);
+            match ? passed++ : failed++;
+        }
+    } catch (error) {
+        console.log(`  FAIL - ${error.message}`);
+        failed++;
+    } finally {
+        client.destroy();
+    }
+
+    console.log(`  Results: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+async function testNetworks() {
+    console.log(`\nReviveApi Tests (${LIVE ? 'live RPC endpoints' : 'mock runtime'})`);
+    let allPassed = true;
+
+    // Zero and all-ones H160s are the padding edge cases
+    const ethAddresses = [...TEST_ADDRESSES, '0x' + '00'.repeat(20), '0x' + 'ff'.repeat(20)];
+
+    for (const network of REVIVE_NETWORKS) {
+        let client;
+        try {
+            client = LIVE ? await createLiveClient(network) : createMockReviveClient();
+        } catch (error) {
+            console.log(`\n${network.name}: FAIL - ${error.message}`);
+            allPassed = false;
+            continue;
+        }
+        const ok = await testNetwork(network, client, ethAddresses);
+        allPassed = allPassed && ok;
+    }
+
+    if (!LIVE) {
+        // A mapped native account resolves to itself, anything else to its fallback
+        const alice = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY';
+        const bob = '5FHneW46xGXgs5mUiveU4sbTyGBzmstUspZC92UhjJM694ty';
+        const aliceEth = ss58ToEth(alice);
+        const api = createMockReviveClient({ [aliceEth.toLowerCase()]: alice }).getUnsafeApi();
+        const aliceId = await api.apis.ReviveApi.account_id(Binary.fromHex(aliceEth));
+        const bobId = await api.apis.ReviveApi.account_id(Binary.fromHex(ss58ToEth(bob)));
+        const ok = u8aToHex(decodeAddress(aliceId)) === u8aToHex(decodeAddress(alice))
+            && u8aToHex(decodeAddress(bobId)) === getFallbackAccountId(ss58ToEth(bob));
+        console.log(`\nmapped native account resolves to itself, unmapped to its fallback: ${ok ? 'PASS' : 'FAIL'}`);
+        allPassed = allPassed && ok;
+    }
+
+    return allPassed;
+}
+
+async function testMapping() {
+    console.log('\nAccount Mapping Tests (mock provider)\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, ok) => {
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    };
+
+    const alice = '5GrwvaEF5zXb26Fz9rcQpDWS57CtERHpNehXCPcNoHGKutQY';
+    const bob = '5FHneW46xGXgs5mUiveU4sbTyGBzmstUspZC92UhjJM694ty';
+    const aliceEth = ss58ToEth(alice);
+    const bobEth = ss58ToEth(bob);
+
+    // Alice has called map_account; Bob has not
+    const provider = createPapiMappingProvider(createMockReviveClient({ [aliceEth.toLowerCase()]: alice }));
+
+    const ethDerived = await checkAccountMapping(ethToSS58(TEST_ADDRESSES[0], 0), null);
+    check('ETH-derived accounts need no lookup', ethDerived.status === MAPPING_STATUS.ETH_DERIVED
+        && ethDerived.ethAddress === TEST_ADDRESSES[0]);
+
+    const mapped = await checkAccountMapping(alice, provider);
+    check('mapped account is reported as mapped', mapped.status === MAPPING_STATUS.MAPPED
+        && mapped.ethAddress === aliceEth && mapped.fallbackAccountId === null);
+
+    const unmapped = await checkAccountMapping(bob, provider);
+    check('unmapped account is reported with its fallback account', unmapped.status === MAPPING_STATUS.UNMAPPED
+        && unmapped.fallbackAccountId === getFallbackAccountId(bobEth)
+        && encodeAddress(unmapped.fallbackAccountId, 42) === ethToSS58(bobEth, 42));
+
+    const noProvider = await checkAccountMapping(bob, null);
+    check('missing provider is reported as unknown', noProvider.status === MAPPING_STATUS.UNKNOWN && !!noProvider.error);
+
+    const failing = await checkAccountMapping(bob, { getOriginalAccount: async () => { throw new Error('boom'); } });
+    check('provider errors are reported as unknown', failing.status === MAPPING_STATUS.UNKNOWN && failing.error === 'boom');
+
+    const hanging = await checkAccountMapping(bob, { getOriginalAccount: () => new Promise(() => {}) }, { timeoutMs: 50 });
+    check('unresponsive provider times out as unknown', hanging.status === MAPPING_STATUS.UNKNOWN);
+
+    try {
+        await checkAccountMapping('not-an-address', provider);
+        check('invalid addresses are rejected', false);
+    } catch {
+        check('invalid addresses are rejected', true);
+    }
+
+    const mapCall = await buildMapAccountCall(bob, provider);
+    check('map_account call data comes from the provider', mapCall.callData === MOCK_MAP_ACCOUNT_CALL_DATA
+        && mapCall.ethAddress === bobEth && mapCall.accountId === u8aToHex(decodeAddress(bob)));
+
+    try {
+        await buildMapAccountCall(ethToSS58(TEST_ADDRESSES[0], 0), provider);
+        check('map_account is refused for ETH-derived accounts', false);
+    } catch (error) {
+        check('map_account is refused for ETH-derived accounts', /ETH-derived/.test(error.message));
+    }
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
+/**
+ * Compares both conversion directions against test-vectors.json, which was
+ * generated from Polkadot.js primitives independently of src/
+ */
+function testGoldenVectors() {
+    console.log('\nGolden Vector Tests\n');
+    let passed = 0, failed = 0;
+
+    const check = (name, actual, expected) => {
+        if (actual === expected) {
+            passed++;
+        } else {
+            console.log(`${name} = ${actual}, expected ${expected} FAIL`);
+            failed++;
+        }
+    };
+
+    GOLDEN_VECTORS.ethToSS58.forEach(({ eth, publicKey, ss58 }) => {
+        const before = failed;
+        for (const [prefix, address] of Object.entries(ss58)) {
+            check(`ethToSS58(${eth}, ${prefix})`, ethToSS58(eth, Number(prefix)), address);
+            check(`ss58ToEth(${address})`, ss58ToEth(address), eth);
+            check(`decodeSS58(${address}).publicKey`, decodeSS58(address).publicKey, publicKey);
+        }
+        const count = Object.keys(ss58).length;
+        console.log(`${eth} across ${count} prefixes ${failed === before ? 'PASS' : 'FAIL'}`);
+    });
+
+    GOLDEN_VECTORS.ss58ToEth.forEach(({ label, publicKey, ss58, ethDerived, eth }) => {
+        const before = failed;
+        check(`ss58ToEth(${ss58})`, ss58ToEth(ss58), eth);
+        check(`isEthDerived(${ss58})`, inspectAddress(ss58).isEthDerived, ethDerived);
+        check(`inspectAddress(${publicKey}).keccakEthAddress`, inspectAddress(publicKey).keccakEthAddress,
+            ethDerived ? inspectAddress(ss58).keccakEthAddress : eth);
+        console.log(`${label}: ${eth} ${failed === before ? 'PASS' : 'FAIL'}`);
+    });
+
+    GOLDEN_VECTORS.ecdsa.forEach(({ label, publicKey, ss58, eth }) => {
+        const before = failed;
+        const derived = deriveEthAddress(ss58);
+        check(`deriveEthAddress(${ss58}).ethAddress`, derived.ethAddress, eth);
+        check(`deriveEthAddress(${ss58}).derivation`, derived.derivation, ETH_DERIVATION.ECDSA_PUBLIC_KEY);
+        check(`inspectAddress(${publicKey}).ecdsaEthAddress`, inspectAddress(publicKey).ecdsaEthAddress, eth);
+        console.log(`ECDSA ${label}: ${eth} ${failed === before ? 'PASS' : 'FAIL'}`);
+    });
+
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    return failed === 0;
+}
+
 async function runAllTests() {
     console.log('EVM to SS58 Converter - Test Suite');
     console.log('='.repeat(50));
 
     const localPass = testLocalConversion();
     const roundTripPass = testRoundTrip();
+    const validationPass = testValidation();
+    const registryPass = testRegistry();
+    const reencodingPass = testReencoding();
+    const inspectorPass = testInspector();
+    const mappingPass = await testMapping();
+    const goldenPass = testGoldenVectors();
+    const strategyPass = testStrategies();
+    const ecdsaPass = await testEcdsa();
+    const contractPass = testContracts();
+    const derivedPass = testDerivedAccounts();
+    const knownPass = testKnownAddresses();
+    const linkPass = testDeepLinks();
+    const uriPass = testAddressURIs();
+    const identiconPass = testIdenticons();
+    const addressBookPass = testAddressBook();
+    const walletPass = await testWallets();
+    const signaturePass = await testSignatures();
+    const elementPass = await testConverterElement();
+    const offlinePass = await testOfflineAssets();
 
-    console.log('\n' + '='.repeat(50));
-    console.log('\nNetwork Integration Tests\n');
-    
-    let networkTestsRun = false;
-    
-    for (const ethAddr of TEST_ADDRESSES.slice(0, 2)) {
-        for (const network of Object.values(NETWORKS)) {
-            const result = await testNetwork(network, ethAddr);
-            if (result) networkTestsRun = true;
-        }
-    }
-
-    if (!networkTestsRun) {
-        console.log('\nNetwork tests skipped (ReviveApi not deployed)');
-    }
+    const networkPass = await testNetworks();
 
     console.log('\n' + '='.repeat(50));
     console.log('\nSummary:');
     console.log(`  Local Conversion: ${localPass ? 'PASS' : 'FAIL'}`);
     console.log(`  Round-Trip: ${roundTripPass ? 'PASS' : 'FAIL'}`);
-    console.log(`  Network Tests: ${networkTestsRun ? 'RAN' : 'SKIPPED'}`);
-    
-    if (localPass && roundTripPass) {
+    console.log(`  Validation: ${validationPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Registry: ${registryPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Re-encoding: ${reencodingPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Inspector: ${inspectorPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Mapping: ${mappingPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Golden Vectors: ${goldenPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Mapping Strategies: ${strategyPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  ECDSA Accounts: ${ecdsaPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Contract Addresses: ${contractPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Derived Accounts: ${derivedPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Known Addresses: ${knownPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Deep Links: ${linkPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Address URIs: ${uriPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Identicons: ${identiconPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Address Book: ${addressBookPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Injected Wallets: ${walletPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Signatures: ${signaturePass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Converter Element: ${elementPass ? 'PASS' : 'FAIL'}`);
+    console.log(`  Offline Assets: ${offlinePass ? 'PASS' : 'FAIL'}`);
+    console.log(`  ReviveApi (${LIVE ? 'live' : 'mock'}): ${networkPass ? 'PASS' : 'FAIL'}`);
+
+    if (localPass && roundTripPass && validationPass && registryPass && reencodingPass && inspectorPass
+        && mappingPass && goldenPass && strategyPass && ecdsaPass && contractPass && derivedPass && knownPass && linkPass
+        && uriPass && identiconPass && addressBookPass && walletPass
+        && signaturePass && elementPass && offlinePass && networkPass) {
         console.log('\nAll critical tests passed');
         process.exit(0);
     } else {
@@ -0,0 +1,147 @@
+/**
+ * HTTP Service Tests
+ * Starts src/server.js on a free local port and checks its JSON API
+ * Run: npm test
+ */
+
+import { spawnSync } from 'node:child_process';
+import { createConverterServer, SERVER_ERROR } from './src/server.js';
+
+const BIN = new URL('./bin/evm-ss58-server.js', import.meta.url).pathname;
+
+const ETH = '0x3427D90f1Ee5c5D3627c2EBb37f90393526066fd';
+const SS58_POLKADOT = '12BPKz35oCyGt1gv7jm2iDy25oSr1NUYVpEFeyHGJoYtTFiA';
+const SS58_KUSAMA = 'Dkhqy7tZnijC8VqvoX5U2VsNmjS7jjashLWtLZsEWjs1ega';
+// ETH with one letter's case flipped, so its EIP-55 checksum no longer matches
+const ETH_BAD_CHECKSUM = '0x3427d90f1Ee5c5D3627c2EBb37f90393526066fd';
+
+let baseURL;
+
+async function request(path, { method = 'GET', body } = {}) {
+    const response = await fetch(`${baseURL}${path}`, {
+        method,
+        body: typeof body === 'string' ? body : body && JSON.stringify(body),
+        headers: body ? { 'Content-Type': 'application/json' } : {}
+    });
+    return { status: response.status, headers: response.headers, json: await response.json() };
+}
+
+const isError = ({ status, json }, expectedStatus, code) =>
+    status === expectedStatus && json.error?.code === code && typeof json.error.message === 'string';
+
+const tests = [
+    ['converts ETH to SS58 from the query string', async () => {
+        const { status, json } = await request(`/convert?address=${ETH}`);
+        return status === 200 && json.output === SS58_POLKADOT && json.type === 'eth'
+            && json.network === 'polkadot-hub' && json.ss58Prefix === 0 && json.strategy === 'revive' && !('error' in json);
+    }],
+    ['converts SS58 to ETH from a JSON body', async () => {
+        const { status, json } = await request('/convert', { method: 'POST', body: { address: SS58_KUSAMA } });
+        return status === 200 && json.output === ETH && json.derivation === 'eth-derived'
+            && json.prefixMismatch?.ss58Prefix === 2 && json.prefixMismatch.expectedPrefix === 0;
+    }],
+    ['honours network, prefix and strategy', async () => {
+        const kusama = await request(`/convert?address=${ETH}&network=kusama-hub`);
+        const custom = await request(`/convert?address=${ETH}&prefix=2`);
+        const moonbeam = await request('/convert', { method: 'POST', body: { address: ETH.toLowerCase(), network: 'moonbeam' } });
+        const frontier = await request('/convert', {
+            method: 'POST',
+            body: { address: '0xd43593c715fdd31c61141abd04a99fd6822c8558', prefix: 42, strategy: 'frontier' }
+        });
+        return kusama.json.output === SS58_KUSAMA
+            && custom.json.output === SS58_KUSAMA && custom.json.network === null && custom.json.strategy === 'revive'
+            && moonbeam.json.output === ETH && moonbeam.json.strategy === 'account20'
+            && frontier.json.output === '5FrLxJsyJ5x9n2rmxFwosFraxFCKcXZDngRLNectCn64UjtZ';
+    }],
+    ['rejects bad checksums unless ignoreChecksum is set', async () => {
+        const rejected = await request(`/convert?address=${ETH_BAD_CHECKSUM}`);
+        const accepted = await request(`/convert?address=${ETH_BAD_CHECKSUM}&ignoreChecksum=true`);
+        return isError(rejected, 422, SERVER_ERROR.INVALID_ADDRESS) && rejected.json.error.message.includes('checksum')
+            && accepted.status === 200 && accepted.json.output === SS58_POLKADOT;
+    }],
+    ['reports invalid parameters as structured errors', async () => {
+        return isError(await request('/convert'), 400, SERVER_ERROR.INVALID_REQUEST)
+            && isError(await request('/convert?address=hello'), 422, SERVER_ERROR.INVALID_ADDRESS)
+            && isError(await request(`/convert?address=${ETH}&network=nope`), 400, SERVER_ERROR.UNKNOWN_NETWORK)
+            && isError(await request(`/convert?address=${ETH}&prefix=46`), 400, SERVER_ERROR.INVALID_PREFIX)
+            && isError(await request(`/convert?address=${ETH}&strategy=nope`), 400, SERVER_ERROR.UNKNOWN_STRATEGY);
+    }],
+    ['inspects addresses', async () => {
+        const { status, json } = await request(`/inspect?address=${SS58_KUSAMA}`);
+        return status === 200 && json.format === 'ss58' && json.ss58Prefix === 2 && json.isEthDerived
+            && json.reversibleEthAddress === ETH
+            && isError(await request('/inspect?address=0x1234'), 422, SERVER_ERROR.INVALID_ADDRESS);
+    }],
+    ['converts batches and reports failures per address', async () => {
+        const { status, json } = await request('/batch', {
+            method: 'POST',
+            body: { addresses: [ETH, '', 'hello', SS58_POLKADOT], network: 'kusama-hub' }
+        });
+        return status === 200 && json.network === 'kusama-hub' && json.ss58Prefix === 2 && json.results.length === 3
+            && json.results[0].output === SS58_KUSAMA && json.results[1].error !== null
+            && json.results[2].output === ETH;
+    }],
+    ['rejects malformed and oversized batches', async () => {
+        const small = createConverterServer({ maxBatchSize: 2, maxBodyBytes: 256 });
+        await new Promise(resolve => small.listen(0, '127.0.0.1', resolve));
+        const smallURL = `http://127.0.0.1:${small.address().port}`;
+        try {
+            const tooMany = await fetch(`${smallURL}/batch`, { method: 'POST', body: JSON.stringify({ addresses: [ETH, ETH, ETH] }) });
+            const tooLarge = await fetch(`${smallURL}/batch`, { method: 'POST', body: JSON.stringify({ addresses: [ETH.repeat(10)] }) });
+            return isError({ status: tooMany.status, json: await tooMany.json() }, 413, SERVER_ERROR.PAYLOAD_TOO_LARGE)
+                && isError({ status: tooLarge.status, json: await tooLarge.json() }, 413, SERVER_ERROR.PAYLOAD_TOO_LARGE)
+                && isError(await request('/batch', { method: 'POST', body: '{"addresses": [' }), 400, SERVER_ERROR.INVALID_JSON)
+                && isError(await request('/batch', { method: 'POST', body: { addresses: ETH } }), 400, SERVER_ERROR.INVALID_REQUEST);
+        } finally {
+            small.close();
+        }
+    }],
+    ['serves the network registry', async () => {
+        const all = await request('/networks');
+        const search = await request('/networks?q=kusama');
+        const one = await request('/networks/moonbeam');
+        return all.status === 200 && all.json.networks.length > 100 && all.json.networks[0].id === 'polkadot-hub'
+            && search.json.networks.some(network => network.id === 'kusama-hub')
+            && one.json.ss58Prefix === 1284 && one.json.mappingStrategy === 'account20'
+            && isError(await request('/networks/nope'), 404, SERVER_ERROR.UNKNOWN_NETWORK);
+    }],
+    ['rejects unknown endpoints and methods', async () => {
+        const wrongMethod = await request('/batch');
+        return isError(await request('/nope'), 404, SERVER_ERROR.NOT_FOUND)
+            && isError(wrongMethod, 405, SERVER_ERROR.METHOD_NOT_ALLOWED) && wrongMethod.headers.get('allow') === 'POST';
+    }],
+    ['prints usage and validates --port', async () => {
+        const help = spawnSync(process.execPath, [BIN, '--help'], { encoding: 'utf8', timeout: 10000 });
+        const invalid = spawnSync(process.execPath, [BIN, '--port', 'http'], { encoding: 'utf8', timeout: 10000 });
+        return help.status === 0 && help.stdout.includes('/convert')
+            && invalid.status === 2 && invalid.stderr.includes('invalid --port');
+    }]
+];
+
+async function runAllTests() {
+    console.log('EVM to SS58 Converter - HTTP Service Tests');
+    console.log('='.repeat(50) + '\n');
+    let passed = 0, failed = 0;
+
+    const server = createConverterServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+
+    for (const [name, test] of tests) {
+        let ok;
+        try {
+            ok = await test();
+        } catch (error) {
+            console.log(`  Error: ${error.message}`);
+            ok = false;
+        }
+        console.log(`${name}: ${ok ? 'PASS' : 'FAIL'}`);
+        ok ? passed++ : failed++;
+    }
+
+    server.close();
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+    process.exit(failed === 0 ? 0 : 1);
+}
+
+runAllTests();
@@ -0,0 +1,187 @@
+/**
+ * Conversion history and address book panel
+ *
+ * Remembers every completed single conversion in localStorage. Entries can
+ * be labelled and pinned into the address book, loaded back into the
+ * converter, and the book exported or imported as JSON to share it with the
+ * team. Labels come from other people's files, so they are only ever
+ * rendered as text.
+ */
+
+import {
+    createAddressBook,
+    convertAddress,
+    getNetwork,
+    DEFAULT_MAPPING_STRATEGY,
+    MAX_LABEL_LENGTH
+} from '../src/index.js';
+import { getSelectedNetwork, getSelectedSS58Prefix } from './network-picker.js';
+import { applyLink } from './deep-link.js';
+
+const book = createAddressBook();
+
+/**
+ * Remembers the pair currently in the single converter; called once a
+ * conversion has completed
+ */
+export function recordConversion() {
+    const ethAddress = document.getElementById('ethAddress').value.trim();
+    const ss58Address = document.getElementById('ss58Address').value.trim();
+    if (!ethAddress || !ss58Address) {
+        return;
+    }
+    book.record({ ethAddress, ss58Address, network: getSelectedNetwork().id, ss58Prefix: getSelectedSS58Prefix() });
+    renderTables();
+}
+
+/**
+ * Opens an entry in the single converter. It is loaded from the side it
+ * was converted from (the H160 for ETH-derived accounts, the SS58 address
+ * otherwise), so native accounts get their mapping checked again.
+ */
+function openEntry({ ethAddress, ss58Address, network, ss58Prefix }) {
+    const strategy = getNetwork(network)?.mappingStrategy ?? DEFAULT_MAPPING_STRATEGY;
+    const fromEth = convertAddress(ethAddress, ss58Prefix, { strategy, ignoreChecksum: true }).output === ss58Address;
+
+    document.querySelector('[data-mode="single"]').click();
+    applyLink({
+        eth: fromEth ? ethAddress : null,
+        ss58: fromEth ? null : ss58Address,
+        network: getNetwork(network) ? network : null,
+        prefix: String(ss58Prefix)
+    });
+}
+
+function networkName({ network, ss58Prefix }) {
+    return getNetwork(network)?.name ?? `Custom prefix ${ss58Prefix}`;
+}
+
+function createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'bulk-button converter-bulk-button address-book-action converter-address-book-action';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function createRow(cells) {
+    const tr = document.createElement('tr');
+    cells.forEach(cell => {
+        const td = document.createElement('td');
+        td.append(...[].concat(cell));
+        tr.appendChild(td);
+    });
+    return tr;
+}
+
+function addressCell({ ethAddress, ss58Address }) {
+    const eth = document.createElement('div');
+    const ss58 = document.createElement('div');
+    eth.textContent = ethAddress;
+    ss58.textContent = ss58Address;
+    return [eth, ss58];
+}
+
+function renderTables() {
+    const pinned = book.getPinned();
+    const history = book.getHistory().filter(entry => !entry.pinned);
+
+    const bookRows = pinned.map(entry => {
+        const label = document.createElement('input');
+        label.type = 'text';
+        label.className = 'address-book-label converter-address-book-label';
+        label.value = entry.label || '';
+        label.placeholder = 'Label';
+        label.maxLength = MAX_LABEL_LENGTH;
+        label.setAttribute('aria-label', `Label for ${entry.ethAddress}`);
+        label.addEventListener('change', () => {
+            book.update(entry.id, { label: label.value });
+            renderTables();
+        });
+        return createRow([
+            label,
+            addressCell(entry),
+            networkName(entry),
+            [
+                createButton('Open', () => openEntry(entry)),
+                createButton('Unpin', () => {
+                    book.update(entry.id, { pinned: false });
+                    renderTables();
+                })
+            ]
+        ]);
+    });
+
+    const historyRows = history.map(entry => createRow([
+        new Date(entry.usedAt).toLocaleString(),
+        addressCell(entry),
+        networkName(entry),
+        [
+            createButton('Open', () => openEntry(entry)),
+            createButton('Pin', () => {
+                book.update(entry.id, { pinned: true });
+                renderTables();
+            }),
+            createButton('Remove', () => {
+                book.remove(entry.id);
+                renderTables();
+            })
+        ]
+    ]));
+
+    document.querySelector('#addressBookTable tbody').replaceChildren(...bookRows);
+    document.querySelector('#historyTable tbody').replaceChildren(...historyRows);
+    document.getElementById('addressBookEmpty').hidden = pinned.length > 0;
+    document.getElementById('historyEmpty').hidden = history.length > 0;
+    document.getElementById('addressBookExport').disabled = pinned.length === 0;
+    document.getElementById('historyClear').disabled = history.length === 0;
+}
+
+function exportBook() {
+    const blob = new Blob([book.exportJSON()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'address-book.json';
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+async function importBook(file) {
+    const error = document.getElementById('addressBookError');
+    const summary = document.getElementById('addressBookSummary');
+    error.classList.remove('show');
+    summary.textContent = '';
+
+    try {
+        const { added, updated } = book.importJSON(await file.text());
+        summary.textContent = `Imported ${added} new and ${updated} existing ${added + updated === 1 ? 'entry' : 'entries'}.`;
+        renderTables();
+    } catch (e) {
+        error.textContent = e.message;
+        error.classList.add('show');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const fileInput = document.getElementById('addressBookFile');
+
+    document.getElementById('addressBookExport').addEventListener('click', exportBook);
+    document.getElementById('addressBookImport').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length) {
+            importBook(fileInput.files[0]);
+            fileInput.value = '';
+        }
+    });
+    document.getElementById('historyClear').addEventListener('click', () => {
+        book.clearHistory();
+        renderTables();
+    });
+
+    // Another tab converted or edited the book
+    window.addEventListener('storage', renderTables);
+
+    renderTables();
+});
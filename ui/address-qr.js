@@ -0,0 +1,97 @@
+/**
+ * Address QR codes
+ *
+ * Shows both sides of a completed conversion as QR codes, either as bare
+ * addresses or as `ethereum:`/`substrate:` URIs, and fills the converter
+ * from a QR image the user uploads or drops onto the single converter.
+ * Images are decoded in the browser; nothing is sent anywhere.
+ */
+
+import { formatAddressURI, parseAddressURI, isValidEthAddress, isValidSS58Address } from '../src/index.js';
+import { renderQRCode, decodeQRImage } from './qr.js';
+
+/**
+ * Hides the QR codes, e.g. while an address is being edited
+ */
+export function hideAddressQR() {
+    document.getElementById('addressQR').hidden = true;
+}
+
+/**
+ * Renders the converted address pair as QR codes; hidden unless both
+ * fields hold a valid address
+ */
+export function showAddressQR() {
+    const ethAddress = document.getElementById('ethAddress').value.trim();
+    const ss58Address = document.getElementById('ss58Address').value.trim();
+    const complete = isValidEthAddress(ethAddress, { ignoreChecksum: true }) && isValidSS58Address(ss58Address);
+
+    document.getElementById('addressQR').hidden = !complete;
+    if (!complete) {
+        return;
+    }
+
+    const useURI = document.getElementById('qrUseURI').checked;
+    const content = address => (useURI ? formatAddressURI(address) : address);
+    renderQRCode(document.getElementById('ethAddressQR'), content(ethAddress), `QR code of ${ethAddress}`);
+    renderQRCode(document.getElementById('ss58AddressQR'), content(ss58Address), `QR code of ${ss58Address}`);
+}
+
+/**
+ * Puts the address in a scanned QR image into the matching field, as if
+ * typed, so the converter runs its usual checks
+ */
+async function scanQRImage(file) {
+    const scanError = document.getElementById('qrScanError');
+    scanError.classList.remove('show');
+
+    try {
+        const { type, address } = parseAddressURI(await decodeQRImage(file));
+        const input = document.getElementById(type === 'eth' ? 'ethAddress' : 'ss58Address');
+        input.value = address;
+        input.dispatchEvent(new Event('input'));
+    } catch (error) {
+        scanError.textContent = error.message;
+        scanError.classList.add('show');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const panel = document.querySelector('[data-mode-panel="single"]');
+    const fileInput = document.getElementById('qrScanFile');
+
+    document.getElementById('qrUseURI').addEventListener('change', showAddressQR);
+
+    document.getElementById('qrScanButton').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length) {
+            scanQRImage(fileInput.files[0]);
+        }
+        fileInput.value = '';
+    });
+
+    // Drag-and-drop a QR image anywhere onto the single converter
+    const isFileDrag = e => Array.from(e.dataTransfer?.types || []).includes('Files');
+    panel.addEventListener('dragover', (e) => {
+        if (isFileDrag(e)) {
+            e.preventDefault();
+            panel.classList.add('dragover');
+        }
+    });
+    panel.addEventListener('dragleave', (e) => {
+        if (!panel.contains(e.relatedTarget)) {
+            panel.classList.remove('dragover');
+        }
+    });
+    panel.addEventListener('drop', (e) => {
+        if (!isFileDrag(e)) {
+            return;
+        }
+        e.preventDefault();
+        panel.classList.remove('dragover');
+        const file = e.dataTransfer.files[0];
+        if (file) {
+            scanQRImage(file);
+        }
+    });
+});
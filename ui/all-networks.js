@@ -0,0 +1,112 @@
+/**
+ * All-networks panel
+ *
+ * Decodes an SS58 (or Ethereum) address and lists the same account encoded
+ * for every network in the registry, so support staff can confirm that two
+ * differently-prefixed addresses are the same account. An Ethereum address
+ * is converted with each network's own mapping strategy.
+ */
+
+import {
+    isValidEthAddress,
+    decodeSS58,
+    encodeForNetworks,
+    getNetworksByPrefix
+} from '../src/index.js';
+
+// Encodings of the current address, filtered on render
+let entries = [];
+let inputPrefix = null;
+
+function renderTable() {
+    const tbody = document.querySelector('#multiTable tbody');
+    const needle = document.getElementById('multiFilter').value.trim().toLowerCase();
+
+    const fragment = document.createDocumentFragment();
+    entries
+        .filter(({ network, address }) => !needle
+            || network.name.toLowerCase().includes(needle)
+            || network.id.toLowerCase().includes(needle)
+            || String(network.ss58Prefix) === needle
+            || address.toLowerCase().includes(needle))
+        .forEach(({ network, address }) => {
+            const tr = document.createElement('tr');
+            if (network.ss58Prefix === inputPrefix) {
+                tr.className = 'multi-row-match converter-multi-row-match';
+            }
+            [network.name, String(network.ss58Prefix), address].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            fragment.appendChild(tr);
+        });
+    tbody.replaceChildren(fragment);
+}
+
+/**
+ * Decodes the panel input and re-renders every network encoding
+ */
+function updatePanel() {
+    const input = document.getElementById('multiAddress');
+    const multiError = document.getElementById('multiError');
+    const details = document.getElementById('multiDetails');
+    const value = input.value.trim();
+
+    multiError.classList.remove('show');
+    input.classList.remove('error');
+    entries = [];
+    inputPrefix = null;
+
+    if (!value) {
+        details.hidden = true;
+        return;
+    }
+
+    try {
+        entries = encodeForNetworks(value, undefined, { ignoreChecksum: true });
+
+        if (isValidEthAddress(value, { ignoreChecksum: true })) {
+            document.getElementById('multiPublicKey').textContent = 'None: each network maps the H160 with its own strategy';
+            document.getElementById('multiPrefix').textContent = 'Ethereum address (AccountId20 networks show the H160 itself)';
+        } else {
+            const { publicKey, ss58Prefix } = decodeSS58(value);
+            document.getElementById('multiPublicKey').textContent = publicKey;
+            inputPrefix = ss58Prefix;
+            const names = getNetworksByPrefix(ss58Prefix).map(network => network.name);
+            document.getElementById('multiPrefix').textContent = names.length
+                ? `Prefix ${ss58Prefix} (${names.join(', ')})`
+                : `Prefix ${ss58Prefix} (unregistered)`;
+        }
+
+        details.hidden = false;
+        renderTable();
+    } catch (error) {
+        multiError.textContent = error.message;
+        multiError.classList.add('show');
+        input.classList.add('error');
+        details.hidden = true;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const input = document.getElementById('multiAddress');
+    let inputTimeout;
+
+    input.addEventListener('input', () => {
+        clearTimeout(inputTimeout);
+        inputTimeout = setTimeout(updatePanel, 300);
+    });
+    document.getElementById('multiFilter').addEventListener('input', renderTable);
+
+    // Opening the panel picks up whatever the single converter holds
+    document.querySelector('[data-mode="networks"]').addEventListener('click', () => {
+        if (input.value.trim()) {
+            return;
+        }
+        const ss58Value = document.getElementById('ss58Address').value.trim();
+        const ethValue = document.getElementById('ethAddress').value.trim();
+        input.value = ss58Value || ethValue;
+        updatePanel();
+    });
+});
@@ -0,0 +1,255 @@
+/**
+ * Bulk conversion mode
+ *
+ * Converts a pasted list or an uploaded/dropped CSV entirely client-side:
+ * the user picks the address column and network, sees per-row results and
+ * can download the original CSV with the converted addresses appended.
+ */
+
+import {
+    convertAddress,
+    isValidEthAddress,
+    isValidSS58Address,
+    parseCSV,
+    formatCSV,
+    ETH_DERIVATION
+} from '../src/index.js';
+import { getSelectedSS58Prefix, getSelectedMappingStrategy } from './network-picker.js';
+
+const SS58_CONFIRM_ERROR = 'SS58 → ETH requires confirming that the accounts have been mapped.';
+
+// Parsed input and the results of the last conversion
+let rows = [];
+let results = [];
+
+function isAddress(value) {
+    const trimmed = (value || '').trim();
+    return isValidEthAddress(trimmed, { ignoreChecksum: true }) || isValidSS58Address(trimmed);
+}
+
+/**
+ * Guesses whether the first row is a header: it is if it holds no address
+ * but a later row does
+ */
+function detectHeader(parsedRows) {
+    return parsedRows.length > 1
+        && !parsedRows[0].some(isAddress)
+        && parsedRows.slice(1, 11).some(row => row.some(isAddress));
+}
+
+/**
+ * Picks the first column holding an address in the first few data rows
+ */
+function detectAddressColumn(dataRows) {
+    const width = dataRows.reduce((w, row) => Math.max(w, row.length), 0);
+    for (let column = 0; column < width; column++) {
+        if (dataRows.slice(0, 10).some(row => isAddress(row[column]))) {
+            return column;
+        }
+    }
+    return 0;
+}
+
+function getDataRows() {
+    const hasHeader = document.getElementById('bulkHasHeader').checked;
+    return hasHeader ? rows.slice(1) : rows;
+}
+
+/**
+ * Re-parses the input and refreshes the column picker
+ */
+function loadInput() {
+    const input = document.getElementById('bulkInput');
+    const headerCheckbox = document.getElementById('bulkHasHeader');
+
+    rows = parseCSV(input.value);
+    headerCheckbox.checked = detectHeader(rows);
+    populateColumns();
+}
+
+function populateColumns() {
+    const columnSelect = document.getElementById('bulkColumn');
+    const hasHeader = document.getElementById('bulkHasHeader').checked;
+    const width = rows.reduce((w, row) => Math.max(w, row.length), 1);
+
+    columnSelect.innerHTML = '';
+    for (let column = 0; column < width; column++) {
+        const option = document.createElement('option');
+        option.value = String(column);
+        option.textContent = hasHeader && rows[0][column]
+            ? rows[0][column]
+            : `Column ${column + 1}`;
+        columnSelect.appendChild(option);
+    }
+    columnSelect.value = String(detectAddressColumn(getDataRows()));
+    columnSelect.disabled = width <= 1;
+}
+
+/**
+ * Converts the selected column of every data row
+ */
+function convertRows() {
+    const column = parseInt(document.getElementById('bulkColumn').value || '0');
+    const ss58Prefix = getSelectedSS58Prefix();
+    const mappedConfirmed = document.getElementById('bulkMappedCheckbox').checked;
+    const ignoreChecksum = document.getElementById('bulkIgnoreChecksum').checked;
+    const strategy = getSelectedMappingStrategy();
+
+    results = getDataRows().map(row => {
+        const value = (row[column] || '').trim();
+        if (!value) {
+            return { input: value, type: null, output: null, derivation: null, prefixMismatch: null, error: 'Empty address' };
+        }
+
+        const result = convertAddress(value, ss58Prefix, { ignoreChecksum, strategy });
+        // Only a native account's Keccak256 H160 needs pallet-revive's mapping
+        if (result.derivation === ETH_DERIVATION.KECCAK_ACCOUNT_ID && !mappedConfirmed) {
+            return { ...result, output: null, error: SS58_CONFIRM_ERROR };
+        }
+        return result;
+    });
+
+    renderResults();
+}
+
+/**
+ * Status column text: the error, or OK with any network mismatch noted
+ */
+function statusText(result) {
+    if (result.error) {
+        return result.error;
+    }
+    const mismatch = result.prefixMismatch;
+    if (mismatch) {
+        const names = mismatch.networks.length ? ` (${mismatch.networks.join(', ')})` : '';
+        return `OK · encoded for prefix ${mismatch.ss58Prefix}${names}, not ${mismatch.expectedPrefix}`;
+    }
+    return 'OK';
+}
+
+function renderResults() {
+    const tbody = document.querySelector('#bulkResultsTable tbody');
+    const summary = document.getElementById('bulkSummary');
+    const resultsWrapper = document.getElementById('bulkResults');
+    const downloadButton = document.getElementById('bulkDownloadButton');
+    const offset = document.getElementById('bulkHasHeader').checked ? 2 : 1;
+
+    const fragment = document.createDocumentFragment();
+    results.forEach((result, index) => {
+        const tr = document.createElement('tr');
+        tr.className = result.error ? 'bulk-row-error converter-bulk-row-error' : '';
+        [String(index + offset), result.input, result.output || '', statusText(result)].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        fragment.appendChild(tr);
+    });
+    tbody.replaceChildren(fragment);
+
+    const failed = results.filter(result => result.error).length;
+    summary.textContent = results.length
+        ? `${results.length - failed} converted, ${failed} with errors`
+        : '';
+    resultsWrapper.hidden = results.length === 0;
+    downloadButton.disabled = results.length === 0;
+}
+
+/**
+ * Downloads the input rows with `converted` and `error` columns appended
+ */
+function downloadResults() {
+    const hasHeader = document.getElementById('bulkHasHeader').checked;
+    const dataRows = getDataRows();
+    const width = rows.reduce((w, row) => Math.max(w, row.length), 0);
+    const pad = row => [...row, ...Array(width - row.length).fill('')];
+
+    const output = dataRows.map((row, index) => [...pad(row), results[index].output, results[index].error]);
+    if (hasHeader) {
+        output.unshift([...pad(rows[0]), 'converted', 'error']);
+    }
+
+    const blob = new Blob([formatCSV(output)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'converted-addresses.csv';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function loadFile(file) {
+    const input = document.getElementById('bulkInput');
+    const bulkError = document.getElementById('bulkError');
+
+    file.text()
+        .then(text => {
+            bulkError.classList.remove('show');
+            input.value = text;
+            loadInput();
+            convertRows();
+        })
+        .catch(error => {
+            bulkError.textContent = `Could not read ${file.name}: ${error.message}`;
+            bulkError.classList.add('show');
+        });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const input = document.getElementById('bulkInput');
+    const fileInput = document.getElementById('bulkFile');
+    const dropZone = document.getElementById('bulkDropZone');
+    const headerCheckbox = document.getElementById('bulkHasHeader');
+    const columnSelect = document.getElementById('bulkColumn');
+    const mappedCheckbox = document.getElementById('bulkMappedCheckbox');
+    const networkSelect = document.getElementById('network');
+
+    let inputTimeout;
+
+    input.addEventListener('input', () => {
+        clearTimeout(inputTimeout);
+        inputTimeout = setTimeout(() => {
+            loadInput();
+            convertRows();
+        }, 300);
+    });
+
+    document.getElementById('bulkUploadButton').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length) {
+            loadFile(fileInput.files[0]);
+            fileInput.value = '';
+        }
+    });
+
+    // Drag-and-drop a CSV onto the input area
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('dragover');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('dragover');
+        if (e.dataTransfer.files.length) {
+            loadFile(e.dataTransfer.files[0]);
+        }
+    });
+
+    headerCheckbox.addEventListener('change', () => {
+        populateColumns();
+        convertRows();
+    });
+    columnSelect.addEventListener('change', convertRows);
+    mappedCheckbox.addEventListener('change', convertRows);
+    document.getElementById('bulkIgnoreChecksum').addEventListener('change', convertRows);
+    networkSelect.addEventListener('change', () => {
+        if (rows.length) {
+            convertRows();
+        }
+    });
+
+    document.getElementById('bulkDownloadButton').addEventListener('click', downloadResults);
+});
@@ -0,0 +1,86 @@
+/**
+ * Contract address panel
+ *
+ * Predicts where a pallet-revive contract will be deployed, from its
+ * deployer and either the deployer nonce (CREATE) or a salt and code hash
+ * (CREATE2), and shows the contract in both address formats.
+ */
+
+import { computeContractAddress, CONTRACT_SCHEME } from '../src/index.js';
+import { getSelectedNetwork } from './network-picker.js';
+
+function setDetail(id, text) {
+    document.getElementById(id).textContent = text;
+}
+
+/**
+ * Shows the inputs of the selected deployment scheme
+ */
+function updateSchemeFields() {
+    const scheme = document.getElementById('contractScheme').value;
+    document.getElementById('contractCreateFields').hidden = scheme !== CONTRACT_SCHEME.CREATE;
+    document.getElementById('contractCreate2Fields').hidden = scheme !== CONTRACT_SCHEME.CREATE2;
+}
+
+/**
+ * Computes the contract address from the panel inputs
+ */
+function updateContract() {
+    const deployer = document.getElementById('contractDeployer').value.trim();
+    const scheme = document.getElementById('contractScheme').value;
+    const contractError = document.getElementById('contractError');
+    const details = document.getElementById('contractDetails');
+
+    contractError.classList.remove('show');
+
+    const params = scheme === CONTRACT_SCHEME.CREATE2
+        ? {
+            deployer,
+            salt: document.getElementById('contractSalt').value.trim(),
+            codeHash: document.getElementById('contractCodeHash').value.trim()
+        }
+        : { deployer, nonce: document.getElementById('contractNonce').value.trim() };
+
+    const missing = scheme === CONTRACT_SCHEME.CREATE2
+        ? !params.salt || !params.codeHash
+        : params.nonce === '';
+    if (!deployer || missing) {
+        details.hidden = true;
+        return;
+    }
+
+    try {
+        const network = getSelectedNetwork();
+        const contract = computeContractAddress(params, network.ss58Prefix);
+
+        setDetail('contractDeployerEth', contract.deployer);
+        setDetail('contractEthAddress', contract.ethAddress);
+        setDetail('contractSS58Label', `Contract SS58 (${network.name})`);
+        setDetail('contractSS58Address', contract.ss58Address);
+        details.hidden = false;
+    } catch (error) {
+        contractError.textContent = error.message;
+        contractError.classList.add('show');
+        details.hidden = true;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const scheme = document.getElementById('contractScheme');
+    let inputTimeout;
+
+    ['contractDeployer', 'contractNonce', 'contractSalt', 'contractCodeHash'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => {
+            clearTimeout(inputTimeout);
+            inputTimeout = setTimeout(updateContract, 300);
+        });
+    });
+
+    scheme.addEventListener('change', () => {
+        updateSchemeFields();
+        updateContract();
+    });
+    document.getElementById('network').addEventListener('change', updateContract);
+
+    updateSchemeFields();
+});
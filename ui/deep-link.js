@@ -0,0 +1,101 @@
+/**
+ * URL-driven converter state
+ *
+ * Opens the single converter pre-filled from `eth`, `ss58`, `network` and
+ * `prefix` link parameters, and writes the state back to the URL as the
+ * user edits it, one history entry per settled change. Safety
+ * confirmations are never restored from a link: they are cleared whenever
+ * a link is applied, so the user has to confirm again.
+ */
+
+import { parseConverterLink, buildConverterLink, getNetwork } from '../src/index.js';
+import { getSelectedNetwork, selectNetwork, CUSTOM_NETWORK_ID } from './network-picker.js';
+
+// Which converter field the user last edited, i.e. which one the link carries
+let source = 'eth';
+
+// Set while a link is being applied, so the resulting edits replace the
+// current history entry instead of pushing new ones
+let restoring = false;
+
+/**
+ * Fills in the page from link parameters; also used to open address book
+ * entries
+ *
+ * @param {{eth: string|null, ss58: string|null, network: string|null, prefix: string|null}} link
+ */
+export function applyLink({ eth, ss58, network, prefix }) {
+    const ethInput = document.getElementById('ethAddress');
+    const ss58Input = document.getElementById('ss58Address');
+
+    restoring = true;
+    document.getElementById('ss58MappedCheckbox').checked = false;
+    document.getElementById('ethIgnoreChecksum').checked = false;
+
+    if (prefix && (!network || network === CUSTOM_NETWORK_ID)) {
+        const customPrefix = document.getElementById('customPrefix');
+        selectNetwork(CUSTOM_NETWORK_ID);
+        customPrefix.value = prefix;
+        customPrefix.dispatchEvent(new Event('input'));
+    } else if (network && getNetwork(network)) {
+        selectNetwork(network);
+    }
+
+    // As if typed, so the converter runs its usual checks
+    if (eth) {
+        source = 'eth';
+        ethInput.value = eth;
+        ethInput.dispatchEvent(new Event('input'));
+    } else if (ss58) {
+        source = 'ss58';
+        ss58Input.value = ss58;
+        ss58Input.dispatchEvent(new Event('input'));
+    } else {
+        ss58Input.value = '';
+        ethInput.value = '';
+        ethInput.dispatchEvent(new Event('input'));
+    }
+}
+
+/**
+ * Writes the current state to the URL
+ */
+function writeLink() {
+    const network = getSelectedNetwork();
+    const isCustom = network.id === CUSTOM_NETWORK_ID;
+    const href = buildConverterLink(window.location.href, {
+        [source]: document.getElementById(source === 'eth' ? 'ethAddress' : 'ss58Address').value,
+        network: isCustom ? null : network.id,
+        prefix: isCustom ? document.getElementById('customPrefix').value : null
+    });
+
+    if (href !== window.location.href) {
+        window.history[restoring ? 'replaceState' : 'pushState'](null, '', href);
+    }
+    restoring = false;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    let writeTimeout;
+    const scheduleWrite = () => {
+        clearTimeout(writeTimeout);
+        writeTimeout = setTimeout(writeLink, 600);
+    };
+
+    document.getElementById('ethAddress').addEventListener('input', () => {
+        source = 'eth';
+        scheduleWrite();
+    });
+    document.getElementById('ss58Address').addEventListener('input', () => {
+        source = 'ss58';
+        scheduleWrite();
+    });
+    document.getElementById('network').addEventListener('change', scheduleWrite);
+
+    window.addEventListener('popstate', () => applyLink(parseConverterLink(window.location.href)));
+
+    const link = parseConverterLink(window.location.href);
+    if (Object.values(link).some(Boolean)) {
+        applyLink(link);
+    }
+});
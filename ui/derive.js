@@ -0,0 +1,136 @@
+/**
+ * Derived account panel
+ *
+ * Computes multisig, pure proxy, pallet and parachain sovereign accounts and
+ * hands the result to the single converter or the inspector.
+ */
+
+import { deriveAccount, DERIVED_ACCOUNT } from '../src/index.js';
+import { getSelectedNetwork } from './network-picker.js';
+
+const FIELD_IDS = [
+    'deriveSignatories',
+    'deriveThreshold',
+    'deriveSpawner',
+    'deriveHeight',
+    'deriveExtrinsicIndex',
+    'deriveProxyType',
+    'deriveProxyIndex',
+    'derivePalletId',
+    'deriveParaId'
+];
+
+function fieldValue(id) {
+    return document.getElementById(id).value.trim();
+}
+
+/**
+ * Reads the inputs of the selected kind, or returns null while any is empty
+ */
+function readParams(kind) {
+    switch (kind) {
+        case DERIVED_ACCOUNT.MULTISIG: {
+            const signatories = fieldValue('deriveSignatories').split(/\r?\n/)
+                .map(line => line.trim())
+                .filter(Boolean);
+            const threshold = fieldValue('deriveThreshold');
+            return signatories.length && threshold ? { kind, signatories, threshold } : null;
+        }
+        case DERIVED_ACCOUNT.PURE_PROXY: {
+            const params = {
+                kind,
+                spawner: fieldValue('deriveSpawner'),
+                height: fieldValue('deriveHeight'),
+                extrinsicIndex: fieldValue('deriveExtrinsicIndex'),
+                proxyType: fieldValue('deriveProxyType'),
+                index: fieldValue('deriveProxyIndex')
+            };
+            return Object.values(params).every(Boolean) ? params : null;
+        }
+        case DERIVED_ACCOUNT.PALLET: {
+            const palletId = document.getElementById('derivePalletId').value;
+            return palletId ? { kind, palletId } : null;
+        }
+        default: {
+            const paraId = fieldValue('deriveParaId');
+            return paraId ? { kind, paraId } : null;
+        }
+    }
+}
+
+/**
+ * Shows the inputs of the selected kind
+ */
+function updateKindFields() {
+    const kind = document.getElementById('deriveKind').value;
+    document.querySelectorAll('[data-derive-kind]').forEach(section => {
+        section.hidden = !section.dataset.deriveKind.split(' ').includes(kind);
+    });
+}
+
+/**
+ * Derives the account from the panel inputs
+ */
+function updateDerived() {
+    const deriveError = document.getElementById('deriveError');
+    const details = document.getElementById('deriveDetails');
+    const params = readParams(document.getElementById('deriveKind').value);
+
+    deriveError.classList.remove('show');
+
+    if (!params) {
+        details.hidden = true;
+        return;
+    }
+
+    try {
+        const network = getSelectedNetwork();
+        const account = deriveAccount(params, network.ss58Prefix);
+
+        document.getElementById('deriveAccountId').textContent = account.accountId;
+        document.getElementById('deriveSS58Label').textContent = `SS58 (${network.name})`;
+        document.getElementById('deriveSS58Address').textContent = account.ss58Address;
+        document.getElementById('deriveEthAddress').textContent = account.ethAddress;
+        const note = document.getElementById('deriveMappingNote');
+        note.textContent = account.warning || '';
+        note.hidden = !account.warning;
+        details.hidden = false;
+    } catch (error) {
+        deriveError.textContent = error.message;
+        deriveError.classList.add('show');
+        details.hidden = true;
+    }
+}
+
+/**
+ * Switches to another tab and feeds the derived SS58 address into its input
+ */
+function openIn(mode, inputId) {
+    const input = document.getElementById(inputId);
+    document.querySelector(`[data-mode="${mode}"]`).click();
+    input.value = document.getElementById('deriveSS58Address').textContent;
+    input.dispatchEvent(new Event('input'));
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const kind = document.getElementById('deriveKind');
+    let inputTimeout;
+
+    FIELD_IDS.forEach(id => {
+        document.getElementById(id).addEventListener('input', () => {
+            clearTimeout(inputTimeout);
+            inputTimeout = setTimeout(updateDerived, 300);
+        });
+    });
+
+    kind.addEventListener('change', () => {
+        updateKindFields();
+        updateDerived();
+    });
+    document.getElementById('network').addEventListener('change', updateDerived);
+
+    document.getElementById('deriveConvertButton').addEventListener('click', () => openIn('single', 'ss58Address'));
+    document.getElementById('deriveInspectButton').addEventListener('click', () => openIn('inspect', 'inspectAddress'));
+
+    updateKindFields();
+});
@@ -0,0 +1,37 @@
+/**
+ * Identicons beside the converter inputs
+ *
+ * A blockie for the H160 and the Polkadot identicon for the SS58 address,
+ * so a look-alike address that shares the first and last characters still
+ * stands out.
+ */
+
+import { renderIdenticonSVG, isValidEthAddress, isValidSS58Address } from '../src/index.js';
+
+const FIELDS = [
+    { inputId: 'ethAddress', iconId: 'ethIdenticon', isValid: address => isValidEthAddress(address, { ignoreChecksum: true }) },
+    { inputId: 'ss58Address', iconId: 'ss58Identicon', isValid: isValidSS58Address }
+];
+
+/**
+ * Hides both identicons, e.g. while an address is being edited
+ */
+export function hideIdenticons() {
+    FIELDS.forEach(({ iconId }) => {
+        document.getElementById(iconId).hidden = true;
+    });
+}
+
+/**
+ * Shows the identicon of each field holding a valid address
+ */
+export function showIdenticons() {
+    FIELDS.forEach(({ inputId, iconId, isValid }) => {
+        const address = document.getElementById(inputId).value.trim();
+        const icon = document.getElementById(iconId);
+        icon.hidden = !isValid(address);
+        if (!icon.hidden) {
+            icon.innerHTML = renderIdenticonSVG(address, { size: 32 });
+        }
+    });
+}
@@ -0,0 +1,95 @@
+/**
+ * Address inspector panel
+ *
+ * Accepts an H160, SS58 address or raw hex public key and shows
+ * everything `inspectAddress` reports about it, so users do not need to know
+ * in advance which converter box their string belongs in.
+ */
+
+import { inspectAddress, ADDRESS_FORMAT, CHECKSUM_STATUS } from '../src/index.js';
+
+const FORMAT_LABELS = {
+    [ADDRESS_FORMAT.ETH]: 'Ethereum address (H160)',
+    [ADDRESS_FORMAT.SS58]: 'SS58 address',
+    [ADDRESS_FORMAT.PUBLIC_KEY]: 'Raw public key'
+};
+
+const CHECKSUM_LABELS = {
+    [CHECKSUM_STATUS.VALID]: 'Valid EIP-55 checksum',
+    [CHECKSUM_STATUS.UNCHECKSUMMED]: 'No checksum (single-case address)',
+    [CHECKSUM_STATUS.MISMATCH]: 'Mismatch: this mixed-case address probably contains a typo'
+};
+
+function setDetail(id, text) {
+    document.getElementById(id).textContent = text;
+}
+
+/**
+ * Inspects the panel input and fills in the report
+ */
+function updateInspector() {
+    const input = document.getElementById('inspectAddress');
+    const inspectError = document.getElementById('inspectError');
+    const details = document.getElementById('inspectDetails');
+    const value = input.value.trim();
+
+    inspectError.classList.remove('show');
+    input.classList.remove('error');
+
+    if (!value) {
+        details.hidden = true;
+        return;
+    }
+
+    try {
+        const report = inspectAddress(value);
+
+        setDetail('inspectFormat', FORMAT_LABELS[report.format]);
+        setDetail('inspectChecksum', report.checksum ? CHECKSUM_LABELS[report.checksum] : 'Not applicable');
+        if (report.ss58Prefix === null) {
+            setDetail('inspectPrefix', 'None (not SS58-encoded)');
+        } else {
+            const networks = report.networks.length ? report.networks.join(', ') : 'unregistered';
+            setDetail('inspectPrefix', `${report.ss58Prefix} (${networks})`);
+        }
+        setDetail('inspectPublicKey', report.publicKey);
+        if (report.keyError) {
+            setDetail('inspectAccountType', report.keyError);
+        } else if (report.ecdsaEthAddress) {
+            setDetail('inspectAccountType', 'ECDSA account (33-byte compressed secp256k1 key): its own Ethereum address is the ECDSA key H160');
+        } else {
+            setDetail('inspectAccountType', report.isEthDerived
+                ? 'ETH-derived (ends in 0xEE padding): converts back to its original H160'
+                : 'Native Substrate account: its H160 is the Keccak256 fallback and needs mapping');
+        }
+        setDetail('inspectReversible', report.reversibleEthAddress
+            || 'None: only ETH-derived accounts can be converted back losslessly');
+        setDetail('inspectKeccak', report.keccakEthAddress || 'Not applicable');
+        setDetail('inspectEcdsa', report.ecdsaEthAddress
+            || (report.keyError ? 'None: not a valid ECDSA key' : 'Not applicable: only 33-byte ECDSA keys have one'));
+
+        details.hidden = false;
+    } catch (error) {
+        inspectError.textContent = error.message;
+        inspectError.classList.add('show');
+        input.classList.add('error');
+        details.hidden = true;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const input = document.getElementById('inspectAddress');
+    let inputTimeout;
+
+    input.addEventListener('input', () => {
+        clearTimeout(inputTimeout);
+        inputTimeout = setTimeout(updateInspector, 300);
+    });
+    input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            clearTimeout(inputTimeout);
+            updateInspector();
+        }
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Map-account helper
+ *
+ * Shown when an SS58 account is not mapped on the selected network. Builds
+ * the `Revive.map_account` call data from chain metadata and offers it as
+ * hex and QR, so it can be signed in any wallet, together with the H160 the
+ * account will be reachable at once the call is included.
+ */
+
+import { ethToSS58 } from '../src/index.js';
+import { buildMapAccountCallOnSelectedNetwork } from './mapping.js';
+import { renderQRCode } from './qr.js';
+
+// Incremented per request so a slow response never overwrites a newer one
+let panelRequest = 0;
+
+/**
+ * Hides the panel and discards any pending call data
+ */
+export function hideMapAccountPanel() {
+    panelRequest++;
+    document.getElementById('mapAccountPanel').hidden = true;
+}
+
+/**
+ * Shows the panel for an unmapped account and fills in its call data
+ *
+ * @param {string} ss58Address - The unmapped account
+ * @param {{ethAddress: string, network: object}} mappingResult - Result of the mapping check
+ */
+export async function showMapAccountPanel(ss58Address, mappingResult) {
+    const panel = document.getElementById('mapAccountPanel');
+    const info = document.getElementById('mapAccountInfo');
+    const callDataInput = document.getElementById('mapAccountCallData');
+    const qrImage = document.getElementById('mapAccountQR');
+    const link = document.getElementById('mapAccountLink');
+    const panelError = document.getElementById('mapAccountError');
+    const { ethAddress, network } = mappingResult;
+    const request = ++panelRequest;
+
+    panel.hidden = false;
+    panelError.classList.remove('show');
+    callDataInput.value = '';
+    qrImage.hidden = true;
+    link.hidden = true;
+    const explanation = `Sign and submit Revive.map_account from ${ss58Address} on ${network.name}. `
+        + `Once it is included, ${ethAddress} routes to this account instead of the fallback account `
+        + `${ethToSS58(ethAddress, network.ss58Prefix)}.`;
+    info.textContent = `${explanation} Loading call data from chain metadata…`;
+
+    try {
+        const { callData } = await buildMapAccountCallOnSelectedNetwork(ss58Address);
+        if (request !== panelRequest) {
+            return;
+        }
+
+        info.textContent = explanation;
+        callDataInput.value = callData;
+        renderQRCode(qrImage, callData, `Revive.map_account call data for ${network.name}`);
+        link.href = `https://polkadot.js.org/apps/?rpc=${encodeURIComponent(network.rpc)}#/extrinsics/decode/${callData}`;
+        link.hidden = false;
+    } catch (error) {
+        if (request !== panelRequest) {
+            return;
+        }
+        info.textContent = explanation;
+        panelError.textContent = `Could not build the map_account call: ${error.message}`;
+        panelError.classList.add('show');
+    }
+}
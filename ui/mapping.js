@@ -0,0 +1,78 @@
+/**
+ * Mapping checks for the selected network
+ *
+ * Keeps one chain connection per network, opened on first use, and runs
+ * `checkAccountMapping` and `buildMapAccountCall` against it.
+ */
+
+import {
+    checkAccountMapping,
+    buildMapAccountCall,
+    connectMappingProvider,
+    MAPPING_STATUS,
+    isEthDerivedAccount
+} from '../src/index.js';
+import { getSelectedNetwork } from './network-picker.js';
+
+// rpc url -> Promise<{provider, destroy}>
+const connections = new Map();
+
+function getConnection(rpcUrl) {
+    if (!connections.has(rpcUrl)) {
+        const connection = connectMappingProvider(rpcUrl);
+        // Forget failed connections so the next check retries
+        connection.catch(() => connections.delete(rpcUrl));
+        connections.set(rpcUrl, connection);
+    }
+    return connections.get(rpcUrl);
+}
+
+/**
+ * Checks an SS58 account's mapping on the selected network
+ *
+ * @param {string} ss58Address - SS58-encoded address
+ * @returns {Promise<object>} `checkAccountMapping` result plus the `network` checked
+ */
+export async function checkMappingOnSelectedNetwork(ss58Address) {
+    const network = getSelectedNetwork();
+
+    if (isEthDerivedAccount(ss58Address)) {
+        return { ...await checkAccountMapping(ss58Address, null), network };
+    }
+
+    if (!network.hasRevive) {
+        const result = await checkAccountMapping(ss58Address, null);
+        return { ...result, network, error: `pallet-revive is not deployed on ${network.name}` };
+    }
+
+    let provider = null;
+    let connectionError = null;
+    try {
+        ({ provider } = await getConnection(network.rpc));
+    } catch (error) {
+        connectionError = `Could not connect to ${network.name}: ${error.message}`;
+    }
+
+    const result = await checkAccountMapping(ss58Address, provider);
+    if (result.status === MAPPING_STATUS.UNKNOWN && connectionError) {
+        result.error = connectionError;
+    }
+    return { ...result, network };
+}
+
+/**
+ * Builds the `Revive.map_account` call for an SS58 account on the selected network
+ *
+ * @param {string} ss58Address - SS58-encoded address
+ * @returns {Promise<object>} `buildMapAccountCall` result plus the `network` it is for
+ */
+export async function buildMapAccountCallOnSelectedNetwork(ss58Address) {
+    const network = getSelectedNetwork();
+
+    if (!network.hasRevive) {
+        throw new Error(`pallet-revive is not deployed on ${network.name}`);
+    }
+
+    const { provider } = await getConnection(network.rpc);
+    return { ...await buildMapAccountCall(ss58Address, provider), network };
+}
@@ -0,0 +1,165 @@
+/**
+ * Searchable network picker
+ *
+ * Populates `#network` from the network registry, filters it from
+ * `#networkSearch` and adds a "Custom prefix" entry backed by
+ * `#customPrefix`. Option values are network ids, so networks sharing a
+ * prefix stay distinguishable and switching between them fires `change`.
+ */
+
+import {
+    DEFAULT_NETWORK_ID,
+    DEFAULT_MAPPING_STRATEGY,
+    getNetwork,
+    searchNetworks,
+    getMappingStrategy
+} from '../src/index.js';
+
+export const CUSTOM_NETWORK_ID = 'custom';
+
+function optionLabel(network) {
+    const details = network.token ? `${network.ss58Prefix}, ${network.token}` : network.ss58Prefix;
+    return `${network.name} (${details})`;
+}
+
+function createOption(value, text) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    option.className = 'converter-network-option';
+    return option;
+}
+
+/**
+ * Rebuilds the select from the networks matching the search box, always
+ * keeping the current selection so filtering never changes the network
+ */
+function renderOptions() {
+    const networkSelect = document.getElementById('network');
+    const searchInput = document.getElementById('networkSearch');
+    const selected = networkSelect.value || DEFAULT_NETWORK_ID;
+
+    const matches = searchNetworks(searchInput.value);
+    const current = getNetwork(selected);
+    if (current && !matches.includes(current)) {
+        matches.unshift(current);
+    }
+
+    const groups = [
+        ['Polkadot Hub networks (pallet-revive)', matches.filter(network => network.hasRevive)],
+        ['Other SS58 networks', matches.filter(network => !network.hasRevive)]
+    ];
+
+    const fragment = document.createDocumentFragment();
+    groups.forEach(([label, networks]) => {
+        if (!networks.length) {
+            return;
+        }
+        const group = document.createElement('optgroup');
+        group.label = label;
+        networks.forEach(network => group.appendChild(createOption(network.id, optionLabel(network))));
+        fragment.appendChild(group);
+    });
+    fragment.appendChild(createOption(CUSTOM_NETWORK_ID, 'Custom prefix…'));
+
+    networkSelect.replaceChildren(fragment);
+    networkSelect.value = selected;
+}
+
+function renderDetails() {
+    const networkSelect = document.getElementById('network');
+    const customWrapper = document.getElementById('customPrefixWrapper');
+    const networkInfo = document.getElementById('networkInfo');
+    const network = getSelectedNetwork();
+
+    customWrapper.hidden = networkSelect.value !== CUSTOM_NETWORK_ID;
+
+    if (networkSelect.value === CUSTOM_NETWORK_ID) {
+        networkInfo.textContent = '';
+        return;
+    }
+
+    const mapping = `${getMappingStrategy(network.mappingStrategy).name} address mapping`;
+    if (network.hasRevive) {
+        networkInfo.textContent = `SS58 prefix ${network.ss58Prefix} · ${network.token} · pallet-revive deployed · ${mapping}`;
+    } else {
+        networkInfo.textContent = `SS58 prefix ${network.ss58Prefix}${network.token ? ` · ${network.token}` : ''} · pallet-revive not deployed · ${mapping}`;
+    }
+}
+
+/**
+ * Returns the selected network, or a synthetic entry for a custom prefix
+ *
+ * @returns {{id: string, name: string, ss58Prefix: number, token: string|null, hasRevive: boolean, mappingStrategy: string}}
+ */
+export function getSelectedNetwork() {
+    const networkSelect = document.getElementById('network');
+
+    if (networkSelect.value === CUSTOM_NETWORK_ID) {
+        const raw = document.getElementById('customPrefix').value.trim();
+        const ss58Prefix = /^\d+$/.test(raw) ? parseInt(raw, 10) : NaN;
+        return {
+            id: CUSTOM_NETWORK_ID,
+            name: `Custom prefix ${raw}`,
+            ss58Prefix,
+            token: null,
+            hasRevive: false,
+            mappingStrategy: DEFAULT_MAPPING_STRATEGY
+        };
+    }
+
+    return getNetwork(networkSelect.value) || getNetwork(DEFAULT_NETWORK_ID);
+}
+
+/**
+ * Selects a network programmatically, as if the user had picked it
+ *
+ * The search box is cleared so the network is listed, and `change` fires
+ * for the panels that re-convert on a network switch.
+ *
+ * @param {string} networkId - Registry network id
+ */
+export function selectNetwork(networkId) {
+    const networkSelect = document.getElementById('network');
+    document.getElementById('networkSearch').value = '';
+    networkSelect.value = networkId;
+    renderOptions();
+    networkSelect.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Returns the mapping strategy id of the selected network
+ *
+ * @returns {string} Strategy id, e.g. "revive"
+ */
+export function getSelectedMappingStrategy() {
+    return getSelectedNetwork().mappingStrategy;
+}
+
+/**
+ * Returns the SS58 prefix of the selected network. An invalid custom prefix
+ * yields NaN, which `ethToSS58` rejects with a descriptive error.
+ *
+ * @returns {number} SS58 prefix
+ */
+export function getSelectedSS58Prefix() {
+    return getSelectedNetwork().ss58Prefix;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const networkSelect = document.getElementById('network');
+    const searchInput = document.getElementById('networkSearch');
+    const customPrefix = document.getElementById('customPrefix');
+
+    networkSelect.value = DEFAULT_NETWORK_ID;
+    renderOptions();
+    renderDetails();
+
+    searchInput.addEventListener('input', renderOptions);
+    networkSelect.addEventListener('change', renderDetails);
+
+    // Editing the custom prefix counts as changing the network
+    customPrefix.addEventListener('input', () => {
+        networkSelect.dispatchEvent(new Event('change'));
+    });
+});
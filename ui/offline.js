@@ -0,0 +1,15 @@
+/**
+ * Offline support
+ *
+ * Registers the service worker (sw.js) that keeps a copy of the page, its
+ * modules and the vendored libraries, so the converter keeps working and
+ * can be installed as an app. Pages opened from disk cannot use one.
+ */
+
+if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Offline support unavailable:', error.message);
+        });
+    });
+}
@@ -0,0 +1,69 @@
+/**
+ * QR code rendering and scanning
+ *
+ * Uses the qrcode-generator and jsQR libraries loaded by the page (globals
+ * `qrcode` and `jsQR`); everything is generated and decoded locally.
+ */
+
+// Larger images are scaled down before decoding; QR codes survive it and
+// jsQR's time grows with the pixel count
+const MAX_SCAN_DIMENSION = 1024;
+
+/**
+ * Renders `text` as a QR code into an <img>
+ *
+ * @param {HTMLImageElement} img - Target image element
+ * @param {string} text - Content to encode
+ * @param {string} [alt] - Accessible description
+ */
+export function renderQRCode(img, text, alt = 'QR code') {
+    if (typeof qrcode === 'undefined') {
+        img.hidden = true;
+        return;
+    }
+
+    // Type 0 picks the smallest QR version that fits the data
+    const qr = qrcode(0, 'M');
+    qr.addData(text);
+    qr.make();
+
+    img.src = qr.createDataURL(4, 8);
+    img.alt = alt;
+    img.hidden = false;
+}
+
+/**
+ * Decodes the QR code in an image file
+ *
+ * @param {Blob} file - Uploaded or dropped image
+ * @returns {Promise<string>} The QR code's content
+ * @throws {Error} If the image cannot be read or holds no QR code
+ */
+export async function decodeQRImage(file) {
+    if (typeof jsQR === 'undefined') {
+        throw new Error('QR scanning is unavailable: the jsQR library failed to load.');
+    }
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file);
+    } catch {
+        throw new Error('Could not read this file as an image.');
+    }
+
+    const scale = Math.min(1, MAX_SCAN_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const code = jsQR(context.getImageData(0, 0, width, height).data, width, height);
+    if (!code || !code.data) {
+        throw new Error('No QR code found in this image.');
+    }
+    return code.data;
+}
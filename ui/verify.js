@@ -0,0 +1,102 @@
+/**
+ * Signed message panel
+ *
+ * Checks a signed message against the account someone claims to control:
+ * the signer is recovered (personal_sign) or verified (sr25519/ed25519) and
+ * compared with both the H160 and its SS58 form on the selected network.
+ */
+
+import { verifyAddressSignature, SIGNATURE_SCHEME } from '../src/index.js';
+import { getSelectedNetwork, getSelectedMappingStrategy } from './network-picker.js';
+
+const SCHEME_LABELS = {
+    [SIGNATURE_SCHEME.EIP191]: 'EIP-191 personal_sign (Ethereum wallet)',
+    [SIGNATURE_SCHEME.SR25519]: 'sr25519 (Substrate)',
+    [SIGNATURE_SCHEME.ED25519]: 'ed25519 (Substrate)',
+    [SIGNATURE_SCHEME.ECDSA]: 'ECDSA (Substrate)'
+};
+
+// Results of an older verification that finishes late are dropped
+let latestRequest = 0;
+
+function setDetail(id, text) {
+    document.getElementById(id).textContent = text;
+}
+
+function matchText(isMatch, address) {
+    if (!address) {
+        return 'Not applicable: no H160 for this account on the selected network';
+    }
+    return `${isMatch ? '✓' : '✗'} ${address}`;
+}
+
+function showResult(result, network) {
+    const status = document.getElementById('verifyStatus');
+    status.className = 'verify-status converter-verify-status';
+    if (result.isValid) {
+        status.classList.add('verify-status-valid');
+        status.textContent = 'Valid: the claimed account signed this message.';
+    } else if (result.signer) {
+        status.textContent = 'Not valid: the message was signed by a different account.';
+    } else {
+        status.textContent = 'Not valid: the signature does not match this message and account.';
+    }
+    status.hidden = false;
+
+    const details = document.getElementById('verifyDetails');
+    if (!result.signer) {
+        details.hidden = true;
+        return;
+    }
+    setDetail('verifyScheme', SCHEME_LABELS[result.scheme]);
+    setDetail('verifySignerEth', result.signer.ethAddress ?? '—');
+    setDetail('verifySignerSS58Label', `Signer SS58 (${network.name})`);
+    setDetail('verifySignerSS58', result.signer.ss58Address);
+    setDetail('verifyEthMatch', result.requiresMapping
+        ? `✗ ${result.claimed.ethAddress} only reaches this account after it calls Revive.map_account`
+        : matchText(result.ethMatch, result.claimed.ethAddress));
+    setDetail('verifySS58Match', matchText(result.ss58Match, result.claimed.ss58Address));
+    details.hidden = false;
+}
+
+/**
+ * Verifies the panel inputs and shows the outcome
+ */
+async function updateVerify() {
+    const address = document.getElementById('verifyAddress').value.trim();
+    const message = document.getElementById('verifyMessage').value;
+    const signature = document.getElementById('verifySignature').value.trim();
+    const verifyError = document.getElementById('verifyError');
+    const request = ++latestRequest;
+
+    verifyError.classList.remove('show');
+    document.getElementById('verifyStatus').hidden = true;
+    document.getElementById('verifyDetails').hidden = true;
+    if (!address || !signature) {
+        return;
+    }
+
+    const network = getSelectedNetwork();
+    try {
+        const result = await verifyAddressSignature(message, signature, address, network.ss58Prefix, {
+            strategy: getSelectedMappingStrategy()
+        });
+        if (request === latestRequest) {
+            showResult(result, network);
+        }
+    } catch (error) {
+        if (request === latestRequest) {
+            verifyError.textContent = error.message;
+            verifyError.classList.add('show');
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('verifyButton').addEventListener('click', updateVerify);
+    document.getElementById('network').addEventListener('change', () => {
+        if (!document.getElementById('verifyStatus').hidden) {
+            updateVerify();
+        }
+    });
+});
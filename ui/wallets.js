@@ -0,0 +1,113 @@
+/**
+ * Wallets panel
+ *
+ * Loads the accounts of the injected Polkadot extensions and EIP-1193
+ * wallet and lists each in both address forms for the selected network.
+ * Only account lists are requested; nothing is signed.
+ */
+
+import { loadWalletAccounts, detectWallets, ETH_DERIVATION } from '../src/index.js';
+import { getSelectedNetwork, getSelectedSS58Prefix, getSelectedMappingStrategy } from './network-picker.js';
+import { applyLink } from './deep-link.js';
+
+// Set once accounts were loaded; they are reloaded when the network changes
+let loaded = false;
+
+function accountNote(account) {
+    if (account.error) {
+        return account.error;
+    }
+    if (account.derivation === ETH_DERIVATION.KECCAK_ACCOUNT_ID) {
+        return `Native account: this H160 only reaches it after Revive.map_account on ${getSelectedNetwork().name}.`;
+    }
+    return '';
+}
+
+/**
+ * Opens an account in the single converter from the side the wallet
+ * returned, so a native account's mapping gets checked
+ */
+function openAccount(account) {
+    const network = getSelectedNetwork();
+    const isEth = account.address.startsWith('0x');
+    document.querySelector('[data-mode="single"]').click();
+    applyLink({
+        eth: isEth ? account.ethAddress : null,
+        ss58: isEth ? null : account.ss58Address,
+        network: network.id,
+        prefix: String(network.ss58Prefix)
+    });
+}
+
+function renderAccounts(accounts) {
+    const rows = accounts.map(account => {
+        const tr = document.createElement('tr');
+        if (account.error) {
+            tr.className = 'bulk-row-error converter-bulk-row-error';
+        }
+        [account.name ? `${account.name} (${account.wallet})` : account.wallet, account.ethAddress || '—',
+            account.ss58Address || '—', accountNote(account)].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+
+        const actions = document.createElement('td');
+        if (!account.error) {
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'bulk-button converter-bulk-button address-book-action converter-address-book-action';
+            open.textContent = 'Open';
+            open.addEventListener('click', () => openAccount(account));
+            actions.appendChild(open);
+        }
+        tr.appendChild(actions);
+        return tr;
+    });
+    document.querySelector('#walletTable tbody').replaceChildren(...rows);
+    document.getElementById('walletResults').hidden = accounts.length === 0;
+}
+
+async function loadAccounts() {
+    const button = document.getElementById('walletLoadButton');
+    const walletError = document.getElementById('walletError');
+    const summary = document.getElementById('walletSummary');
+
+    walletError.classList.remove('show');
+    if (detectWallets(window).length === 0) {
+        summary.textContent = '';
+        walletError.textContent = 'No wallet found. Install or unlock a Polkadot extension or an Ethereum wallet, then reload the page.';
+        walletError.classList.add('show');
+        return;
+    }
+
+    button.disabled = true;
+    summary.textContent = 'Waiting for your wallets…';
+    try {
+        const { accounts, errors } = await loadWalletAccounts(getSelectedSS58Prefix(), {
+            scope: window,
+            strategy: getSelectedMappingStrategy()
+        });
+        loaded = true;
+        renderAccounts(accounts);
+        summary.textContent = `${accounts.length} ${accounts.length === 1 ? 'account' : 'accounts'} for ${getSelectedNetwork().name}.`;
+        if (errors.length) {
+            walletError.textContent = errors.map(({ wallet, message }) => `${wallet}: ${message}`).join(' ');
+            walletError.classList.add('show');
+        }
+    } finally {
+        button.disabled = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('walletLoadButton').addEventListener('click', loadAccounts);
+
+    // SS58 forms depend on the network; wallets that already granted access
+    // answer again without prompting
+    document.getElementById('network').addEventListener('change', () => {
+        if (loaded) {
+            loadAccounts();
+        }
+    });
+});